@@ -0,0 +1,238 @@
+// ===== ACCESSIBILITY =====
+// 스크린 리더 안내(aria-live)와 "움직임 줄이기" 설정을 관리합니다.
+// 이 파일은 <head>에서 theme.js 다음에 로드됩니다.
+// 움직임 설정을 본문이 그려지기 전에 적용해야 첫 등장 애니메이션부터 설정을 따릅니다.
+
+/**
+ * 접근성 설정
+ *
+ * - motionStorageKey: 페이지의 "움직임 줄이기" 토글 선택을 저장하는 storage 키
+ *   ('reduce' | 'full', 저장된 값이 없으면 OS 설정을 따름)
+ * - announceDelay: 안내 문구를 넣기 전에 비워 두는 시간 (밀리초)
+ *   같은 문구를 연달아 넣어도 스크린 리더가 다시 읽도록 잠깐 비웠다가 넣음
+ */
+const A11Y_CONFIG = {
+    motionStorageKey: 'nexus_motion',
+    announceDelay: 100
+};
+
+const MOTION_MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * 저장된 움직임 설정을 반환합니다
+ *
+ * @returns {string} 'system' | 'reduce' | 'full'
+ */
+function getMotionPreference() {
+    const saved = storage.get(A11Y_CONFIG.motionStorageKey);
+    return saved === 'reduce' || saved === 'full' ? saved : 'system';
+}
+
+/**
+ * 설정을 실제로 적용할 값으로 바꿉니다
+ *
+ * @param {string} preference - 'system' | 'reduce' | 'full'
+ * @returns {string} 'reduce' | 'full'
+ */
+function resolveMotion(preference) {
+    if (preference !== 'system') return preference;
+    return window.matchMedia && window.matchMedia(MOTION_MEDIA_QUERY).matches ? 'reduce' : 'full';
+}
+
+/**
+ * <html data-motion>을 설정합니다
+ *
+ * CSS(main.css의 [data-motion="reduce"])와 prefersReducedMotion()은 이 값만 봅니다.
+ * (이 스크립트가 실행되기 전이나 JS가 꺼져 있을 때는 responsive.css의 prefers-reduced-motion 규칙이 대신함)
+ *
+ * @param {string} preference - 'system' | 'reduce' | 'full'
+ * @returns {string} 적용된 값 ('reduce' | 'full')
+ */
+function applyMotion(preference) {
+    const motion = resolveMotion(preference);
+    document.documentElement.dataset.motion = motion;
+    return motion;
+}
+
+// 첫 렌더 전에 바로 적용
+applyMotion(getMotionPreference());
+
+// politeness별 대기 중인 안내 타이머
+const announceTimers = {};
+
+/**
+ * 화면에 보이지 않는 aria-live 영역을 반환합니다 (없으면 만듦)
+ *
+ * @param {string} politeness - 'polite' | 'assertive'
+ * @returns {Element}
+ */
+function getLiveRegion(politeness) {
+    const id = `a11yLive-${politeness}`;
+    let region = document.getElementById(id);
+
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    return region;
+}
+
+/**
+ * 스크린 리더에게 문구를 읽어 줍니다
+ *
+ * 화면에는 이미 결과가 보이지만 포커스가 그 자리에 없는 경우에 사용합니다.
+ * (폼 전송 결과, 클립보드 복사 결과, 섹션 이동 등)
+ *
+ * @param {string} message - 읽을 문구 (번역된 문자열)
+ * @param {Object} options
+ * @param {string} options.politeness - 'polite'(기본, 읽던 것을 마친 뒤) | 'assertive'(바로 끊고 읽음, 오류에만)
+ *
+ * 예시:
+ * announce(t('lead.success'));
+ * announce(t('lead.error.rejected'), { politeness: 'assertive' });
+ */
+function announce(message, { politeness = 'polite' } = {}) {
+    if (!message) return;
+
+    const region = getLiveRegion(politeness);
+    region.textContent = '';
+
+    clearTimeout(announceTimers[politeness]);
+    announceTimers[politeness] = setTimeout(() => {
+        region.textContent = message;
+    }, A11Y_CONFIG.announceDelay);
+}
+
+/**
+ * A11yManager 클래스
+ *
+ * 역할:
+ * - aria-live 영역을 미리 만들어 둠 (영역이 안내 직전에 생기면 일부 스크린 리더가 읽지 않음)
+ * - 네비게이션으로 섹션을 이동하면 이동한 섹션 이름을 안내 ('navigation:section' 이벤트)
+ * - 네비게이션 바의 "움직임 줄이기" 버튼(#motionToggle)으로 OS 설정과 다르게 고를 수 있음
+ * - 선택을 storage에 저장하고, 저장된 선택이 없으면 OS 설정이 바뀔 때 바로 따라감
+ * - 움직임 설정이 바뀌면 'motion:change' 이벤트 발생 (AnimationManager, ScreenshotCarousel이 구독)
+ *
+ * 'motion:change' 이벤트의 detail:
+ * {preference: 'system' | 'reduce' | 'full', reduced: 움직임을 줄이는지 여부}
+ *
+ * 본문으로 건너뛰기 링크는 JavaScript 없이도 동작하도록 index.html에 있습니다. (.skip-link)
+ */
+class A11yManager {
+    /**
+     * @param {Object} config - 접근성 설정 (기본값: A11Y_CONFIG)
+     */
+    constructor(config = A11Y_CONFIG) {
+        this.config = config;
+        this.preference = getMotionPreference();
+        this.motion = resolveMotion(this.preference);
+        this.toggle = null;
+        this.mediaQuery = window.matchMedia ? window.matchMedia(MOTION_MEDIA_QUERY) : null;
+        this.listeners = createListenerRegistry();
+
+        this.handleToggleClick = this.handleToggleClick.bind(this);
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.handleSectionChange = this.handleSectionChange.bind(this);
+        this.updateToggle = this.updateToggle.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        getLiveRegion('polite');
+        getLiveRegion('assertive');
+
+        this.toggle = getElement('#motionToggle');
+        if (this.toggle) {
+            this.listeners.add(this.toggle, 'click', this.handleToggleClick);
+            this.listeners.add(document, 'i18n:change', this.updateToggle); // 라벨 다시 번역
+            this.updateToggle();
+        }
+
+        if (this.mediaQuery) {
+            this.listeners.add(this.mediaQuery, 'change', this.handleSystemChange);
+        }
+
+        this.listeners.add(document, 'navigation:section', this.handleSectionChange);
+    }
+
+    /**
+     * 움직임 설정을 바꿉니다
+     *
+     * @param {string} preference - 'system' | 'reduce' | 'full'
+     */
+    setMotion(preference) {
+        this.preference = preference;
+        if (preference === 'system') {
+            storage.remove(this.config.motionStorageKey);
+        } else {
+            storage.set(this.config.motionStorageKey, preference);
+        }
+        this.apply();
+    }
+
+    /**
+     * 현재 설정을 적용하고, 실제 값이 바뀌었으면 이벤트를 보냅니다
+     */
+    apply() {
+        const previous = this.motion;
+        this.motion = applyMotion(this.preference);
+        this.updateToggle();
+        if (this.motion === previous) return;
+
+        document.dispatchEvent(new CustomEvent('motion:change', {
+            detail: { preference: this.preference, reduced: this.motion === 'reduce' }
+        }));
+    }
+
+    /**
+     * 토글 버튼: 지금 상태의 반대를 저장 (OS 설정보다 우선)
+     */
+    handleToggleClick() {
+        this.setMotion(this.motion === 'reduce' ? 'full' : 'reduce');
+        announce(t(this.motion === 'reduce' ? 'a11y.motionReduced' : 'a11y.motionRestored'));
+    }
+
+    /**
+     * OS의 움직임 줄이기 설정이 바뀌었을 때 (페이지에서 고른 적이 없을 때만 따라감)
+     */
+    handleSystemChange() {
+        if (this.preference === 'system') this.apply();
+    }
+
+    /**
+     * 이동한 섹션의 제목을 안내합니다
+     */
+    handleSectionChange(event) {
+        const section = document.getElementById(event.detail.id);
+        if (!section) return;
+
+        const heading = section.querySelector('h1, h2');
+        const name = section.getAttribute('aria-label') || (heading && heading.textContent.trim());
+        if (name) announce(t('a11y.sectionChange', { section: name }));
+    }
+
+    /**
+     * 토글 버튼의 눌림 상태와 라벨을 맞춥니다
+     *
+     * 라벨은 "움직임 줄이기"로 고정하고, 켜짐/꺼짐은 aria-pressed로 알려줍니다.
+     */
+    updateToggle() {
+        if (!this.toggle) return;
+
+        const label = t('a11y.motionToggle');
+        this.toggle.setAttribute('aria-pressed', String(this.motion === 'reduce'));
+        this.toggle.setAttribute('aria-label', label);
+        this.toggle.title = label;
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        Object.keys(announceTimers).forEach(politeness => clearTimeout(announceTimers[politeness]));
+        this.toggle = null;
+    }
+}
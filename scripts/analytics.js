@@ -0,0 +1,446 @@
+// ===== ANALYTICS =====
+// 어떤 CTA가 실제로 다운로드로 이어지는지 알기 위한 클라이언트 분석 모듈입니다.
+// 이벤트를 큐에 모았다가 한 번에(배치) 서버로 보냅니다.
+
+/**
+ * 분석 설정
+ *
+ * - endpoint: 이벤트를 받을 서버 주소 (POST, JSON)
+ * - debug: true면 서버로 보내지 않고 콘솔에만 출력 (URL에 ?debug=analytics 로도 켤 수 있음)
+ * - batchSize: 큐에 이만큼 쌓이면 바로 전송
+ * - flushInterval: 주기적 전송 간격 (밀리초)
+ * - maxQueueSize: 전송 실패가 계속될 때 큐가 무한히 커지지 않도록 하는 상한
+ * - sessionTimeout: 이 시간 동안 활동이 없으면 새 세션으로 봄 (밀리초)
+ */
+const ANALYTICS_CONFIG = {
+    endpoint: '/api/analytics/collect',
+    debug: false,
+    batchSize: 20,
+    flushInterval: 15000,
+    maxQueueSize: 200,
+    sessionTimeout: 30 * 60 * 1000
+};
+
+/**
+ * storage에 저장하는 키들
+ */
+const ANALYTICS_STORAGE_KEYS = {
+    queue: 'nexus_analytics_queue',
+    attribution: 'nexus_attribution',
+    visitor: 'nexus_visitor_id',
+    session: 'nexus_session'
+};
+
+/**
+ * UTM 파라미터 이름 (광고/캠페인 유입 경로)
+ */
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Analytics 클래스
+ *
+ * 역할:
+ * - 유입 경로(UTM 파라미터, 외부 referrer)를 첫 방문/최근 방문으로 나눠 storage에 저장
+ * - 페이지 뷰, 섹션 노출(Intersection Observer), CTA 클릭(data-track 속성)을 기록
+ * - 이벤트를 storage에 저장된 큐에 쌓았다가 배치로 전송
+ * - 페이지를 떠날 때(pagehide) navigator.sendBeacon으로 남은 이벤트 전송
+ * - 방문자가 통계 수집에 동의한 경우에만 동작 (consent.js의 'analytics' 항목)
+ *   동의를 나중에 하면 그때 시작하고, 철회하면 바로 멈추고 저장된 기록(방문자 ID, 실험 배정 포함)을 지움
+ *
+ * CTA 추적 방법 (HTML만 수정하면 됨):
+ * <a href="#download" data-track="hero_download">무료 다운로드</a>
+ * <a href="#demo" data-track="hero_demo" data-track-variant="b">데모 보기</a>
+ * -> cta_click 이벤트 {cta: 'hero_download', text: '무료 다운로드', href: '#download', variant: 'b'}
+ */
+class Analytics {
+    /**
+     * @param {Object} config - 분석 설정 (기본값: ANALYTICS_CONFIG)
+     */
+    constructor(config = ANALYTICS_CONFIG) {
+        this.config = {
+            ...config,
+            debug: config.debug || urlParams.get('debug') === 'analytics'
+        };
+        this.queue = [];
+        this.isTracking = false;
+        this.sectionObserver = null;
+        this.flushTimer = null;
+        this.listeners = createListenerRegistry(); // 수집 중에만 등록하는 리스너
+        this.consentListeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDownloadClick = this.handleDownloadClick.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.handlePricingChange = this.handlePricingChange.bind(this);
+        this.handleLeadSubmit = this.handleLeadSubmit.bind(this);
+        this.handleExperimentExposure = this.handleExperimentExposure.bind(this);
+        this.handleAppInstall = this.handleAppInstall.bind(this);
+        this.handleShareClick = this.handleShareClick.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleConsentChange = this.handleConsentChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.consentListeners.add(document, 'consent:change', this.handleConsentChange);
+        if (hasConsent('analytics')) this.start();
+    }
+
+    /**
+     * 수집을 시작합니다 (동의했을 때)
+     */
+    start() {
+        if (this.isTracking) return;
+        this.isTracking = true;
+
+        this.queue = storage.get(ANALYTICS_STORAGE_KEYS.queue, []); // 지난 방문에 못 보낸 이벤트 포함
+        this.visitorId = this.getVisitorId();
+        this.attribution = this.captureAttribution();
+
+        this.trackPageView();
+        this.setupSectionTracking();
+
+        this.listeners.add(document, 'click', this.handleClick);
+        this.listeners.add(document, 'download:click', this.handleDownloadClick);
+        this.listeners.add(document, 'i18n:change', this.handleLocaleChange);
+        this.listeners.add(document, 'pricing:change', this.handlePricingChange);
+        this.listeners.add(document, 'lead:submit', this.handleLeadSubmit);
+        this.listeners.add(document, 'experiment:exposure', this.handleExperimentExposure);
+        this.listeners.add(document, 'pwa:install', this.handleAppInstall);
+        this.listeners.add(document, 'share:click', this.handleShareClick);
+
+        // pagehide: 탭 닫기, 다른 페이지로 이동, 모바일에서 앱 전환 등
+        // visibilitychange(hidden): 모바일 브라우저는 pagehide 없이 종료되는 경우가 있어 함께 사용
+        this.listeners.add(window, 'pagehide', this.handlePageHide);
+        this.listeners.add(document, 'visibilitychange', this.handleVisibilityChange);
+
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+    }
+
+    /**
+     * 수집을 멈춥니다
+     *
+     * @param {Object} options
+     * @param {boolean} options.clear - 보내지 않은 이벤트, 유입 경로, 방문자 ID와 실험 배정도 지울지 여부 (동의 철회)
+     */
+    stop({ clear = false } = {}) {
+        if (clear) {
+            // 이번 페이지에서 수집을 시작하지 않았어도 지난 방문에 남긴 기록은 지움
+            this.queue = [];
+            this.visitorId = null;
+            Object.values(ANALYTICS_STORAGE_KEYS)
+                .concat(EXPERIMENT_CONFIG.storageKey)
+                .forEach(key => storage.remove(key));
+        }
+
+        if (!this.isTracking) return;
+        this.isTracking = false;
+
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.listeners.removeAll();
+
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+            this.sectionObserver = null;
+        }
+    }
+
+    /**
+     * 동의 항목이 바뀌었을 때 수집을 시작하거나 멈춤
+     */
+    handleConsentChange(event) {
+        if (event.detail.categories.analytics) {
+            this.start();
+        } else {
+            this.stop({ clear: true });
+        }
+    }
+
+    /**
+     * 방문자 ID (브라우저마다 고정)
+     */
+    getVisitorId() {
+        let visitorId = storage.get(ANALYTICS_STORAGE_KEYS.visitor);
+        if (!visitorId) {
+            visitorId = generateId('v');
+            storage.set(ANALYTICS_STORAGE_KEYS.visitor, visitorId);
+        }
+        return visitorId;
+    }
+
+    /**
+     * 세션 ID
+     *
+     * 마지막 활동 후 sessionTimeout이 지나면 새 세션을 시작합니다.
+     */
+    getSessionId() {
+        const now = Date.now();
+        let session = storage.get(ANALYTICS_STORAGE_KEYS.session);
+
+        if (!session || now - session.lastActivity > this.config.sessionTimeout) {
+            session = { id: generateId('s'), startedAt: now, lastActivity: now };
+        }
+
+        session.lastActivity = now;
+        storage.set(ANALYTICS_STORAGE_KEYS.session, session);
+        return session.id;
+    }
+
+    /**
+     * 유입 경로 저장
+     *
+     * - first: 처음 들어왔을 때의 경로 (한 번 저장하면 바뀌지 않음)
+     * - last: 가장 최근에 UTM이나 외부 referrer를 가지고 들어온 경로
+     * 같은 사이트 안에서의 이동(referrer가 우리 도메인)은 새 유입으로 보지 않습니다.
+     *
+     * @returns {Object} {first, last}
+     */
+    captureAttribution() {
+        const params = urlParams.getAll();
+        const touch = {};
+
+        UTM_PARAMS.forEach(key => {
+            if (params[key]) touch[key] = params[key];
+        });
+
+        if (document.referrer) {
+            try {
+                const referrer = new URL(document.referrer);
+                if (referrer.hostname !== window.location.hostname) touch.referrer = referrer.href;
+            } catch (error) {
+                // 잘못된 referrer는 무시
+            }
+        }
+
+        const saved = storage.get(ANALYTICS_STORAGE_KEYS.attribution, {});
+        const hasNewTouch = Object.keys(touch).length > 0;
+
+        if (hasNewTouch) {
+            touch.landingPage = window.location.pathname;
+            touch.timestamp = Date.now();
+        }
+
+        const attribution = {
+            first: saved.first || (hasNewTouch ? touch : { direct: true, timestamp: Date.now() }),
+            last: hasNewTouch ? touch : (saved.last || null)
+        };
+
+        storage.set(ANALYTICS_STORAGE_KEYS.attribution, attribution);
+        return attribution;
+    }
+
+    /**
+     * 이벤트를 기록합니다
+     *
+     * @param {string} name - 이벤트 이름 (예: 'cta_click')
+     * @param {Object} props - 추가 정보
+     */
+    track(name, props = {}) {
+        if (!this.isTracking) return; // 동의하지 않았으면 기록하지 않음
+
+        const event = {
+            name,
+            props,
+            timestamp: Date.now(),
+            page: window.location.pathname + window.location.search,
+            sessionId: this.getSessionId(),
+            visitorId: this.visitorId
+        };
+
+        if (this.config.debug) console.log('[Analytics]', name, props);
+
+        this.queue.push(event);
+        // 상한을 넘으면 오래된 이벤트부터 버림
+        if (this.queue.length > this.config.maxQueueSize) {
+            this.queue.splice(0, this.queue.length - this.config.maxQueueSize);
+        }
+        this.persistQueue();
+
+        if (this.queue.length >= this.config.batchSize) this.flush();
+    }
+
+    trackPageView() {
+        this.track('page_view', {
+            title: document.title,
+            referrer: document.referrer || null,
+            language: navigator.language,
+            locale: getLocale() // 실제로 보여준 페이지 언어
+        });
+    }
+
+    /**
+     * 섹션 노출 추적
+     *
+     * id가 있는 섹션이 절반 이상 보이면 페이지당 한 번 section_view를 기록합니다.
+     */
+    setupSectionTracking() {
+        const sections = Array.from(getElement('section[id]', true) || []);
+        if (!sections.length) return;
+
+        this.sectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.sectionObserver.unobserve(entry.target); // 한 번만
+                this.track('section_view', { section: entry.target.id });
+            });
+        }, { threshold: 0.5 });
+
+        sections.forEach(section => this.sectionObserver.observe(section));
+    }
+
+    /**
+     * data-track 속성이 있는 요소의 클릭 기록 (이벤트 위임)
+     */
+    handleClick(event) {
+        const element = event.target.closest('[data-track]');
+        if (!element) return;
+
+        const props = {
+            cta: element.dataset.track,
+            text: element.textContent.trim().replace(/\s+/g, ' '),
+            href: element.getAttribute('href') || null
+        };
+
+        // data-track-* 속성은 추가 정보로 함께 기록 (data-track-variant -> variant)
+        Object.keys(element.dataset).forEach(key => {
+            if (key.startsWith('track') && key !== 'track') {
+                const prop = key.charAt(5).toLowerCase() + key.slice(6);
+                props[prop] = element.dataset[key];
+            }
+        });
+
+        this.track('cta_click', props);
+    }
+
+    /**
+     * 다운로드 모듈이 보내는 'download:click' 이벤트 기록
+     */
+    handleDownloadClick(event) {
+        this.track('download_click', { ...event.detail });
+    }
+
+    /**
+     * 언어 선택 메뉴로 언어를 바꾼 기록
+     */
+    handleLocaleChange(event) {
+        this.track('locale_change', { ...event.detail });
+    }
+
+    /**
+     * 요금제 섹션의 결제 주기/통화 변경 기록
+     */
+    handlePricingChange(event) {
+        this.track('pricing_change', { ...event.detail });
+    }
+
+    /**
+     * 소식 받기 폼 제출 기록 (이메일은 LeadForm이 보내지 않음)
+     */
+    handleLeadSubmit(event) {
+        this.track('lead_submit', { ...event.detail });
+    }
+
+    /**
+     * A/B 실험 노출 기록 (ExperimentManager가 실험마다 세션당 한 번 보냄)
+     */
+    handleExperimentExposure(event) {
+        this.track('experiment_exposure', { ...event.detail });
+    }
+
+    /**
+     * 홈 화면 설치 결과 기록 (PwaManager가 보냄)
+     */
+    handleAppInstall(event) {
+        this.track('app_install', { ...event.detail });
+    }
+
+    /**
+     * 섹션/팀 카드 링크 공유 기록 (ShareManager가 보냄)
+     */
+    handleShareClick(event) {
+        this.track('share', { ...event.detail });
+    }
+
+    handlePageHide() {
+        this.flush();
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') this.flush();
+    }
+
+    persistQueue() {
+        storage.set(ANALYTICS_STORAGE_KEYS.queue, this.queue);
+    }
+
+    /**
+     * 큐에 쌓인 이벤트를 전송합니다
+     *
+     * sendBeacon은 페이지가 닫히는 중에도 브라우저가 끝까지 보내주는 API입니다.
+     * 한 번에 보낼 수 있는 크기 제한(약 64KB)이 있어서 batchSize 단위로 나눠 보냅니다.
+     * 전송에 실패한 이벤트는 큐에 남겨 다음 기회(또는 다음 방문)에 다시 보냅니다.
+     */
+    flush() {
+        if (!this.queue.length) return;
+
+        if (this.config.debug) {
+            console.table(this.queue.map(({ name, timestamp, props }) => ({
+                name,
+                time: new Date(timestamp).toLocaleTimeString(),
+                props: JSON.stringify(props)
+            })));
+            this.queue = [];
+            this.persistQueue();
+            return;
+        }
+
+        while (this.queue.length) {
+            const batch = this.queue.slice(0, this.config.batchSize);
+            const payload = JSON.stringify({
+                events: batch,
+                attribution: this.attribution,
+                sentAt: Date.now()
+            });
+
+            if (!this.send(payload)) break; // 실패하면 남은 이벤트는 다음에
+            this.queue.splice(0, batch.length);
+        }
+
+        this.persistQueue();
+    }
+
+    /**
+     * 페이로드 하나를 전송합니다
+     *
+     * @param {string} payload - JSON 문자열
+     * @returns {boolean} 브라우저가 전송을 접수했으면 true
+     */
+    send(payload) {
+        try {
+            if (navigator.sendBeacon) {
+                return navigator.sendBeacon(this.config.endpoint, new Blob([payload], { type: 'application/json' }));
+            }
+
+            // sendBeacon이 없는 브라우저: keepalive로 페이지가 닫혀도 요청 유지
+            fetch(this.config.endpoint, {
+                method: 'POST',
+                body: payload,
+                headers: { 'Content-Type': 'application/json' },
+                keepalive: true
+            }).catch(error => console.error('Error sending analytics:', error));
+            return true;
+        } catch (error) {
+            console.error('Error sending analytics:', error);
+            return false;
+        }
+    }
+
+    destroy() {
+        if (this.isTracking) this.flush();
+        this.stop();
+        this.consentListeners.removeAll();
+    }
+}
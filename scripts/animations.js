@@ -14,11 +14,21 @@
  * 1. .fade-in 클래스를 가진 요소들을 찾음
  * 2. Intersection Observer로 화면에 들어오는지 감시
  * 3. 화면에 들어오면 .visible 클래스 추가 -> CSS 애니메이션 시작
+ * 
+ * 움직임 줄이기 설정이 페이지를 보는 중에 바뀌면('motion:change') 애니메이션을 멈추거나 다시 켭니다.
  */
 class AnimationManager {
     constructor() {
         this.observer = null; // Intersection Observer 인스턴스
+        this.counterObserver = null; // 숫자 카운터 전용 Observer
+        this.counterAnimations = new Map(); // 진행 중인 카운터 애니메이션 (요소 -> tween 핸들)
         this.animatedElements = new Set(); // 이미 애니메이션된 요소들 (중복 방지)
+        this.listeners = createListenerRegistry(); // destroy() 때 한 번에 제거할 리스너들
+        this.navbar = null; // 스크롤 효과 대상 네비바
+        this.progressBar = null; // 읽기 진행률 막대 (선택)
+        this.unsubscribeScroll = null; // 네비바 스크롤 효과의 frameScheduler 구독 해제 함수
+        this.handleContentRender = this.handleContentRender.bind(this);
+        this.handleMotionChange = this.handleMotionChange.bind(this);
         this.init(); // 초기화 시작
     }
 
@@ -29,9 +39,21 @@ class AnimationManager {
      * 켜져 있으면 모든 애니메이션을 비활성화합니다 (접근성 고려)
      */
     init() {
+        // content.json으로 나중에 그려지는 카드들도 애니메이션 대상으로 등록
+        this.listeners.add(document, 'content:render', this.handleContentRender);
+        this.listeners.add(document, 'motion:change', this.handleMotionChange);
+
+        this.start();
+    }
+
+    /**
+     * 현재 움직임 설정에 맞게 애니메이션을 시작합니다
+     */
+    start() {
         // 애니메이션 감소 설정 확인 (멀미 예방 등)
         if (prefersReducedMotion()) {
             this.disableAnimations(); // 모든 애니메이션 즉시 완료 상태로
+            this.setupScrollAnimations({ hideOnScroll: false }); // 네비바 상태 변화만 (움직임 없이)
             return;
         }
 
@@ -61,16 +83,451 @@ class AnimationManager {
 
         // Observer 생성
         this.observer = new IntersectionObserver((entries) => {
+            const entering = [];
+
             entries.forEach(entry => {
-                // 요소가 화면에 들어왔고, 이직 애니메이션 안 했으면
-                if (entry.isIntersection && !this.animatedElements.has(entry.target)) {
-                    this.animatedElement(entry.target); // 애니메이션 시작
-                    this.animatedElements.add(entry.target); // 중복 방지용 기록
+                const element = entry.target;
+                const repeat = AnimationManager.isRepeating(element);
+
+                if (entry.isIntersecting) {
+                    // 요소가 화면에 들어왔고, 아직 애니메이션 안 했으면
+                    if (!this.animatedElements.has(element)) entering.push(element);
+                } else if (repeat && this.animatedElements.has(element)) {
+                    // data-repeat: 화면을 벗어나면 초기 상태로 되돌려 다음 진입 때 다시 재생
+                    this.resetElement(element);
                 }
             });
+
+            // 같은 그리드에서 함께 들어온 요소들은 문서 순서대로 시차(stagger)를 둠
+            entering
+                .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+                .forEach(element => {
+                    const delay = this.getRevealDelay(element, entering);
+                    this.animatedElement(element, delay); // 애니메이션 시작
+                    this.animatedElements.add(element); // 중복 방지용 기록
+
+                    // 한 번만 재생하는 요소는 더 이상 감시할 필요 없음
+                    if (!AnimationManager.isRepeating(element)) this.observer.unobserve(element);
+                });
         }, options);
 
-        // 페이지의 모든 .fade-in 요소들을 찾아서 감시 시작
+        // 페이지의 모든 애니메이션 요소들을 찾아서 감시 시작
         this.observeFadeElements(); 
     }
-}
\ No newline at end of file
+
+    /**
+     * 감시할 요소들을 Observer에 등록합니다
+     * 
+     * data-animation 속성이 있으면 그에 맞는 CSS 클래스로 바꿔 준 뒤 감시합니다.
+     * 예: <div data-animation="slide-left"> -> .fade-in-left 클래스 추가
+     * 
+     * @param {Element|Document} root - 요소를 찾을 범위 (기본값: document)
+     */
+    observeFadeElements(root = document) {
+        root.querySelectorAll(AnimationManager.REVEAL_SELECTOR).forEach(element => {
+            this.prepareRevealElement(element);
+            this.observer.observe(element);
+        });
+    }
+
+    /**
+     * data-animation 값에 맞는 클래스를 요소에 적용합니다
+     * 
+     * @param {Element} element - 애니메이션할 요소
+     */
+    prepareRevealElement(element) {
+        const type = element.dataset.animation;
+        if (!type) return; // 클래스로 직접 지정한 경우 그대로 사용
+
+        let className = AnimationManager.REVEAL_ANIMATIONS[type];
+        if (!className) {
+            console.warn(`[AnimationManager] Unknown data-animation "${type}", falling back to "fade"`, element);
+            className = AnimationManager.REVEAL_ANIMATIONS.fade;
+        }
+
+        Object.values(AnimationManager.REVEAL_ANIMATIONS).forEach(name => element.classList.remove(name));
+        element.classList.add(className);
+    }
+
+    /**
+     * 요소의 등장 지연 시간을 계산합니다
+     * 
+     * 우선순위:
+     * 1. data-delay가 있으면 그 값 (밀리초)
+     * 2. 시차 컨테이너(.features-grid 등) 안이면, 이번에 함께 들어온 형제들 중 순서 × 간격
+     * 3. 둘 다 아니면 0
+     * 
+     * 함께 들어온 요소끼리만 순서를 세므로, 아래 줄 카드가 나중에 들어올 때
+     * 지연이 계속 누적되지 않습니다.
+     * 
+     * @param {Element} element - 애니메이션할 요소
+     * @param {Element[]} batch - 이번 콜백에서 함께 화면에 들어온 요소들 (문서 순서)
+     * @returns {number} 지연 시간 (밀리초)
+     */
+    getRevealDelay(element, batch) {
+        const explicit = parseInt(element.dataset.delay, 10);
+        if (!Number.isNaN(explicit)) return explicit;
+
+        const container = element.parentElement && element.parentElement.closest(AnimationManager.STAGGER_SELECTOR);
+        if (!container) return 0;
+
+        const step = parseInt(container.dataset.stagger, 10);
+        const siblings = batch.filter(el => el.parentElement && el.parentElement.closest(AnimationManager.STAGGER_SELECTOR) === container);
+        return siblings.indexOf(element) * (Number.isNaN(step) ? AnimationManager.STAGGER_STEP : step);
+    }
+
+    /**
+     * 요소가 화면에 들어올 때마다 다시 재생하는지 확인합니다
+     * 
+     * <div data-repeat> 또는 <div data-repeat="true">면 반복, 없거나 "false"면 한 번만
+     */
+    static isRepeating(element) {
+        return element.hasAttribute('data-repeat') && element.dataset.repeat !== 'false';
+    }
+
+    /**
+     * 요소에 애니메이션을 적용합니다
+     * 
+     * .visible 클래스만 추가하면 나머지는 CSS transition이 처리합니다.
+     * data-delay/data-duration은 인라인 transition 값으로 적용하고,
+     * 등장이 끝나면 지워서 이후의 hover 효과가 느려지지 않게 합니다.
+     * 
+     * @param {Element} element - 애니메이션할 요소
+     * @param {number} delay - 지연 시간 (밀리초)
+     */
+    animatedElement(element, delay = 0) {
+        const duration = parseInt(element.dataset.duration, 10);
+
+        if (delay > 0) element.style.transitionDelay = `${delay}ms`;
+        if (!Number.isNaN(duration)) element.style.transitionDuration = `${duration}ms`;
+
+        if (element.style.transitionDelay || element.style.transitionDuration) {
+            const clearTiming = (event) => {
+                if (event.target !== element || event.propertyName !== 'opacity') return;
+                element.style.transitionDelay = '';
+                element.style.transitionDuration = '';
+                element.removeEventListener('transitionend', clearTiming);
+            };
+            element.addEventListener('transitionend', clearTiming);
+        }
+
+        element.classList.add('visible');
+    }
+
+    /**
+     * 반복 재생 요소를 초기 상태로 되돌립니다
+     * 
+     * @param {Element} element - 되돌릴 요소
+     */
+    resetElement(element) {
+        element.style.transitionDelay = '';
+        element.classList.remove('visible');
+        this.animatedElements.delete(element);
+    }
+
+    /**
+     * content.json으로 새로 그려진 영역의 요소들을 등록합니다
+     * 
+     * ContentRenderer가 보내는 'content:render' 이벤트를 받아 처리합니다.
+     */
+    handleContentRender(event) {
+        event.detail.containers.forEach(container => {
+            if (!this.observer) {
+                this.disableAnimations(container); // 애니메이션 감소 설정
+                return;
+            }
+            this.observeFadeElements(container);
+            this.observeCounters(container);
+        });
+    }
+
+    /**
+     * 움직임 설정이 바뀌었을 때 (A11yManager의 'motion:change')
+     * 
+     * 진행 중인 애니메이션을 모두 끝낸 상태로 멈추고, 새 설정으로 다시 시작합니다.
+     * 이미 나타난 요소와 다 센 카운터는 다시 재생하지 않습니다.
+     */
+    handleMotionChange() {
+        this.stop();
+        this.start();
+    }
+
+    /**
+     * Observer와 진행 중인 애니메이션을 멈춥니다 (요소는 최종 상태로)
+     */
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.counterObserver) {
+            this.counterObserver.disconnect();
+            this.counterObserver = null;
+        }
+
+        // 세던 카운터와 아직 0인 카운터는 최종 값으로 (data-count-original은 남겨서 다시 등록되지 않게)
+        this.counterAnimations.forEach(animation => animation.cancel());
+        this.counterAnimations.clear();
+        getElement('[data-count-original]', true).forEach(element => {
+            element.textContent = element.dataset.countOriginal;
+        });
+
+        if (this.unsubscribeScroll) {
+            this.unsubscribeScroll();
+            this.unsubscribeScroll = null;
+        }
+        if (this.navbar) this.navbar.classList.remove('navbar-hidden');
+    }
+
+    /**
+     * 모든 애니메이션을 비활성화합니다
+     * 
+     * 요소들을 처음부터 최종 상태(.visible)로 보여줍니다.
+     * 숫자 카운터는 건드리지 않으므로 HTML에 적힌 최종 값이 그대로 보입니다.
+     * 
+     * @param {Element|Document} root - 요소를 찾을 범위 (기본값: document)
+     */
+    disableAnimations(root = document) {
+        root.querySelectorAll(AnimationManager.REVEAL_SELECTOR).forEach(element => {
+            this.prepareRevealElement(element);
+            element.classList.add('visible');
+        });
+    }
+
+    /**
+     * 네비바 스크롤 효과 설정
+     * 
+     * - 히어로 섹션을 지나면 .scrolled(작고 진한) 상태로 전환
+     * - 아래로 스크롤하면 네비바를 숨기고(.navbar-hidden), 위로 스크롤하면 다시 표시
+     * - #navbar에 data-scroll-progress 속성이 있으면 하단에 읽기 진행률 막대 표시
+     * 
+     * frameScheduler에 구독해서 프레임당 한 번만 실행됩니다.
+     * read에서 높이와 위치를 모두 측정하고, write에서 클래스와 스타일만 바꿉니다.
+     * 
+     * @param {Object} options
+     * @param {boolean} options.hideOnScroll - 스크롤 방향에 따라 숨김/표시할지 여부
+     */
+    setupScrollAnimations({ hideOnScroll = true } = {}) {
+        const navbar = getElement('#navbar');
+        if (!navbar) return;
+
+        const isFirstSetup = !this.navbar; // 움직임 설정이 바뀌어 다시 호출되는 경우와 구분
+        this.navbar = navbar;
+        this.lastScrollY = getScrollPosition().y;
+
+        const hero = getElement('#home');
+        const tolerance = 8; // 이 이하의 작은 움직임은 방향 전환으로 보지 않음 (떨림 방지)
+
+        // 진행률 막대는 HTML에서 켠 경우에만 생성
+        if (navbar.hasAttribute('data-scroll-progress') && !this.progressBar) {
+            this.progressBar = document.createElement('div');
+            this.progressBar.className = 'scroll-progress';
+            this.progressBar.setAttribute('aria-hidden', 'true'); // 시각적 장식
+            this.progressBar.innerHTML = '<span class="scroll-progress-bar"></span>';
+            navbar.appendChild(this.progressBar);
+        }
+
+        const read = ({ scroll, viewport }) => {
+            const navbarHeight = navbar.offsetHeight;
+            return {
+                y: scroll.y,
+                navbarHeight,
+                heroEnd: hero ? hero.offsetTop + hero.offsetHeight - navbarHeight : 50,
+                scrollable: document.documentElement.scrollHeight - viewport.height,
+                // 모바일 메뉴가 열려 있거나 네비바 안에 키보드 포커스가 있으면 숨기지 않음
+                keepVisible: document.body.classList.contains('menu-open') ||
+                    navbar.contains(document.activeElement) ||
+                    scroll.y <= navbarHeight
+            };
+        };
+
+        const write = (frame, { y, heroEnd, scrollable, keepVisible }) => {
+            // 1. 히어로를 지났는지
+            navbar.classList.toggle('scrolled', y > heroEnd);
+
+            // 2. 스크롤 방향에 따라 숨김/표시
+            if (hideOnScroll) {
+                const delta = y - this.lastScrollY;
+
+                if (keepVisible || delta < -tolerance) {
+                    navbar.classList.remove('navbar-hidden');
+                } else if (delta > tolerance) {
+                    navbar.classList.add('navbar-hidden');
+                }
+
+                // 방향 판단 기준점은 tolerance를 넘었을 때만 갱신
+                if (Math.abs(delta) > tolerance) this.lastScrollY = y;
+            }
+
+            // 3. 읽기 진행률 (0 ~ 1)
+            if (this.progressBar) {
+                const progress = scrollable > 0 ? Math.min(y / scrollable, 1) : 0;
+                this.progressBar.firstElementChild.style.transform = `scaleX(${progress})`;
+            }
+        };
+
+        this.unsubscribeScroll = frameScheduler.subscribe({ read, write });
+
+        // 메뉴가 열리면 숨겨져 있던 네비바를 바로 보여줌
+        if (isFirstSetup) this.listeners.add(getElement('#mobileMenuToggle'), 'click', () => frameScheduler.request());
+
+        frameScheduler.request(); // 새로고침 후 중간 위치에서 시작하는 경우
+    }
+
+    /**
+     * 숫자 카운터 애니메이션 설정
+     * 
+     * .stat-number의 텍스트("50K+", "1M+", "99.9%")를 숫자와 단위로 나누고,
+     * 화면에 들어오면 0부터 목표 숫자까지 올라가는 애니메이션을 실행합니다.
+     * 마지막에는 원래 텍스트를 그대로 다시 넣어 반올림 오차가 남지 않게 합니다.
+     */
+    setupCounterAnimations() {
+        this.counterObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.counterObserver.unobserve(entry.target); // 한 번만 실행
+                this.animateCounter(entry.target);
+            });
+        }, { threshold: 0.5 }); // 절반 이상 보일 때 시작
+
+        this.observeCounters();
+    }
+
+    /**
+     * .stat-number 요소들을 0으로 바꾸고 카운터 Observer에 등록합니다
+     * 
+     * @param {Element|Document} root - 요소를 찾을 범위 (기본값: document)
+     */
+    observeCounters(root = document) {
+        root.querySelectorAll('.stat-number').forEach(element => {
+            if (element.dataset.countOriginal) return; // 이미 등록된 카운터
+            const counter = AnimationManager.parseCounterValue(element.textContent);
+            if (!counter) return; // 숫자가 없는 텍스트는 그대로 둠
+
+            element.dataset.countOriginal = counter.original;
+            element.textContent = AnimationManager.formatCounterValue(counter, 0); // 0에서 시작
+            this.counterObserver.observe(element);
+        });
+    }
+
+    /**
+     * 카운터 텍스트를 숫자/단위/소수점 자릿수로 나눕니다
+     * 
+     * K, M 같은 단위는 펼치지 않고 적힌 숫자만 셉니다. ("50K+" -> 0K+에서 50K+까지)
+     * 세는 동안에도 단위, 소수점 자릿수, 천 단위 쉼표를 원래 텍스트와 같게 표시해서
+     * 마지막에 원래 텍스트로 바꿀 때 모양이나 너비가 달라지지 않습니다.
+     * 
+     * @param {string} text - 원래 텍스트 (예: "50K+", "99.9%", "$1,200")
+     * @returns {Object|null} {prefix, target, unit, suffix, decimals, grouped, original} 숫자가 없으면 null
+     * 
+     * 예시:
+     * AnimationManager.parseCounterValue('1.5K+');
+     * // {prefix: '', target: 1.5, unit: 'K', suffix: '+', decimals: 1, grouped: false, original: '1.5K+'}
+     */
+    static parseCounterValue(text) {
+        const original = text.trim();
+        const match = original.match(/^(\D*?)(\d[\d,]*(?:\.\d+)?)(\s*[KMB만억]?)(.*)$/i);
+        if (!match) return null;
+
+        const [, prefix, number, unit, suffix] = match;
+        const [, fraction = ''] = number.split('.');
+
+        return {
+            prefix,
+            target: parseFloat(number.replace(/,/g, '')),
+            unit, // 앞의 공백까지 그대로 ("3 만")
+            suffix,
+            decimals: fraction.length,
+            grouped: number.includes(','), // "1,200"은 쉼표를 넣어 세고, "1200"은 넣지 않음
+            original
+        };
+    }
+
+    /**
+     * 카운터 값을 화면에 표시할 문자열로 만듭니다
+     * 
+     * @param {Object} counter - parseCounterValue()의 결과
+     * @param {number} value - 현재 숫자
+     * @returns {string} 예: "12,345+", "37K+"
+     */
+    static formatCounterValue(counter, value) {
+        const factor = 10 ** counter.decimals;
+        const rounded = Math.round(value * factor) / factor; // 반올림 ("1M+"처럼 작은 숫자도 중간에 1이 됨)
+        const number = counter.grouped
+            ? formatNumber(rounded, counter.decimals, 'en')
+            : rounded.toFixed(counter.decimals);
+        return `${counter.prefix}${number}${counter.unit}${counter.suffix}`;
+    }
+
+    /**
+     * 숫자 카운터 애니메이션 실행
+     * 
+     * @param {Element} element - .stat-number 요소
+     * @param {number} duration - 지속 시간 (밀리초)
+     */
+    animateCounter(element, duration = 2000) {
+        const counter = AnimationManager.parseCounterValue(element.dataset.countOriginal || element.textContent);
+        if (!counter) return;
+
+        // 애니메이션 감소 설정이면 tween이 바로 마지막 값(원래 문자열)을 표시
+        const animation = tween({
+            to: counter.target,
+            duration,
+            easing: 'easeOutCubic', // 끝에서 천천히
+            onUpdate: (value, progress) => {
+                element.textContent = progress < 1
+                    ? AnimationManager.formatCounterValue(counter, value)
+                    : counter.original; // 원래 문자열 그대로 마무리
+            }
+        });
+
+        this.counterAnimations.set(element, animation);
+        animation.finished.then(() => {
+            if (this.counterAnimations.get(element) === animation) this.counterAnimations.delete(element);
+        });
+    }
+
+    /**
+     * 애니메이션 시스템 정리
+     * 
+     * Observer와 리스너를 모두 해제합니다. App.destroy()가 호출합니다.
+     */
+    destroy() {
+        this.stop(); // Observer, 진행 중인 카운터, 네비바 스크롤 효과 정리
+
+        getElement('[data-count-original]', true).forEach(element => {
+            delete element.dataset.countOriginal;
+        });
+
+        this.listeners.removeAll();
+        this.animatedElements.clear();
+
+        if (this.progressBar) {
+            this.progressBar.remove();
+            this.progressBar = null;
+        }
+        if (this.navbar) this.navbar.classList.remove('scrolled', 'navbar-hidden');
+    }
+}
+
+/**
+ * data-animation 값 -> CSS 클래스 (main.css의 Fade In Animation Classes)
+ */
+AnimationManager.REVEAL_ANIMATIONS = {
+    fade: 'fade-in',
+    'slide-left': 'fade-in-left',
+    'slide-right': 'fade-in-right',
+    zoom: 'zoom-in'
+};
+
+/**
+ * 등장 애니메이션 대상 선택자
+ */
+AnimationManager.REVEAL_SELECTOR = '.fade-in, .fade-in-left, .fade-in-right, .zoom-in, [data-animation]';
+
+/**
+ * 자식 요소들에 자동으로 시차를 주는 컨테이너
+ * 다른 컨테이너는 HTML에 data-stagger="간격(ms)"을 붙이면 됩니다.
+ */
+AnimationManager.STAGGER_SELECTOR = '.features-grid, .team-grid, [data-stagger]';
+AnimationManager.STAGGER_STEP = 100; // 기본 시차 간격 (밀리초)
@@ -0,0 +1,197 @@
+// ===== APPLICATION BOOTSTRAP =====
+// 이 파일은 페이지의 진입점입니다.
+// 각 기능 모듈(애니메이션, 네비게이션 등)을 의존성 순서대로 생성하고, 필요할 때 한 번에 정리합니다.
+
+/**
+ * 등록된 모듈 목록
+ *
+ * - name: 모듈 이름 (app.get(name)으로 인스턴스를 가져올 때 사용)
+ * - deps: 먼저 생성되어야 하는 모듈 이름들
+ * - create: 인스턴스를 만드는 함수. app을 받아서 의존 모듈을 꺼내 쓸 수 있음
+ *
+ * 새 기능을 추가할 때는 여기에 한 줄을 추가하면 됩니다.
+ * 배열 순서는 상관없습니다. 생성 순서는 deps를 보고 자동으로 정해집니다.
+ */
+const APP_MODULES = [
+    { name: 'i18n', deps: [], create: () => new I18nManager() },
+    { name: 'theme', deps: ['i18n'], create: () => new ThemeManager() },
+    { name: 'a11y', deps: ['i18n'], create: () => new A11yManager() },
+    { name: 'consent', deps: ['i18n'], create: () => new ConsentManager() },
+    { name: 'experiments', deps: ['i18n'], create: () => new ExperimentManager() },
+    { name: 'content', deps: ['i18n'], create: () => new ContentRenderer() },
+    { name: 'animations', deps: [], create: () => new AnimationManager() },
+    { name: 'media', deps: [], create: () => new MediaLoader() },
+    { name: 'navigation', deps: ['i18n'], create: () => new NavigationController() },
+    { name: 'router', deps: ['i18n'], create: app => new PageRouter(app.get('i18n')) },
+    { name: 'faq', deps: ['i18n', 'router'], create: app => new FaqManager(app.get('router')) },
+    { name: 'demoVideo', deps: ['i18n'], create: () => new DemoVideoDialog() },
+    { name: 'download', deps: ['i18n'], create: () => new DownloadManager() },
+    { name: 'pricing', deps: ['i18n'], create: () => new PricingTable() },
+    { name: 'carousel', deps: ['i18n'], create: () => new ScreenshotCarousel() },
+    { name: 'leadForm', deps: ['i18n'], create: () => new LeadForm() },
+    { name: 'toast', deps: ['i18n'], create: () => new ToastManager() },
+    { name: 'share', deps: ['i18n', 'toast'], create: app => new ShareManager(app.get('toast')) },
+    { name: 'pwa', deps: ['i18n'], create: () => new PwaManager() },
+    { name: 'analytics', deps: ['i18n'], create: () => new Analytics() },
+    { name: 'vitals', deps: [], create: () => new WebVitals() }
+];
+
+/**
+ * App 클래스
+ *
+ * 역할:
+ * - DOMContentLoaded 이후 모듈들을 의존성 순서대로 생성
+ * - 한 모듈이 에러를 던져도 나머지 모듈은 계속 동작하도록 격리
+ * - destroy()로 모든 모듈의 리스너와 Observer를 정리 (다른 셸에 임베드 후 언마운트용)
+ *
+ * 동작 원리:
+ * 1. deps를 보고 모듈 생성 순서를 정함 (위상 정렬)
+ * 2. 순서대로 create()를 try/catch로 감싸 실행
+ * 3. 실패한 모듈에 의존하는 모듈은 생성하지 않고 건너뜀
+ * 4. destroy()는 생성의 역순으로 각 모듈의 destroy()를 호출
+ */
+class App {
+    /**
+     * @param {Array} modules - 모듈 정의 목록 (기본값: APP_MODULES)
+     */
+    constructor(modules = APP_MODULES) {
+        this.definitions = modules;
+        this.modules = new Map(); // name -> 인스턴스 (생성 순서 유지)
+        this.failed = new Map(); // name -> 에러
+        this.isMounted = false;
+    }
+
+    /**
+     * 모듈 생성 순서를 계산합니다 (위상 정렬)
+     *
+     * 예: navigation이 animations에 의존하면 animations가 먼저 옵니다.
+     * 존재하지 않는 의존성이나 순환 의존성은 콘솔에 알리고 해당 모듈을 제외합니다.
+     *
+     * @returns {Array} 생성 순서대로 정렬된 모듈 정의
+     */
+    resolveOrder() {
+        const byName = new Map(this.definitions.map(def => [def.name, def]));
+        const order = [];
+        const state = new Map(); // name -> 'visiting' | 'done' | 'invalid'
+
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') return true;
+            if (state.get(name) === 'invalid') return false;
+
+            if (state.get(name) === 'visiting') {
+                console.error(`[App] Circular module dependency: ${[...path, name].join(' -> ')}`);
+                return false;
+            }
+
+            const def = byName.get(name);
+            if (!def) {
+                console.error(`[App] Unknown module dependency: "${name}" (required by "${path[path.length - 1]}")`);
+                return false;
+            }
+
+            state.set(name, 'visiting');
+            const depsOk = (def.deps || []).every(dep => visit(dep, [...path, name]));
+            if (!depsOk) {
+                state.set(name, 'invalid');
+                return false;
+            }
+
+            state.set(name, 'done');
+            order.push(def);
+            return true;
+        };
+
+        this.definitions.forEach(def => visit(def.name, []));
+        return order;
+    }
+
+    /**
+     * 모든 모듈을 생성합니다
+     *
+     * 각 모듈은 try/catch로 격리되어, 하나가 실패해도 페이지 나머지는 동작합니다.
+     *
+     * @returns {App} 체이닝용
+     */
+    mount() {
+        if (this.isMounted) return this;
+
+        this.resolveOrder().forEach(def => {
+            // 의존하는 모듈이 실패했으면 이 모듈도 건너뜀
+            const failedDep = (def.deps || []).find(dep => !this.modules.has(dep));
+            if (failedDep) {
+                this.failed.set(def.name, new Error(`Dependency "${failedDep}" is not available`));
+                console.warn(`[App] Skipping "${def.name}": dependency "${failedDep}" failed to start`);
+                return;
+            }
+
+            try {
+                this.modules.set(def.name, def.create(this));
+            } catch (error) {
+                this.failed.set(def.name, error);
+                console.error(`[App] Module "${def.name}" failed to start:`, error);
+            }
+        });
+
+        this.isMounted = true;
+
+        // 다른 스크립트(임베드한 셸 등)가 초기화 완료를 알 수 있도록 이벤트 발생
+        document.dispatchEvent(new CustomEvent('app:ready', {
+            detail: { modules: [...this.modules.keys()], failed: [...this.failed.keys()] }
+        }));
+
+        return this;
+    }
+
+    /**
+     * 이름으로 모듈 인스턴스를 가져옵니다
+     *
+     * @param {string} name - 모듈 이름
+     * @returns {Object|null} 인스턴스 (없거나 실패했으면 null)
+     */
+    get(name) {
+        return this.modules.get(name) || null;
+    }
+
+    /**
+     * 모든 모듈을 정리합니다
+     *
+     * 생성의 역순으로 destroy()를 호출합니다.
+     * (의존하는 모듈이 먼저 정리되어야 의존 대상이 안전하게 정리됨)
+     */
+    destroy() {
+        if (!this.isMounted) return;
+
+        [...this.modules.entries()].reverse().forEach(([name, instance]) => {
+            try {
+                if (instance && typeof instance.destroy === 'function') instance.destroy();
+            } catch (error) {
+                console.error(`[App] Module "${name}" failed to clean up:`, error);
+            }
+        });
+
+        this.modules.clear();
+        this.failed.clear();
+        this.isMounted = false;
+
+        document.dispatchEvent(new CustomEvent('app:destroyed'));
+    }
+}
+
+/**
+ * 페이지 자동 시작
+ *
+ * 다른 셸에 임베드해서 직접 마운트 시점을 제어하려면
+ * 이 스크립트보다 먼저 window.NEXUS_APP_AUTOSTART = false 를 설정하고
+ * new App().mount() / app.destroy() 를 직접 호출하세요.
+ */
+if (window.NEXUS_APP_AUTOSTART !== false) {
+    const start = () => {
+        window.nexusApp = new App().mount();
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start, { once: true });
+    } else {
+        start(); // 이미 DOM이 준비된 경우 (스크립트가 늦게 삽입된 경우)
+    }
+}
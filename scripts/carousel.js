@@ -0,0 +1,334 @@
+// ===== SCREENSHOT CAROUSEL =====
+// 스크린샷 섹션의 휴대폰 목업(.phone-screen) 안에서 앱 화면을 넘겨 보여줍니다.
+
+/**
+ * 캐러셀 설정
+ *
+ * - interval: 자동 재생 간격 (밀리초)
+ * - swipeThreshold: 이만큼(px) 이상 가로로 밀어야 다음/이전 화면으로 넘김
+ */
+const CAROUSEL_CONFIG = {
+    interval: 5000,
+    swipeThreshold: 50
+};
+
+/**
+ * ScreenshotCarousel 클래스
+ *
+ * 역할:
+ * - .carousel-slide들을 한 장씩 보여주고 점(dot) 표시로 현재 위치를 알려줌
+ * - 터치 기기에서는 좌우 스와이프, 키보드에서는 방향키(←/→, Home/End)로 이동
+ * - 자동 재생: 마우스를 올렸을 때, 포커스가 안에 있을 때, 섹션이 화면 밖일 때는 멈춤
+ *   (움직임 줄이기 설정이면 자동 재생하지 않음, 페이지를 보는 중에 설정이 바뀌어도 바로 반영)
+ * - 오른쪽의 .highlights-item(data-slide)을 누르면 해당 화면으로 이동, 보이는 화면의 항목은 강조
+ * - 이미지(data-src, data-lazy="manual")는 현재 화면과 바로 옆 화면만 loadMedia()로 불러옴
+ *
+ * HTML 구조:
+ * <div class="screen-carousel" id="screenCarousel">
+ *     <div class="carousel-track">
+ *         <div class="carousel-slide">...</div>
+ *         <div class="carousel-slide"><img data-src="..." data-lazy="manual" alt="..."></div>
+ *     </div>
+ *     <div class="carousel-dots"></div>
+ * </div>
+ * <button class="highlights-item" data-slide="1">...</button>
+ */
+class ScreenshotCarousel {
+    /**
+     * @param {Object} config - 캐러셀 설정 (기본값: CAROUSEL_CONFIG)
+     */
+    constructor(config = CAROUSEL_CONFIG) {
+        this.config = config;
+        this.root = null;
+        this.slides = [];
+        this.dots = [];
+        this.highlights = [];
+        this.current = 0;
+        this.timer = null;
+        this.pauseReasons = new Set(); // 'hover' | 'focus' | 'offscreen' | 'hidden' | 'motion'
+        this.visibilityObserver = null;
+        this.touchStart = null;
+        this.listeners = createListenerRegistry();
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleDotClick = this.handleDotClick.bind(this);
+        this.handleHighlightClick = this.handleHighlightClick.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleMotionChange = this.handleMotionChange.bind(this);
+        this.updateLabels = this.updateLabels.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.root = getElement('#screenCarousel');
+        if (!this.root) return;
+
+        this.track = this.root.querySelector('.carousel-track');
+        this.slides = Array.from(this.root.querySelectorAll('.carousel-slide'));
+        if (this.slides.length < 2) return;
+
+        this.createDots();
+        this.setupHighlights();
+
+        this.listeners.add(this.root, 'keydown', this.handleKeydown);
+        this.listeners.add(document, 'i18n:change', this.updateLabels);
+
+        if (isTouchDevice()) {
+            // passive: 세로 스크롤을 막지 않음 (가로 스와이프만 판단)
+            this.listeners.add(this.root, 'touchstart', this.handleTouchStart, { passive: true });
+            this.listeners.add(this.root, 'touchend', this.handleTouchEnd, { passive: true });
+        }
+
+        // 자동 재생 중에는 startTimer()가 'off'로 바꿈
+        this.root.setAttribute('aria-live', 'polite');
+        this.goTo(0);
+        this.setupAutoplay();
+    }
+
+    /**
+     * 슬라이드 수만큼 점 버튼을 만듭니다
+     */
+    createDots() {
+        const container = this.root.querySelector('.carousel-dots');
+        if (!container) return;
+
+        this.dots = this.slides.map((slide, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.dataset.index = index;
+            this.listeners.add(dot, 'click', this.handleDotClick);
+            return dot;
+        });
+        container.replaceChildren(...this.dots);
+    }
+
+    /**
+     * 오른쪽 기능 항목을 해당 슬라이드와 연결합니다
+     */
+    setupHighlights() {
+        this.highlights = Array.from(getElement('.highlights-item[data-slide]', true) || []);
+        this.highlights.forEach(item => {
+            item.setAttribute('aria-controls', this.root.id);
+            this.listeners.add(item, 'click', this.handleHighlightClick);
+        });
+    }
+
+    /**
+     * 슬라이드로 이동합니다
+     *
+     * 처음과 끝은 이어져 있습니다. (마지막에서 다음 -> 처음)
+     *
+     * @param {number} index - 슬라이드 번호
+     * @param {Object} options
+     * @param {boolean} options.focusDot - 키보드로 이동했을 때 점 버튼으로 포커스를 옮길지 여부
+     */
+    goTo(index, { focusDot = false } = {}) {
+        const total = this.slides.length;
+        this.current = (index + total) % total;
+
+        this.track.style.transform = `translateX(-${this.current * 100}%)`;
+
+        this.slides.forEach((slide, i) => {
+            const active = i === this.current;
+            slide.classList.toggle('active', active);
+            // 보이지 않는 슬라이드는 스크린 리더와 탭 이동에서 제외
+            slide.setAttribute('aria-hidden', String(!active));
+            slide.inert = !active;
+        });
+
+        this.dots.forEach((dot, i) => {
+            dot.classList.toggle('active', i === this.current);
+            dot.setAttribute('aria-current', String(i === this.current));
+        });
+
+        this.highlights.forEach(item => {
+            const active = Number(item.dataset.slide) === this.current;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-current', String(active));
+        });
+
+        this.loadNearbyImages();
+        this.updateLabels();
+
+        if (focusDot && this.dots[this.current]) this.dots[this.current].focus();
+    }
+
+    next() {
+        this.goTo(this.current + 1);
+    }
+
+    prev() {
+        this.goTo(this.current - 1);
+    }
+
+    /**
+     * 현재 슬라이드와 바로 옆 슬라이드의 이미지를 불러옵니다
+     *
+     * 나머지는 가까워질 때까지 불러오지 않아 첫 로딩이 가볍습니다.
+     */
+    loadNearbyImages() {
+        const total = this.slides.length;
+        [this.current - 1, this.current, this.current + 1].forEach(index => {
+            const slide = this.slides[(index + total) % total];
+            slide.querySelectorAll('img[data-src]').forEach(img => loadMedia(img));
+        });
+    }
+
+    /**
+     * 슬라이드와 점 버튼의 라벨을 현재 언어로 갱신합니다
+     */
+    updateLabels() {
+        const total = this.slides.length;
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('aria-label', t('carousel.slideLabel', { current: index + 1, total }));
+        });
+        this.dots.forEach((dot, index) => {
+            dot.setAttribute('aria-label', t('carousel.goTo', { number: index + 1 }));
+        });
+    }
+
+    handleDotClick(event) {
+        this.goTo(Number(event.currentTarget.dataset.index));
+    }
+
+    handleHighlightClick(event) {
+        this.goTo(Number(event.currentTarget.dataset.slide));
+    }
+
+    /**
+     * 방향키로 이동 (캐러셀 안에 포커스가 있을 때)
+     */
+    handleKeydown(event) {
+        const actions = {
+            ArrowLeft: () => this.current - 1,
+            ArrowRight: () => this.current + 1,
+            Home: () => 0,
+            End: () => this.slides.length - 1
+        };
+        if (!actions[event.key]) return;
+
+        event.preventDefault();
+        this.goTo(actions[event.key](), { focusDot: event.target.classList.contains('carousel-dot') });
+    }
+
+    handleTouchStart(event) {
+        const touch = event.touches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+
+    /**
+     * 스와이프 판단
+     *
+     * 가로로 swipeThreshold 이상, 그리고 세로보다 더 많이 움직였을 때만 넘깁니다.
+     * (세로 스크롤하다 살짝 옆으로 움직인 경우는 무시)
+     */
+    handleTouchEnd(event) {
+        if (!this.touchStart) return;
+
+        const touch = event.changedTouches[0];
+        const dx = touch.clientX - this.touchStart.x;
+        const dy = touch.clientY - this.touchStart.y;
+        this.touchStart = null;
+
+        if (Math.abs(dx) < this.config.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+
+        if (dx < 0) {
+            this.next();
+        } else {
+            this.prev();
+        }
+        this.restartAutoplay(); // 직접 넘긴 직후 바로 또 넘어가지 않도록
+    }
+
+    /**
+     * 자동 재생 설정
+     *
+     * 멈춤 이유를 Set으로 관리해서, 예를 들어 마우스를 뗐더라도
+     * 포커스가 아직 안에 있으면 계속 멈춰 있게 합니다.
+     */
+    setupAutoplay() {
+        const pauseOn = (target, startEvent, endEvent, reason) => {
+            this.listeners.add(target, startEvent, () => this.pause(reason));
+            this.listeners.add(target, endEvent, () => this.resume(reason));
+        };
+
+        // 목업과 오른쪽 기능 항목 모두 "보고 있는" 영역으로 봄
+        const area = this.root.closest('.screenshots-container') || this.root;
+        pauseOn(area, 'mouseenter', 'mouseleave', 'hover');
+        pauseOn(area, 'focusin', 'focusout', 'focus');
+        this.listeners.add(document, 'visibilitychange', this.handleVisibilityChange);
+
+        this.visibilityObserver = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) {
+                this.resume('offscreen');
+            } else {
+                this.pause('offscreen');
+            }
+        }, { threshold: 0.3 });
+        this.visibilityObserver.observe(this.root);
+
+        // 처음에는 화면 밖일 수 있으므로 Observer가 알려줄 때까지 멈춤
+        this.pauseReasons.add('offscreen');
+
+        // 움직임 줄이기 설정이면 저절로 움직이는 콘텐츠는 만들지 않음
+        if (prefersReducedMotion()) this.pauseReasons.add('motion');
+        this.listeners.add(document, 'motion:change', this.handleMotionChange);
+    }
+
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.stopTimer();
+    }
+
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        if (!this.pauseReasons.size) this.startTimer();
+    }
+
+    startTimer() {
+        this.stopTimer();
+        this.timer = setInterval(() => this.next(), this.config.interval);
+        // 자동으로 넘어가는 동안에는 바뀔 때마다 읽지 않도록
+        this.root.setAttribute('aria-live', 'off');
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        // 멈춘 상태에서는 사용자가 넘긴 화면을 스크린 리더가 읽어줌
+        if (this.root) this.root.setAttribute('aria-live', 'polite');
+    }
+
+    restartAutoplay() {
+        if (this.timer) this.startTimer();
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.pause('hidden');
+        } else {
+            this.resume('hidden');
+        }
+    }
+
+    handleMotionChange(event) {
+        if (event.detail.reduced) {
+            this.pause('motion');
+        } else {
+            this.resume('motion');
+        }
+    }
+
+    destroy() {
+        this.stopTimer();
+        this.listeners.removeAll();
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+    }
+}
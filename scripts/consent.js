@@ -0,0 +1,281 @@
+// ===== CONSENT =====
+// 개인정보 보호법(PIPA)과 GDPR에 맞춰, 방문자가 동의한 범위 안에서만 분석과 외부 리소스를 사용합니다.
+// 이 파일은 <head>에서 utils.js 다음에 로드됩니다.
+// 이미 동의한 방문자에게는 외부 글꼴/아이콘을 본문이 그려지기 전에 바로 불러오기 위해서입니다.
+
+/**
+ * 동의 설정
+ *
+ * - storageKey: 방문자의 선택을 저장하는 storage 키
+ * - version: 동의 항목이나 개인정보처리방침이 바뀌면 올림 (저장된 버전과 다르면 다시 물어봄)
+ */
+const CONSENT_CONFIG = {
+    storageKey: 'nexus_consent',
+    version: 1
+};
+
+/**
+ * 동의 항목
+ *
+ * - necessary: 사이트 동작에 꼭 필요한 저장소 (언어, 테마, 동의 여부 자체). 항상 켜져 있고 끌 수 없음
+ * - analytics: 방문 통계 (analytics.js)
+ * - marketing: 마케팅 및 외부 콘텐츠 (Google Fonts처럼 다른 회사 서버에서 불러오는 리소스)
+ *   아이콘(Font Awesome)은 직접 호스팅하므로 동의와 상관없이 로드됨 (assets/vendor/fontawesome)
+ *
+ * 외부 리소스 표시 방법 (동의하기 전에는 불러오지 않음):
+ * <link rel="stylesheet" data-consent="marketing" data-href="https://...">
+ * <script type="text/plain" data-consent="analytics" data-src="https://..."></script>
+ */
+const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+/**
+ * 저장된 동의 내용을 반환합니다
+ *
+ * 저장된 버전이 현재 버전과 다르면 동의하지 않은 것으로 봅니다.
+ *
+ * @returns {Object|null} {version, categories: {necessary, analytics, marketing}, updatedAt} (없으면 null)
+ */
+function getConsent() {
+    const saved = storage.get(CONSENT_CONFIG.storageKey);
+    if (!saved || saved.version !== CONSENT_CONFIG.version || !saved.categories) return null;
+    return saved;
+}
+
+/**
+ * 항목에 동의했는지 확인합니다
+ *
+ * @param {string} category - 'necessary' | 'analytics' | 'marketing'
+ * @returns {boolean}
+ *
+ * 예시:
+ * if (hasConsent('analytics')) analytics.track('cta_click');
+ */
+function hasConsent(category) {
+    if (category === 'necessary') return true;
+    const consent = getConsent();
+    return Boolean(consent && consent.categories[category]);
+}
+
+/**
+ * 동의한 항목의 외부 리소스를 불러옵니다
+ *
+ * 이미 불러온 리소스는 다시 불러오지 않습니다.
+ * 동의를 철회해도 이미 불러온 리소스는 페이지를 새로고침해야 사라집니다.
+ *
+ * @param {Element|Document} root - 찾을 범위 (기본값: document)
+ */
+function activateConsentResources(root = document) {
+    root.querySelectorAll('[data-consent]:not([data-consent-loaded])').forEach(element => {
+        if (!hasConsent(element.dataset.consent)) return;
+        element.dataset.consentLoaded = '';
+
+        if (element.tagName === 'LINK') {
+            element.href = element.dataset.href;
+            return;
+        }
+
+        if (element.tagName === 'SCRIPT') {
+            // type="text/plain" 스크립트는 속성을 바꿔도 실행되지 않으므로 새로 만들어 교체
+            const script = document.createElement('script');
+            if (element.dataset.src) {
+                script.src = element.dataset.src;
+            } else {
+                script.textContent = element.textContent;
+            }
+            element.replaceWith(script);
+        }
+    });
+}
+
+// 지금까지 파싱된 <head>의 리소스 (이미 동의한 재방문자)
+activateConsentResources();
+
+/**
+ * ConsentManager 클래스
+ *
+ * 역할:
+ * - 동의하지 않은(또는 버전이 바뀐) 방문자에게 화면 하단 배너 표시
+ *   (모두 허용 / 필수만 허용 / 설정)
+ * - 설정 대화상자(Modal)에서 항목별로 선택
+ * - 선택을 버전과 함께 storage에 저장하고 동의한 외부 리소스를 불러옴
+ * - 푸터의 "쿠키 설정" 링크(data-consent-open)로 언제든 설정을 다시 열 수 있음
+ * - 선택이 바뀌면 'consent:change' 이벤트 발생 (Analytics가 구독)
+ *
+ * 'consent:change' 이벤트의 detail:
+ * {categories: {necessary, analytics, marketing}, previous: 바뀌기 전 categories (처음이면 null)}
+ */
+class ConsentManager {
+    /**
+     * @param {Object} config - 동의 설정 (기본값: CONSENT_CONFIG)
+     */
+    constructor(config = CONSENT_CONFIG) {
+        this.config = config;
+        this.banner = null;
+        this.modal = null; // 처음 필요할 때 생성
+        this.listeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        // 본문에 있는 리소스도 포함해서 다시 확인
+        activateConsentResources();
+
+        // 배너와 설정 대화상자, 푸터 링크의 버튼을 위임으로 처리
+        this.listeners.add(document, 'click', this.handleClick);
+
+        if (!getConsent()) this.showBanner();
+    }
+
+    /**
+     * 화면 하단에 동의 배너를 표시합니다
+     *
+     * 페이지 사용을 막지 않는 배너입니다. (선택하기 전까지는 필수 항목만 사용)
+     */
+    showBanner() {
+        if (this.banner) return;
+
+        this.banner = document.createElement('section');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('aria-labelledby', 'consentBannerTitle');
+        this.banner.innerHTML = `
+            <div class="consent-banner-text">
+                <h2 class="consent-banner-title" id="consentBannerTitle" data-i18n="consent.title">${t('consent.title')}</h2>
+                <p data-i18n="consent.description">${t('consent.description')}</p>
+            </div>
+            <div class="consent-banner-actions">
+                <button type="button" class="btn btn-secondary" data-consent-action="settings" data-i18n="consent.settings">${t('consent.settings')}</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="necessary" data-i18n="consent.necessaryOnly">${t('consent.necessaryOnly')}</button>
+                <button type="button" class="btn btn-primary" data-consent-action="all" data-i18n="consent.acceptAll">${t('consent.acceptAll')}</button>
+            </div>
+        `;
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+        this.banner.remove();
+        this.banner = null;
+    }
+
+    /**
+     * 설정 대화상자를 엽니다
+     *
+     * 체크박스는 현재 저장된 선택으로 채웁니다. (처음이면 필수만 선택된 상태)
+     */
+    openPreferences() {
+        if (!this.modal) {
+            this.modal = new Modal({ title: t('consent.preferencesTitle'), className: 'modal-consent' });
+            this.modal.titleElement.dataset.i18n = 'consent.preferencesTitle';
+        }
+
+        this.modal.setContent(this.createPreferencesContent());
+        this.modal.open();
+    }
+
+    /**
+     * 설정 대화상자의 내용을 만듭니다
+     *
+     * @returns {Element} 폼 요소
+     */
+    createPreferencesContent() {
+        const consent = getConsent();
+        const form = document.createElement('form');
+        form.className = 'consent-preferences';
+        form.dataset.consentForm = '';
+
+        const items = CONSENT_CATEGORIES.map(category => {
+            const checked = category === 'necessary' || Boolean(consent && consent.categories[category]);
+            return `
+                <label class="consent-category">
+                    <input type="checkbox" name="${category}" ${checked ? 'checked' : ''} ${category === 'necessary' ? 'disabled' : ''}>
+                    <span class="consent-category-text">
+                        <strong data-i18n="consent.category.${category}">${t(`consent.category.${category}`)}</strong>
+                        <span data-i18n="consent.category.${category}.description">${t(`consent.category.${category}.description`)}</span>
+                    </span>
+                </label>
+            `;
+        }).join('');
+
+        form.innerHTML = `
+            <p data-i18n="consent.preferencesDescription">${t('consent.preferencesDescription')}</p>
+            ${items}
+            <div class="consent-preferences-actions">
+                <button type="button" class="btn btn-secondary" data-consent-action="save" data-i18n="consent.save">${t('consent.save')}</button>
+                <button type="button" class="btn btn-primary" data-consent-action="all" data-i18n="consent.acceptAll">${t('consent.acceptAll')}</button>
+            </div>
+        `;
+        return form;
+    }
+
+    /**
+     * 배너, 설정 대화상자, 푸터 링크의 클릭 처리 (이벤트 위임)
+     */
+    handleClick(event) {
+        if (event.target.closest('[data-consent-open]')) {
+            event.preventDefault();
+            this.openPreferences();
+            return;
+        }
+
+        const button = event.target.closest('[data-consent-action]');
+        if (!button) return;
+
+        switch (button.dataset.consentAction) {
+            case 'all':
+                this.save({ analytics: true, marketing: true });
+                break;
+            case 'necessary':
+                this.save({ analytics: false, marketing: false });
+                break;
+            case 'settings':
+                this.openPreferences();
+                break;
+            case 'save': {
+                const form = button.closest('[data-consent-form]');
+                this.save({
+                    analytics: form.elements.analytics.checked,
+                    marketing: form.elements.marketing.checked
+                });
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 선택을 저장하고 적용합니다
+     *
+     * @param {Object} choices - {analytics: boolean, marketing: boolean}
+     */
+    save(choices) {
+        const previous = getConsent();
+        const categories = { necessary: true, analytics: Boolean(choices.analytics), marketing: Boolean(choices.marketing) };
+
+        storage.set(this.config.storageKey, {
+            version: this.config.version,
+            categories,
+            updatedAt: new Date().toISOString() // 언제 동의했는지 (법적 기록용)
+        });
+
+        activateConsentResources();
+        this.hideBanner();
+        if (this.modal && this.modal.isOpen) this.modal.close('save');
+
+        document.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { categories, previous: previous ? previous.categories : null }
+        }));
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.hideBanner();
+        if (this.modal) {
+            this.modal.destroy();
+            this.modal = null;
+        }
+    }
+}
@@ -0,0 +1,145 @@
+// ===== DEMO VIDEO DIALOG =====
+// 히어로의 "데모 보기" 버튼(#demo 링크)을 누르면 데모 영상을 모달로 재생합니다.
+
+/**
+ * 데모 영상 설정
+ *
+ * 영상 파일은 페이지와 함께 배포되는 로컬 파일입니다.
+ * 경로나 포스터 이미지를 바꿀 때는 여기만 수정하면 됩니다.
+ * 지금 파일은 로고와 제품 이름만 나오는 8초짜리 임시 영상입니다. (실제 데모 영상이 나오면 교체)
+ * 제목은 언어별 문구 키입니다. (locales.js)
+ */
+const DEMO_VIDEO_CONFIG = {
+    src: './assets/video/nexusapp-demo.mp4',
+    type: 'video/mp4',
+    poster: './assets/video/nexusapp-demo-poster.jpg', // 비워두면 포스터 없이 표시
+    titleKey: 'demo.title'
+};
+
+/**
+ * DemoVideoDialog 클래스
+ *
+ * 역할:
+ * - href="#demo" 링크 클릭을 가로채 모달로 영상 표시
+ * - 영상 소스는 처음 열 때만 로드 (페이지 첫 로딩 속도에 영향 없음)
+ * - 모달을 닫으면 영상 일시정지
+ * - 주소에 #demo가 있는 상태로 들어오면 바로 열기 (공유 링크용)
+ */
+class DemoVideoDialog {
+    /**
+     * @param {Object} config - 영상 설정 (기본값: DEMO_VIDEO_CONFIG)
+     */
+    constructor(config = DEMO_VIDEO_CONFIG) {
+        this.config = config;
+        this.modal = null; // 처음 열 때 생성
+        this.video = null;
+        this.isLoaded = false;
+        this.listeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        // 링크마다가 아니라 document에서 한 번만 처리 (이벤트 위임)
+        this.listeners.add(document, 'click', this.handleClick);
+        this.listeners.add(document, 'i18n:change', this.handleLocaleChange);
+
+        if (window.location.hash === '#demo') this.open();
+    }
+
+    handleClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey) return;
+
+        const link = event.target.closest('a[href="#demo"]');
+        if (!link) return;
+
+        event.preventDefault();
+        this.open();
+    }
+
+    /**
+     * 모달과 video 요소를 만듭니다 (아직 영상 소스는 넣지 않음)
+     */
+    createModal() {
+        this.video = document.createElement('video');
+        this.video.className = 'demo-video';
+        this.video.controls = true;
+        this.video.playsInline = true;
+        this.video.preload = 'none'; // 소스를 넣기 전까지 아무것도 받지 않음
+        if (this.config.poster) this.video.poster = this.config.poster;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'demo-video-wrapper';
+        wrapper.appendChild(this.video);
+
+        // 영상을 불러오지 못했을 때 보여줄 안내
+        this.errorMessage = document.createElement('p');
+        this.errorMessage.className = 'demo-video-error';
+        this.errorMessage.hidden = true;
+        this.errorMessage.dataset.i18n = 'demo.error'; // 언어가 바뀌면 I18nManager가 다시 번역
+        this.errorMessage.textContent = t('demo.error');
+        wrapper.appendChild(this.errorMessage);
+
+        this.listeners.add(this.video, 'error', () => this.showError(), true);
+
+        this.modal = new Modal({
+            title: t(this.config.titleKey),
+            content: wrapper,
+            className: 'modal-video',
+            onClose: () => this.video.pause()
+        });
+    }
+
+    /**
+     * 언어가 바뀌면 모달 제목을 다시 설정합니다
+     */
+    handleLocaleChange() {
+        if (this.modal) this.modal.setTitle(t(this.config.titleKey));
+    }
+
+    /**
+     * 영상 소스를 로드합니다 (최초 1회)
+     */
+    loadSource() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+
+        const source = document.createElement('source');
+        source.src = this.config.src;
+        source.type = this.config.type;
+        // <source>의 로드 실패는 video가 아닌 source에서 error 이벤트가 발생
+        this.listeners.add(source, 'error', () => this.showError());
+
+        this.video.appendChild(source);
+        this.video.preload = 'metadata';
+        this.video.load();
+    }
+
+    showError() {
+        this.errorMessage.hidden = false;
+        this.video.hidden = true;
+    }
+
+    /**
+     * 데모 모달 열기
+     *
+     * @returns {Promise} 모달이 열리면 resolve
+     */
+    async open() {
+        if (!this.modal) this.createModal();
+        this.loadSource();
+        await this.modal.open();
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        if (this.modal) {
+            this.video.pause();
+            this.modal.destroy();
+            this.modal = null;
+        }
+    }
+}
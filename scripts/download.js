@@ -0,0 +1,221 @@
+// ===== DOWNLOAD SECTION =====
+// 다운로드 섹션(#download)의 스토어 버튼을 방문자의 OS에 맞게 동작시킵니다.
+
+/**
+ * 다운로드 링크 설정
+ *
+ * 스토어 주소가 바뀌면 여기만 수정하면 됩니다.
+ * desktop 버튼은 방문자의 데스크톱 OS에 맞는 설치 파일로 연결됩니다.
+ */
+const DOWNLOAD_CONFIG = {
+    stores: {
+        ios: 'https://apps.apple.com/app/nexusapp/id6450000000',
+        android: 'https://play.google.com/store/apps/details?id=com.nexusapp.mobile',
+        macos: 'https://nexusapp.com/download/mac',
+        windows: 'https://nexusapp.com/download/windows',
+        linux: 'https://nexusapp.com/download/linux'
+    },
+    // 데스크톱 OS를 알 수 없을 때 desktop 버튼이 연결될 주소 (OS 선택 페이지)
+    desktopFallback: 'https://nexusapp.com/download',
+    // 스토어 이름 (QR 안내 문구용)
+    storeNames: {
+        ios: 'App Store',
+        android: 'Google Play'
+    }
+};
+
+/**
+ * DownloadManager 클래스
+ *
+ * 역할:
+ * - 방문자의 OS를 확인해 맞는 스토어 버튼을 맨 앞에 "추천"으로 표시
+ * - 각 버튼의 href를 DOWNLOAD_CONFIG에서 채움
+ * - 데스크톱에서 모바일 스토어 버튼을 누르면 QR 코드를 보여줘 휴대폰으로 이어가게 함
+ * - 클릭할 때마다 'download:click' 이벤트 발생 (분석 도구가 구독)
+ *
+ * 'download:click' 이벤트의 detail:
+ * {platform: 버튼 플랫폼, os: 방문자 OS, action: 'redirect' | 'qr', url, recommended: 추천 버튼 여부}
+ */
+class DownloadManager {
+    /**
+     * @param {Object} config - 다운로드 설정 (기본값: DOWNLOAD_CONFIG)
+     */
+    constructor(config = DOWNLOAD_CONFIG) {
+        this.config = config;
+        this.os = detectOS();
+        this.isMobileOS = this.os === 'ios' || this.os === 'android';
+        this.buttons = [];
+        this.recommended = null; // 방문자 OS에 맞는 버튼
+        this.qrModal = null; // 처음 필요할 때 생성
+        this.qrTarget = null; // QR 모달에 표시 중인 {platform, url}
+        this.listeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.buttons = Array.from(getElement('.download-btn[data-platform]', true) || []);
+        if (!this.buttons.length) return;
+
+        this.buttons.forEach(button => {
+            const url = this.getUrl(button.dataset.platform);
+            if (url) {
+                button.href = url;
+                button.target = '_blank';
+                button.rel = 'noopener';
+            }
+            this.listeners.add(button, 'click', this.handleClick);
+        });
+
+        this.promoteRecommended();
+        this.listeners.add(document, 'i18n:change', this.handleLocaleChange);
+    }
+
+    /**
+     * 버튼 플랫폼에 맞는 다운로드 주소를 반환합니다
+     *
+     * @param {string} platform - 'ios' | 'android' | 'desktop'
+     * @returns {string|null} 주소
+     */
+    getUrl(platform) {
+        const { stores } = this.config;
+        if (platform === 'desktop') {
+            return stores[this.os] && !this.isMobileOS ? stores[this.os] : this.config.desktopFallback;
+        }
+        return stores[platform] || null;
+    }
+
+    /**
+     * 방문자 OS에 맞는 버튼을 맨 앞으로 옮기고 "추천" 표시를 합니다
+     *
+     * CSS order가 아니라 DOM 순서를 바꿔서, 키보드 탭 순서도 화면 순서와 같게 합니다.
+     */
+    promoteRecommended() {
+        const platform = this.isMobileOS ? this.os : 'desktop';
+        const button = this.buttons.find(btn => btn.dataset.platform === platform);
+        if (!button) return;
+
+        this.recommended = button;
+        this.originalNextSibling = button.nextElementSibling; // destroy() 때 원래 자리로
+        button.classList.add('recommended');
+        button.parentElement.prepend(button);
+
+        const badge = document.createElement('span');
+        badge.className = 'download-badge';
+        badge.dataset.i18n = 'download.recommended'; // 언어가 바뀌면 I18nManager가 다시 번역
+        badge.textContent = t('download.recommended');
+        button.appendChild(badge);
+    }
+
+    /**
+     * 다운로드 버튼 클릭 처리
+     */
+    handleClick(event) {
+        const button = event.currentTarget;
+        const platform = button.dataset.platform;
+        const url = this.getUrl(platform);
+        const isMobileStore = platform === 'ios' || platform === 'android';
+
+        // 데스크톱에서 모바일 스토어를 누르면 QR로 휴대폰에 넘겨줌
+        const action = isMobileStore && !this.isMobileOS ? 'qr' : 'redirect';
+
+        if (action === 'qr') {
+            event.preventDefault();
+            this.showQRCode(platform, url);
+        }
+
+        document.dispatchEvent(new CustomEvent('download:click', {
+            detail: {
+                platform,
+                os: this.os,
+                action,
+                url,
+                recommended: button === this.recommended
+            }
+        }));
+    }
+
+    /**
+     * 스토어 주소를 QR 코드로 보여줍니다
+     *
+     * @param {string} platform - 'ios' | 'android'
+     * @param {string} url - 스토어 주소
+     */
+    showQRCode(platform, url) {
+        if (!this.qrModal) {
+            this.qrModal = new Modal({ title: t('download.qrTitle'), className: 'modal-qr' });
+        }
+
+        this.qrTarget = { platform, url };
+        this.qrModal.setContent(this.createQRContent(platform, url));
+        this.qrModal.open();
+    }
+
+    /**
+     * QR 코드와 안내 문구가 담긴 모달 본문을 만듭니다
+     *
+     * @param {string} platform - 'ios' | 'android'
+     * @param {string} url - 스토어 주소
+     * @returns {Element} 본문 요소
+     */
+    createQRContent(platform, url) {
+        const store = this.config.storeNames[platform] || platform;
+        let qrMarkup;
+        try {
+            qrMarkup = renderQRCodeSVG(createQRCode(url), { label: t('download.qrLabel', { store }) });
+        } catch (error) {
+            console.error('Error generating QR code:', error);
+            qrMarkup = '';
+        }
+
+        const content = document.createElement('div');
+        content.className = 'qr-handoff';
+        content.innerHTML = `
+            <div class="qr-code">${qrMarkup}</div>
+            <p class="qr-instructions"></p>
+            <a class="btn btn-secondary" target="_blank" rel="noopener"></a>
+        `;
+        content.querySelector('.qr-instructions').textContent = t('download.qrInstructions', { store });
+        const link = content.querySelector('a');
+        link.href = url;
+        link.textContent = t('download.qrOpen', { store });
+
+        return content;
+    }
+
+    /**
+     * 언어가 바뀌면 QR 모달의 제목과 안내 문구를 다시 만듭니다
+     */
+    handleLocaleChange() {
+        if (!this.qrModal) return;
+
+        this.qrModal.setTitle(t('download.qrTitle'));
+        if (this.qrTarget) {
+            this.qrModal.setContent(this.createQRContent(this.qrTarget.platform, this.qrTarget.url));
+        }
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+
+        if (this.recommended) {
+            this.recommended.classList.remove('recommended');
+            const badge = this.recommended.querySelector('.download-badge');
+            if (badge) badge.remove();
+            if (this.originalNextSibling) {
+                this.originalNextSibling.before(this.recommended);
+            } else {
+                this.recommended.parentElement.appendChild(this.recommended);
+            }
+            this.recommended = null;
+        }
+
+        if (this.qrModal) {
+            this.qrModal.destroy();
+            this.qrModal = null;
+        }
+    }
+}
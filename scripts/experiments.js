@@ -0,0 +1,361 @@
+// ===== EXPERIMENTS =====
+// 히어로 문구, CTA 버튼 문구 같은 A/B 테스트를 관리합니다.
+// 이 파일은 <head>에서 a11y.js 다음에 로드됩니다.
+// 방문자의 그룹(variant)을 본문이 그려지기 전에 정해야, 원래 문구가 잠깐 보였다가 바뀌지 않습니다.
+
+/**
+ * 실험 설정
+ *
+ * - storageKey: 방문자에게 배정된 그룹을 저장하는 storage 키 (통계 수집에 동의한 경우에만 저장)
+ * - visitorKey: 그룹 배정에 쓰는 방문자 ID의 storage 키 (Analytics와 같은 ID를 사용, 동의한 경우에만 저장)
+ * - sessionVisitorKey: 동의하기 전에 그룹 배정에 쓰는 임시 ID (sessionStorage, 탭을 닫으면 사라짐)
+ * - exposureKey: 이번 세션에 노출을 기록한 실험 목록 (sessionStorage)
+ * - queryPrefix: 그룹을 강제로 지정하는 URL 파라미터 접두사 (?exp_heroCopy=productivity)
+ * - antiFlickerTimeout: 스크립트가 실패해도 이 시간이 지나면 숨긴 요소를 다시 보여줌 (밀리초)
+ */
+const EXPERIMENT_CONFIG = {
+    storageKey: 'nexus_experiments',
+    visitorKey: 'nexus_visitor_id',
+    sessionVisitorKey: 'nexus_experiment_session_id',
+    exposureKey: 'nexus_experiment_exposures',
+    queryPrefix: 'exp_',
+    antiFlickerTimeout: 1500
+};
+
+/**
+ * 진행 중인 실험 목록
+ *
+ * - variants: 그룹 목록. 첫 번째 그룹이 대조군(control)
+ *   - weight: 배정 비율 (합이 100이 아니어도 됨, 비율로 계산)
+ *   - keys: {슬롯 이름: 번역 키}. 슬롯은 HTML의 data-experiment="실험:슬롯"
+ *     대조군처럼 keys가 없으면 HTML에 적힌 원래 data-i18n을 그대로 사용
+ *
+ * 실험 요소 표시 방법:
+ * <h1 data-i18n="hero.title" data-experiment="heroCopy:title">협업의 미래</h1>
+ *
+ * 실험을 끝낼 때는 이긴 문구를 locales.js의 원래 키에 반영하고 여기서 실험을 지우면 됩니다.
+ */
+const EXPERIMENTS = {
+    heroCopy: {
+        variants: [
+            { name: 'control', weight: 50 },
+            {
+                name: 'productivity',
+                weight: 50,
+                keys: {
+                    title: 'experiment.heroCopy.productivity.title',
+                    subtitle: 'experiment.heroCopy.productivity.subtitle'
+                }
+            }
+        ]
+    },
+    ctaText: {
+        variants: [
+            { name: 'control', weight: 34 },
+            { name: 'start', weight: 33, keys: { label: 'experiment.ctaText.start.label' } },
+            { name: 'noCard', weight: 33, keys: { label: 'experiment.ctaText.noCard.label' } }
+        ]
+    }
+};
+
+/**
+ * 문자열을 0 이상 1 미만의 수로 바꿉니다 (FNV-1a 해시)
+ *
+ * 같은 문자열은 항상 같은 수가 나오므로, 저장된 배정이 지워져도 같은 그룹으로 다시 배정됩니다.
+ *
+ * @param {string} value - 문자열
+ * @returns {number} 0 <= n < 1
+ */
+function hashToUnit(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * 비율에 따라 그룹을 고릅니다
+ *
+ * @param {Array} variants - 그룹 목록
+ * @param {number} point - 0 <= point < 1 (hashToUnit 결과)
+ * @returns {Object} 고른 그룹
+ */
+function pickVariant(variants, point) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let cursor = point * total;
+
+    for (const variant of variants) {
+        cursor -= variant.weight;
+        if (cursor < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+/**
+ * 그룹 배정에 쓸 방문자 ID를 반환합니다
+ *
+ * 통계 수집에 동의한 방문자는 Analytics와 같은 고정 ID를 씁니다.
+ * 동의하기 전에는 localStorage에 아무것도 남기지 않고, 이번 세션(탭)에서만 쓰는 임시 ID로 배정합니다.
+ * (나중에 동의하면 ExperimentManager가 이 임시 ID를 방문자 ID로 저장해 같은 그룹이 유지됨)
+ *
+ * @returns {string} 방문자 ID
+ */
+function getExperimentVisitorId() {
+    if (hasConsent('analytics')) {
+        let visitorId = storage.get(EXPERIMENT_CONFIG.visitorKey);
+        if (!visitorId) {
+            visitorId = getExperimentSessionId();
+            storage.set(EXPERIMENT_CONFIG.visitorKey, visitorId);
+        }
+        return visitorId;
+    }
+    return getExperimentSessionId();
+}
+
+// sessionStorage를 쓸 수 없을 때 이번 페이지에서만 쓰는 임시 ID
+let experimentSessionId = null;
+
+function getExperimentSessionId() {
+    try {
+        let sessionId = sessionStorage.getItem(EXPERIMENT_CONFIG.sessionVisitorKey);
+        if (!sessionId) {
+            sessionId = generateId('v');
+            sessionStorage.setItem(EXPERIMENT_CONFIG.sessionVisitorKey, sessionId);
+        }
+        return sessionId;
+    } catch (error) {
+        if (!experimentSessionId) experimentSessionId = generateId('v');
+        return experimentSessionId;
+    }
+}
+
+/**
+ * 모든 실험의 그룹을 정합니다
+ *
+ * 우선순위: URL의 ?exp_<실험>= > 저장된 배정 > 방문자 ID로 새로 배정
+ * URL로 강제한 그룹은 저장하지 않습니다. (QA용 링크가 실제 배정을 바꾸지 않도록)
+ * 배정은 통계 수집에 동의한 경우에만 저장합니다. (동의 전에는 임시 ID로 매번 같은 그룹이 계산됨)
+ *
+ * @returns {Object} {실험 이름: {variant, forced}}
+ */
+function assignExperiments() {
+    const visitorId = getExperimentVisitorId();
+    const saved = storage.get(EXPERIMENT_CONFIG.storageKey, {});
+    const stored = {};
+    const assignments = {};
+
+    Object.entries(EXPERIMENTS).forEach(([name, experiment]) => {
+        const names = experiment.variants.map(variant => variant.name);
+
+        const forced = urlParams.get(EXPERIMENT_CONFIG.queryPrefix + name);
+        if (forced && !names.includes(forced)) {
+            console.warn(`[Experiments] Unknown variant "${forced}" for "${name}". Expected one of: ${names.join(', ')}`);
+        }
+
+        // 실험에서 빠진 그룹이 저장되어 있으면 다시 배정
+        const variant = names.includes(saved[name])
+            ? saved[name]
+            : pickVariant(experiment.variants, hashToUnit(`${visitorId}:${name}`)).name;
+        stored[name] = variant;
+
+        assignments[name] = names.includes(forced)
+            ? { variant: forced, forced: true }
+            : { variant, forced: false };
+    });
+
+    // 끝난 실험의 배정은 저장하지 않으므로 자연스럽게 정리됨
+    if (hasConsent('analytics')) storage.set(EXPERIMENT_CONFIG.storageKey, stored);
+    experimentStoredVariants = stored;
+    return assignments;
+}
+
+// 저장할 배정 (URL로 강제한 그룹 제외). 동의하면 ExperimentManager가 저장
+let experimentStoredVariants = {};
+
+// 이 방문자의 실험 그룹 (<head>에서 한 번 정함)
+const experimentAssignments = assignExperiments();
+
+/**
+ * 실험의 그룹 이름을 반환합니다
+ *
+ * @param {string} name - 실험 이름
+ * @returns {string|null} 그룹 이름 (없는 실험이면 null)
+ */
+function getExperimentVariant(name) {
+    return experimentAssignments[name] ? experimentAssignments[name].variant : null;
+}
+
+/**
+ * data-experiment 요소에 그룹의 문구를 적용합니다
+ *
+ * 문구 대신 번역 키(data-i18n)를 바꾸므로, 이후 I18nManager가 현재 언어로 번역하고
+ * 언어를 바꿀 때도 그룹의 문구가 유지됩니다.
+ *
+ * @param {Element|Document} root - 적용할 범위 (기본값: document)
+ */
+function applyExperiments(root = document) {
+    root.querySelectorAll('[data-experiment]').forEach(element => {
+        const [name, slot] = element.dataset.experiment.split(':');
+        const experiment = EXPERIMENTS[name];
+        if (!experiment) {
+            console.warn(`[Experiments] Unknown experiment "${name}" (data-experiment)`);
+            return;
+        }
+
+        const variant = experiment.variants.find(item => item.name === getExperimentVariant(name));
+        const key = variant.keys && variant.keys[slot];
+        if (key) element.dataset.i18n = key;
+    });
+}
+
+// 깜빡임 방지: 그룹이 적용되고 번역될 때까지 실험 요소를 숨김 (main.css의 .experiments-pending)
+document.documentElement.classList.add('experiments-pending');
+const experimentsRevealTimer = setTimeout(() => {
+    document.documentElement.classList.remove('experiments-pending');
+}, EXPERIMENT_CONFIG.antiFlickerTimeout);
+
+// 본문이 파싱되면 바로 적용 (app.js의 모듈 생성보다 먼저 등록된 리스너라서 먼저 실행됨)
+document.addEventListener('DOMContentLoaded', () => applyExperiments(), { once: true });
+
+/**
+ * ExperimentManager 클래스
+ *
+ * 역할:
+ * - 번역이 끝난 뒤 숨겨 둔 실험 요소를 보여줌
+ * - 실험 요소 안(또는 자신)의 data-track 요소에 data-track-experiment / data-track-variant를 붙여
+ *   Analytics의 cta_click에 그룹이 함께 기록되게 함
+ * - 실험 요소가 실제로 화면에 보이면 'experiment:exposure' 이벤트 발생
+ *   (실험마다 세션당 한 번, 세션은 브라우저 탭 단위인 sessionStorage 기준)
+ * - 통계 수집에 동의하기 전에 본 실험은 기다렸다가, 동의하면 그때 노출을 기록
+ * - 동의하면 임시 ID와 배정을 저장해 다음 방문에도 같은 그룹을 보여줌
+ *
+ * 'experiment:exposure' 이벤트의 detail:
+ * {experiment: 실험 이름, variant: 그룹 이름, forced: URL로 강제했는지 여부}
+ */
+class ExperimentManager {
+    /**
+     * @param {Object} config - 실험 설정 (기본값: EXPERIMENT_CONFIG)
+     */
+    constructor(config = EXPERIMENT_CONFIG) {
+        this.config = config;
+        this.observer = null;
+        this.exposed = new Set(); // 이번 세션에 노출을 기록한 실험
+        this.pendingExposures = new Set(); // 동의하기 전에 보인 실험 (동의하면 기록)
+        this.replayTimer = null;
+        this.listeners = createListenerRegistry();
+
+        this.handleConsentChange = this.handleConsentChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        // I18nManager가 먼저 생성되므로 이 시점에는 그룹 문구로 번역되어 있음
+        clearTimeout(experimentsRevealTimer);
+        document.documentElement.classList.remove('experiments-pending');
+
+        this.exposed = new Set(this.readExposed());
+        this.listeners.add(document, 'consent:change', this.handleConsentChange);
+
+        const elements = Array.from(getElement('[data-experiment]', true) || []);
+        this.tagTrackedElements(elements);
+        this.setupExposureTracking(elements);
+    }
+
+    tagTrackedElements(elements) {
+        elements.forEach(element => {
+            const tracked = element.closest('[data-track]') || element.querySelector('[data-track]');
+            if (!tracked) return;
+
+            const [name] = element.dataset.experiment.split(':');
+            tracked.dataset.trackExperiment = name;
+            tracked.dataset.trackVariant = getExperimentVariant(name);
+        });
+    }
+
+    /**
+     * 실험 요소가 절반 이상 보이면 노출로 기록합니다
+     */
+    setupExposureTracking(elements) {
+        const pending = elements.filter(element => {
+            const [name] = element.dataset.experiment.split(':');
+            return EXPERIMENTS[name] && !this.exposed.has(name);
+        });
+        if (!pending.length) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.observer.unobserve(entry.target);
+                this.expose(entry.target.dataset.experiment.split(':')[0]);
+            });
+        }, { threshold: 0.5 });
+
+        pending.forEach(element => this.observer.observe(element));
+    }
+
+    /**
+     * 노출을 기록합니다 (이번 세션에 이미 기록한 실험이면 무시)
+     *
+     * 통계 수집에 동의하지 않았으면 기록할 수 없으므로, 기록한 것으로 표시하지 않고 동의를 기다립니다.
+     *
+     * @param {string} name - 실험 이름
+     */
+    expose(name) {
+        if (this.exposed.has(name)) return; // 같은 실험의 다른 슬롯이 이미 보였음
+        if (!hasConsent('analytics')) {
+            this.pendingExposures.add(name);
+            return;
+        }
+
+        this.pendingExposures.delete(name);
+        this.exposed.add(name);
+        try {
+            sessionStorage.setItem(this.config.exposureKey, JSON.stringify([...this.exposed]));
+        } catch (error) {
+            // sessionStorage를 쓸 수 없으면 이번 페이지에서만 한 번
+        }
+
+        const { variant, forced } = experimentAssignments[name];
+        document.dispatchEvent(new CustomEvent('experiment:exposure', {
+            detail: { experiment: name, variant, forced }
+        }));
+    }
+
+    /**
+     * 통계 수집에 동의하면 배정을 저장하고, 기다리던 노출을 기록합니다
+     *
+     * 노출 기록은 Analytics가 같은 'consent:change'에서 수집을 시작한 뒤에 보냅니다.
+     * (ExperimentManager가 먼저 생성되어 리스너도 먼저 실행됨)
+     */
+    handleConsentChange(event) {
+        if (!event.detail.categories.analytics) return;
+
+        if (!storage.get(this.config.visitorKey)) storage.set(this.config.visitorKey, getExperimentSessionId());
+        storage.set(this.config.storageKey, experimentStoredVariants);
+
+        clearTimeout(this.replayTimer);
+        this.replayTimer = setTimeout(() => {
+            this.pendingExposures.forEach(name => this.expose(name));
+        }, 0);
+    }
+
+    readExposed() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.config.exposureKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        clearTimeout(this.replayTimer);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
@@ -0,0 +1,590 @@
+// ===== FAQ =====
+// 도움말 페이지(#help)에 자주 묻는 질문과 검색창을 그립니다.
+// 질문과 답변은 content/faq.json에 있습니다. 문구를 바꿀 때 HTML을 고칠 필요가 없습니다.
+
+/**
+ * FAQ 설정
+ *
+ * - src: FAQ JSON 파일 경로
+ * - route: FAQ를 그릴 가상 페이지 이름 (템플릿 안의 <div data-faq>에 그림)
+ * - queryParam: 검색어를 담는 URL 파라미터 (?q=slack#help 링크로 검색 결과를 공유)
+ * - searchDelay: 입력을 멈추고 검색하기까지 기다리는 시간 (밀리초)
+ * - fuzzyMinLength: 오타 허용 검색을 시작하는 검색어 길이 (짧으면 엉뚱한 결과가 많음)
+ * - fuzzyMaxGap: 오타 허용 검색에서 검색어 글자 사이에 끼어도 되는 글자 수
+ */
+const FAQ_CONFIG = {
+    src: './content/faq.json',
+    route: 'help',
+    queryParam: 'q',
+    searchDelay: 200,
+    fuzzyMinLength: 3,
+    fuzzyMaxGap: 2
+};
+
+/**
+ * 검색 점수 (검색어 하나가 어디에 맞았는지)
+ *
+ * 질문에 맞은 항목이 답변에만 맞은 항목보다 위에 오도록 합니다.
+ * 키워드(keywords)는 화면에 보이지 않지만 "슬랙", "encryption"처럼 다르게 부르는 말을 찾게 해 줍니다.
+ */
+const FAQ_SCORES = {
+    question: 10,
+    keywords: 6,
+    answer: 4,
+    fuzzyQuestion: 3,
+    fuzzyKeywords: 2
+};
+
+// 한글 음절 범위와 초성 (음절 코드 = 0xAC00 + (초성 * 21 + 중성) * 28 + 종성)
+const HANGUL_START = 0xAC00;
+const HANGUL_END = 0xD7A3;
+const HANGUL_CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 검색할 때 무시하는 글자 ("요금 제", "SSO(SAML)", "single-sign-on"도 찾도록)
+const SEARCH_IGNORED_PATTERN = /[\s.,!?'"()[\]\-_/·、。，（）？！「」]/;
+
+/**
+ * 검색할 글자와 원래 문자열에서의 위치를 미리 나눕니다
+ *
+ * 무시하는 글자를 빼고 소문자로 바꾼 글자 목록과, 각 글자의 원래 위치(하이라이트용)를 만듭니다.
+ *
+ * @param {string} text - 원래 문자열
+ * @returns {Object} {text, chars, starts, ends}
+ */
+function prepareSearchText(text) {
+    const prepared = { text, chars: [], starts: [], ends: [] };
+    let offset = 0;
+
+    for (const char of text) { // 서로게이트 쌍(이모지 등)도 한 글자로
+        if (!SEARCH_IGNORED_PATTERN.test(char)) {
+            prepared.chars.push(char.toLowerCase());
+            prepared.starts.push(offset);
+            prepared.ends.push(offset + char.length);
+        }
+        offset += char.length;
+    }
+    return prepared;
+}
+
+/**
+ * 검색어 글자 하나가 본문 글자 하나에 맞는지 확인합니다
+ *
+ * - 같은 글자 (대소문자 무시)
+ * - 초성 검색: 검색어 글자가 초성(ㅅ)이면 그 초성으로 시작하는 음절(슬)에 맞음
+ * - 입력 중인 마지막 글자: 받침 없는 음절(도)은 같은 초성+중성의 받침 있는 음절(동)에 맞음
+ *   (한글은 한 글자를 조합하는 동안에도 input 이벤트가 발생하므로 "연도"가 "연동"을 찾아야 함)
+ *
+ * @param {string} queryChar - 검색어 글자 (소문자)
+ * @param {string} char - 본문 글자 (소문자)
+ * @param {boolean} isLast - 검색어의 마지막 글자인지
+ * @returns {boolean}
+ */
+function matchSearchChar(queryChar, char, isLast) {
+    if (queryChar === char) return true;
+
+    const code = char.charCodeAt(0);
+    if (code < HANGUL_START || code > HANGUL_END) return false;
+
+    const syllable = code - HANGUL_START;
+    const choseong = HANGUL_CHOSEONG.indexOf(queryChar);
+    if (choseong !== -1) return Math.floor(syllable / 588) === choseong;
+
+    if (!isLast) return false;
+    const querySyllable = queryChar.charCodeAt(0) - HANGUL_START;
+    return querySyllable >= 0 && querySyllable <= HANGUL_END - HANGUL_START
+        && querySyllable % 28 === 0 // 받침 없음
+        && Math.floor(querySyllable / 28) === Math.floor(syllable / 28);
+}
+
+/**
+ * 검색어가 연속으로 나오는 곳을 모두 찾습니다
+ *
+ * @param {Object} prepared - prepareSearchText() 결과
+ * @param {Array} term - 검색어 글자 목록
+ * @returns {Array} 원래 문자열에서의 [시작, 끝] 목록 (없으면 빈 배열)
+ */
+function findSearchMatches(prepared, term) {
+    const { chars, starts, ends } = prepared;
+    const ranges = [];
+
+    for (let start = 0; start <= chars.length - term.length; start++) {
+        const isMatch = term.every((queryChar, index) => (
+            matchSearchChar(queryChar, chars[start + index], index === term.length - 1)
+        ));
+        if (isMatch) {
+            ranges.push([starts[start], ends[start + term.length - 1]]);
+            start += term.length - 1; // 겹치지 않게
+        }
+    }
+    return ranges;
+}
+
+/**
+ * 오타를 허용해 검색어를 찾습니다 (글자가 빠진 검색어: "intgration", "githb")
+ *
+ * 검색어 글자가 순서대로 나오고, 그 사이에 끼인 글자가 maxGap개 이하인 첫 위치를 찾습니다.
+ *
+ * @param {Object} prepared - prepareSearchText() 결과
+ * @param {Array} term - 검색어 글자 목록
+ * @param {number} maxGap - 검색어 글자 사이에 끼어도 되는 글자 수
+ * @returns {Array} 맞은 글자들의 [시작, 끝] 목록 (없으면 빈 배열)
+ */
+function findFuzzySearchMatch(prepared, term, maxGap) {
+    const { chars, starts, ends } = prepared;
+
+    for (let start = 0; start < chars.length; start++) {
+        if (!matchSearchChar(term[0], chars[start], term.length === 1)) continue;
+
+        const matched = [start];
+        for (let index = start + 1; index < chars.length && matched.length < term.length; index++) {
+            if (index - matched[matched.length - 1] - 1 > maxGap) break;
+            if (matchSearchChar(term[matched.length], chars[index], matched.length === term.length - 1)) {
+                matched.push(index);
+            }
+        }
+        if (matched.length === term.length) return matched.map(index => [starts[index], ends[index]]);
+    }
+    return [];
+}
+
+/**
+ * 문자열을 맞은 부분에 <mark>를 씌워 요소에 넣습니다
+ *
+ * innerHTML을 쓰지 않으므로 FAQ 문구에 HTML이 들어가도 그대로 글자로 표시됩니다.
+ *
+ * @param {Element} element - 넣을 요소 (기존 내용은 지움)
+ * @param {string} text - 문자열
+ * @param {Array} ranges - [시작, 끝] 목록 (겹치거나 순서가 섞여 있어도 됨)
+ */
+function renderHighlightedText(element, text, ranges) {
+    const merged = [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .reduce((list, range) => {
+            const last = list[list.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                list.push([...range]);
+            }
+            return list;
+        }, []);
+
+    let cursor = 0;
+    element.replaceChildren();
+    merged.forEach(([start, end]) => {
+        if (start > cursor) element.append(text.slice(cursor, start));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        element.append(mark);
+        cursor = end;
+    });
+    if (cursor < text.length) element.append(text.slice(cursor));
+}
+
+/**
+ * FaqManager 클래스
+ *
+ * 역할:
+ * - faq.json을 불러와 항목을 검사 (틀린 항목은 콘솔에 알리고 건너뜀)
+ * - 도움말 페이지가 열리면 검색창과 질문 목록(아코디언)을 그림
+ *   질문은 <h3> 안의 버튼(aria-expanded), 답변은 그 버튼이 가리키는 영역 (WAI-ARIA 아코디언 패턴)
+ * - 입력을 멈추면(debounce) 질문/키워드/답변을 검색하고, 맞은 부분을 <mark>로 표시
+ *   (한글/영어/일본어, 초성 검색 "ㅂㅇ" -> 보안, 글자가 빠진 검색어 허용)
+ * - 검색어를 주소(?q=)에 반영해 검색 결과 링크를 공유할 수 있게 함 (기록은 추가하지 않음)
+ * - 결과 개수를 스크린 리더에게 읽어 줌 (announce)
+ * - 검색엔진용 FAQPage 구조화 데이터(JSON-LD)를 <head>에 넣고, 언어가 바뀌면 다시 만듦
+ *
+ * 검색 규칙:
+ * - 검색어를 공백으로 나누고, 모든 단어가 맞는 항목만 보여줌
+ * - 질문에 맞은 항목이 위로 (FAQ_SCORES), 점수가 같으면 faq.json 순서
+ * - 답변에 맞은 항목은 펼쳐서 보여줌
+ */
+class FaqManager {
+    /**
+     * @param {PageRouter} router - 도움말 페이지를 여는 라우터 (이미 열려 있는 경우를 확인)
+     * @param {Object} config - FAQ 설정 (기본값: FAQ_CONFIG)
+     */
+    constructor(router, config = FAQ_CONFIG) {
+        this.router = router;
+        this.config = config;
+        this.items = []; // 검사를 통과한 항목
+        this.ready = null; // 불러오기가 끝나면 resolve되는 Promise
+        this.root = null; // 도움말 페이지 안의 <div data-faq> (페이지가 닫혀 있으면 null)
+        this.input = null;
+        this.status = null;
+        this.list = null;
+        this.query = '';
+        this.schema = null; // <script type="application/ld+json">
+        this.listeners = createListenerRegistry();
+
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.searchLater = debounce(query => this.search(query), this.config.searchDelay);
+
+        this.init();
+    }
+
+    init() {
+        this.listeners.add(document, 'route:change', this.handleRouteChange);
+        this.listeners.add(document, 'input', this.handleInput);
+        this.listeners.add(document, 'submit', this.handleSubmit);
+        this.listeners.add(document, 'click', this.handleClick);
+        this.listeners.add(document, 'i18n:change', this.handleLocaleChange);
+
+        this.ready = this.load();
+
+        // 공유 링크(#help)로 들어와 라우터가 먼저 페이지를 연 경우
+        if (this.router && this.router.current === this.config.route && this.router.modal) {
+            this.mount(this.router.modal.body);
+        }
+    }
+
+    /**
+     * FAQ 파일을 불러옵니다
+     *
+     * @returns {Promise} 끝나면 resolve (실패해도 reject하지 않음, 도움말 페이지에 FAQ만 빠짐)
+     */
+    async load() {
+        try {
+            const response = await fetch(this.config.src);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (!Array.isArray(data.faq)) throw new Error('"faq" must be an array');
+
+            const ids = new Set();
+            this.items = data.faq.filter((item, index) => {
+                const errors = this.validate(item, `faq[${index}]`, ids);
+                errors.forEach(message => console.error(`[FAQ] ${message}`));
+                if (!errors.length) ids.add(item.id);
+                return !errors.length;
+            });
+            this.updateSchema();
+        } catch (error) {
+            console.error(`[FAQ] Failed to load "${this.config.src}":`, error);
+        }
+    }
+
+    /**
+     * 항목 하나를 검사합니다
+     *
+     * @param {Object} item - {id, question, answer, keywords}
+     * @param {string} path - 에러 메시지에 쓸 위치 (예: "faq[2]")
+     * @param {Set} ids - 앞에서 통과한 항목의 id (id는 요소 id에 쓰이므로 겹치면 안 됨)
+     * @returns {Array} 에러 메시지 목록 (문제가 없으면 빈 배열)
+     */
+    validate(item, path, ids) {
+        if (!item || typeof item !== 'object') return [`${path}: must be an object`];
+
+        const errors = [];
+        if (typeof item.id !== 'string' || !/^[a-z0-9-]+$/.test(item.id)) {
+            errors.push(`${path}.id: must be a lowercase slug like "data-security"`);
+        } else if (ids.has(item.id)) {
+            errors.push(`${path}.id: "${item.id}" is already used`);
+        }
+
+        ['question', 'answer'].forEach(field => {
+            const value = item[field];
+            const { defaultLocale } = I18N_CONFIG;
+            if (!value || typeof value !== 'object' || typeof value[defaultLocale] !== 'string' || !value[defaultLocale]) {
+                errors.push(`${path}.${field}: must be an object with "${defaultLocale}" text like {"ko": "...", "en": "..."}`);
+            }
+        });
+
+        if (item.keywords !== undefined && (!Array.isArray(item.keywords) || item.keywords.some(keyword => typeof keyword !== 'string'))) {
+            errors.push(`${path}.keywords: must be an array of strings`);
+        }
+        return errors;
+    }
+
+    /**
+     * 현재 언어의 문구 (없으면 기본 언어)
+     */
+    localize(value) {
+        return value[getLocale()] || value[I18N_CONFIG.defaultLocale];
+    }
+
+    handleRouteChange(event) {
+        const { route, previous, container } = event.detail;
+
+        if (previous === this.config.route) this.unmount();
+        if (route === this.config.route) this.mount(container);
+    }
+
+    /**
+     * 도움말 페이지 안에 검색창과 질문 목록을 그립니다
+     *
+     * 주소에 ?q=가 있으면 그 검색어로 시작합니다. (결과는 읽어 주지 않음, 페이지 제목을 먼저 읽도록)
+     *
+     * @param {Element} container - 도움말 페이지 본문
+     */
+    async mount(container) {
+        const root = container && container.querySelector('[data-faq]');
+        if (!root) return;
+        this.root = root;
+
+        await this.ready;
+        if (this.root !== root || !this.items.length) return; // 그 사이 닫혔거나 불러오지 못함
+
+        root.innerHTML = `
+            <form class="faq-search" role="search" data-faq-form>
+                <label class="faq-search-label" for="faqSearch" data-i18n="faq.searchLabel">${t('faq.searchLabel')}</label>
+                <div class="faq-search-field">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" id="faqSearch" class="faq-search-input" autocomplete="off" spellcheck="false"
+                        placeholder="${t('faq.searchPlaceholder')}" data-i18n-attr="placeholder:faq.searchPlaceholder"
+                        aria-describedby="faqStatus" data-faq-search>
+                </div>
+            </form>
+            <p class="faq-status" id="faqStatus"></p>
+            <div class="faq-list"></div>
+        `;
+        this.input = root.querySelector('[data-faq-search]');
+        this.status = root.querySelector('.faq-status');
+        this.list = root.querySelector('.faq-list');
+
+        this.input.value = urlParams.get(this.config.queryParam) || '';
+        this.search(this.input.value, { announce: false });
+    }
+
+    /**
+     * 페이지가 닫히면 그린 내용을 잊고 주소에서 검색어를 뺍니다
+     */
+    unmount() {
+        this.root = null;
+        this.input = null;
+        this.status = null;
+        this.list = null;
+        this.query = '';
+
+        if (urlParams.get(this.config.queryParam) !== null) {
+            urlParams.remove(this.config.queryParam, { replace: true });
+        }
+    }
+
+    handleInput(event) {
+        if (this.input && event.target === this.input) this.searchLater(this.input.value);
+    }
+
+    /**
+     * Enter는 기다리지 않고 바로 검색 (페이지가 새로 고쳐지지 않게)
+     */
+    handleSubmit(event) {
+        if (!this.input || !event.target.matches('[data-faq-form]')) return;
+        event.preventDefault();
+        this.search(this.input.value);
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-faq-toggle]');
+        if (button && this.list && this.list.contains(button)) {
+            this.toggle(button, button.getAttribute('aria-expanded') !== 'true');
+        }
+    }
+
+    /**
+     * 질문을 펼치거나 접습니다
+     *
+     * @param {Element} button - 질문 버튼
+     * @param {boolean} expanded - 펼칠지
+     */
+    toggle(button, expanded) {
+        const panel = document.getElementById(button.getAttribute('aria-controls'));
+        button.setAttribute('aria-expanded', String(expanded));
+        if (panel) panel.hidden = !expanded;
+    }
+
+    /**
+     * 검색하고 목록을 다시 그립니다
+     *
+     * @param {string} query - 검색어
+     * @param {Object} options
+     * @param {boolean} options.announce - 결과 개수를 스크린 리더에게 읽어 줄지 (기본 true)
+     */
+    search(query, { announce: shouldAnnounce = true } = {}) {
+        if (!this.root || !this.list) return;
+
+        this.query = query.trim();
+        if (this.query) {
+            urlParams.set(this.config.queryParam, this.query, { replace: true });
+        } else {
+            urlParams.remove(this.config.queryParam, { replace: true });
+        }
+
+        const results = this.filter(this.query);
+        this.render(results);
+        if (shouldAnnounce && this.status.textContent) announce(this.status.textContent);
+    }
+
+    /**
+     * 검색어에 맞는 항목을 점수 순서로 반환합니다
+     *
+     * @param {string} query - 검색어 (비어 있으면 모든 항목)
+     * @returns {Array} [{item, question: 하이라이트 범위, answer: 하이라이트 범위, score}]
+     */
+    filter(query) {
+        const terms = query.split(/\s+/)
+            .map(term => prepareSearchText(term).chars)
+            .filter(term => term.length);
+
+        return this.items
+            .map((item, index) => ({ ...this.match(item, terms), item, index }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => (b.score - a.score) || (a.index - b.index));
+    }
+
+    /**
+     * 항목 하나에 검색어 단어들을 맞춰 봅니다
+     *
+     * @param {Object} item - FAQ 항목
+     * @param {Array} terms - 단어별 글자 목록
+     * @returns {Object} {score (맞지 않는 단어가 있으면 null), question, answer}
+     */
+    match(item, terms) {
+        const question = prepareSearchText(this.localize(item.question));
+        const answer = prepareSearchText(this.localize(item.answer));
+        const keywords = (item.keywords || []).map(prepareSearchText);
+        const result = { score: 0, question: [], answer: [] };
+
+        for (const term of terms) {
+            const questionMatches = findSearchMatches(question, term);
+            const answerMatches = findSearchMatches(answer, term);
+            const keywordMatch = keywords.some(keyword => findSearchMatches(keyword, term).length);
+
+            let score = (questionMatches.length ? FAQ_SCORES.question : 0)
+                + (keywordMatch ? FAQ_SCORES.keywords : 0)
+                + (answerMatches.length ? FAQ_SCORES.answer : 0);
+            result.question.push(...questionMatches);
+            result.answer.push(...answerMatches);
+
+            if (!score && term.length >= this.config.fuzzyMinLength) {
+                const fuzzyMatches = findFuzzySearchMatch(question, term, this.config.fuzzyMaxGap);
+                if (fuzzyMatches.length) {
+                    score = FAQ_SCORES.fuzzyQuestion;
+                    result.question.push(...fuzzyMatches);
+                } else if (keywords.some(keyword => findFuzzySearchMatch(keyword, term, this.config.fuzzyMaxGap).length)) {
+                    score = FAQ_SCORES.fuzzyKeywords;
+                }
+            }
+
+            if (!score) return { score: null };
+            result.score += score;
+        }
+        return result;
+    }
+
+    /**
+     * 검색 결과로 목록과 결과 문구를 그립니다
+     *
+     * @param {Array} results - filter() 결과
+     */
+    render(results) {
+        const elements = results.map(result => this.renderItem(result));
+        this.list.replaceChildren(...elements);
+
+        if (!this.query) {
+            this.status.textContent = '';
+        } else if (results.length) {
+            this.status.textContent = t('faq.results', { count: results.length });
+        } else {
+            this.status.textContent = t('faq.empty', { query: this.query });
+        }
+    }
+
+    /**
+     * 질문 하나 (아코디언 항목)
+     *
+     * @param {Object} result - {item, question, answer}
+     * @returns {Element} 항목 요소
+     */
+    renderItem({ item, question, answer }) {
+        const buttonId = `faq-${item.id}`;
+        const panelId = `faq-${item.id}-answer`;
+
+        const element = document.createElement('div');
+        element.className = 'faq-item';
+        element.innerHTML = `
+            <h3 class="faq-question">
+                <button type="button" class="faq-toggle" id="${buttonId}" aria-expanded="false" aria-controls="${panelId}" data-faq-toggle>
+                    <span class="faq-question-text"></span>
+                    <i class="fas fa-chevron-down" aria-hidden="true"></i>
+                </button>
+            </h3>
+            <div class="faq-answer" id="${panelId}" role="region" aria-labelledby="${buttonId}" hidden>
+                <p></p>
+            </div>
+        `;
+
+        renderHighlightedText(element.querySelector('.faq-question-text'), this.localize(item.question), question);
+        renderHighlightedText(element.querySelector('.faq-answer p'), this.localize(item.answer), answer);
+
+        // 답변에서 찾은 항목은 펼쳐서 보여줌
+        if (answer.length) {
+            element.querySelector('.faq-toggle').setAttribute('aria-expanded', 'true');
+            element.querySelector('.faq-answer').hidden = false;
+        }
+        return element;
+    }
+
+    /**
+     * 언어가 바뀌면 구조화 데이터와 (열려 있으면) 목록을 다시 만듭니다
+     *
+     * 펼쳐 둔 항목은 그대로 유지합니다.
+     */
+    handleLocaleChange() {
+        this.updateSchema();
+        if (!this.list) return;
+
+        const expanded = Array.from(this.list.querySelectorAll('[data-faq-toggle][aria-expanded="true"]'))
+            .map(button => button.id);
+        this.render(this.filter(this.query));
+        expanded.forEach(id => {
+            const button = document.getElementById(id);
+            if (button) this.toggle(button, true);
+        });
+    }
+
+    /**
+     * 검색엔진용 FAQPage 구조화 데이터를 현재 언어로 만듭니다
+     *
+     * @see https://schema.org/FAQPage
+     */
+    updateSchema() {
+        if (!this.items.length) return;
+
+        if (!this.schema) {
+            this.schema = document.createElement('script');
+            this.schema.type = 'application/ld+json';
+            this.schema.id = 'faqSchema';
+            document.head.appendChild(this.schema);
+        }
+
+        this.schema.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            inLanguage: getLocale(),
+            mainEntity: this.items.map(item => ({
+                '@type': 'Question',
+                name: this.localize(item.question),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: this.localize(item.answer)
+                }
+            }))
+        });
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.root = null;
+        this.list = null;
+        this.input = null;
+        if (this.schema) {
+            this.schema.remove();
+            this.schema = null;
+        }
+    }
+}
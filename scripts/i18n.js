@@ -0,0 +1,241 @@
+// ===== INTERNATIONALIZATION =====
+// 페이지 문구를 방문자의 언어로 바꿉니다.
+// 문구 사전은 locales.js에 있고, 이 파일보다 먼저 로드되어야 합니다.
+
+/**
+ * 다국어 설정
+ *
+ * - defaultLocale: 사전에 키가 없거나 언어를 정할 수 없을 때 쓰는 언어 (HTML에 적힌 원문 언어)
+ * - supportedLocales: 지원하는 언어 (LOCALES에 사전이 있어야 함)
+ * - storageKey: 방문자가 고른 언어를 저장하는 storage 키
+ * - queryParam: 언어를 지정하는 URL 파라미터 (?lang=en)
+ */
+const I18N_CONFIG = {
+    defaultLocale: 'ko',
+    supportedLocales: ['ko', 'en', 'ja'],
+    storageKey: 'nexus_locale',
+    queryParam: 'lang'
+};
+
+// 현재 언어 (I18nManager가 정하기 전에는 기본 언어)
+let currentLocale = I18N_CONFIG.defaultLocale;
+
+/**
+ * 번역 문구를 가져옵니다
+ *
+ * 현재 언어 사전에 키가 없으면 기본 언어 문구를, 그것도 없으면 키를 그대로 반환합니다.
+ *
+ * @param {string} key - 문구 키 (예: 'nav.home')
+ * @param {Object} params - 문구 안의 {name} 자리에 넣을 값
+ * @returns {string} 번역된 문구
+ *
+ * 예시:
+ * t('nav.home'); // "홈" (ko) / "Home" (en)
+ * t('download.qrOpen', { store: 'App Store' }); // "App Store 열기"
+ */
+function t(key, params = {}) {
+    const dictionary = LOCALES[currentLocale] || {};
+    let message = dictionary[key];
+
+    if (message === undefined) {
+        message = (LOCALES[I18N_CONFIG.defaultLocale] || {})[key];
+        console.warn(`[i18n] Missing "${currentLocale}" translation for "${key}"`);
+    }
+    if (message === undefined) return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+}
+
+/**
+ * 사전에 문구를 추가합니다
+ *
+ * locales.js 밖에서 온 문구(예: content.json)를 t()와 data-i18n으로 쓸 수 있게 합니다.
+ * 같은 키가 있으면 덮어씁니다.
+ *
+ * @param {Object} messages - {언어 코드: {키: 문구}}
+ *
+ * 예시:
+ * addMessages({ ko: { 'content.stats.0.label': '활성 사용자' }, en: { 'content.stats.0.label': 'Active users' } });
+ */
+function addMessages(messages) {
+    Object.entries(messages).forEach(([locale, entries]) => {
+        LOCALES[locale] = Object.assign(LOCALES[locale] || {}, entries);
+    });
+}
+
+/**
+ * 현재 언어 코드를 반환합니다
+ *
+ * @returns {string} 'ko' | 'en' | 'ja'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * I18nManager 클래스
+ *
+ * 역할:
+ * - 방문자의 언어를 정함 (?lang= -> storage에 저장된 선택 -> 브라우저 언어 -> 기본 언어)
+ * - data-i18n이 붙은 요소의 텍스트와 data-i18n-attr에 적힌 속성을 번역
+ * - <html lang>을 현재 언어로 맞춤 (formatNumber도 이 값을 사용)
+ * - 네비게이션 바의 언어 선택 메뉴 처리
+ * - 언어가 바뀌면 'i18n:change' 이벤트 발생 (JS로 만든 문구를 가진 모듈이 구독)
+ *
+ * HTML 사용법:
+ * <h2 data-i18n="features.title">핵심 기능</h2>
+ * <meta name="description" content="..." data-i18n-attr="content:meta.description">
+ * <button data-i18n-attr="aria-label:nav.menuOpen;title:nav.menuOpen">...</button>
+ */
+class I18nManager {
+    /**
+     * @param {Object} config - 다국어 설정 (기본값: I18N_CONFIG)
+     */
+    constructor(config = I18N_CONFIG) {
+        this.config = config;
+        this.switcher = null;
+        this.listeners = createListenerRegistry();
+
+        this.handleSwitcherChange = this.handleSwitcherChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.applyLocale(this.detectLocale());
+        this.setupSwitcher();
+    }
+
+    /**
+     * 지원하는 언어 코드로 맞춥니다
+     *
+     * 'en-US'처럼 지역이 붙은 값은 앞부분('en')으로 비교합니다.
+     *
+     * @param {string} value - 언어 코드
+     * @returns {string|null} 지원하는 언어 코드 (없으면 null)
+     */
+    normalizeLocale(value) {
+        if (!value) return null;
+        const code = String(value).toLowerCase().split('-')[0];
+        return this.config.supportedLocales.includes(code) ? code : null;
+    }
+
+    /**
+     * 방문자의 언어를 정합니다
+     *
+     * 우선순위: URL의 ?lang= > 지난번에 고른 언어 > 브라우저 언어 > 기본 언어
+     *
+     * @returns {string} 언어 코드
+     */
+    detectLocale() {
+        const fromQuery = this.normalizeLocale(urlParams.get(this.config.queryParam));
+        if (fromQuery) return fromQuery;
+
+        const fromStorage = this.normalizeLocale(storage.get(this.config.storageKey));
+        if (fromStorage) return fromStorage;
+
+        const browserLocales = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        for (const locale of browserLocales) {
+            const supported = this.normalizeLocale(locale);
+            if (supported) return supported;
+        }
+
+        return this.config.defaultLocale;
+    }
+
+    /**
+     * 언어를 바꿉니다 (언어 선택 메뉴에서 호출)
+     *
+     * 고른 언어는 storage에 저장해 다음 방문에도 유지합니다.
+     * URL에 ?lang=이 있으면 같이 바꿔서, 공유한 링크가 지금 보는 언어로 열리게 합니다.
+     *
+     * @param {string} locale - 언어 코드
+     */
+    setLocale(locale) {
+        const next = this.normalizeLocale(locale);
+        if (!next || next === currentLocale) return;
+
+        storage.set(this.config.storageKey, next);
+        if (urlParams.get(this.config.queryParam)) {
+            urlParams.set(this.config.queryParam, next, { replace: true });
+        }
+
+        this.applyLocale(next);
+    }
+
+    /**
+     * 언어를 적용하고 페이지를 번역합니다
+     *
+     * @param {string} locale - 언어 코드
+     */
+    applyLocale(locale) {
+        const previous = currentLocale;
+        currentLocale = locale;
+        document.documentElement.lang = locale;
+
+        this.translatePage();
+        if (this.switcher) this.switcher.value = locale;
+
+        if (locale !== previous) {
+            document.dispatchEvent(new CustomEvent('i18n:change', {
+                detail: { locale, previous }
+            }));
+        }
+    }
+
+    /**
+     * 페이지의 번역 가능한 요소를 모두 번역합니다
+     *
+     * 나중에 추가된 요소도 번역하려면 root를 넘겨서 다시 호출하면 됩니다.
+     *
+     * @param {Element|Document} root - 번역할 범위 (기본값: document)
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+
+        // data-i18n-attr="속성:키;속성:키"
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) element.setAttribute(attr, t(key));
+            });
+        });
+    }
+
+    /**
+     * 네비게이션 바의 언어 선택 메뉴를 채웁니다
+     *
+     * 언어 이름은 각 언어로 표시합니다. (English를 모르는 사람도 "한국어"는 알아볼 수 있도록)
+     */
+    setupSwitcher() {
+        this.switcher = getElement('#languageSwitcher');
+        if (!this.switcher) return;
+
+        this.switcher.innerHTML = '';
+        this.config.supportedLocales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = LOCALE_NAMES[locale] || locale;
+            this.switcher.appendChild(option);
+        });
+        this.switcher.value = currentLocale;
+
+        this.listeners.add(this.switcher, 'change', this.handleSwitcherChange);
+    }
+
+    handleSwitcherChange(event) {
+        this.setLocale(event.target.value);
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.switcher = null;
+    }
+}
@@ -0,0 +1,390 @@
+// ===== LEAD FORM =====
+// CTA 섹션의 소식 받기(이메일 구독) 폼입니다.
+// 아직 앱을 설치할 준비가 안 된 방문자의 이메일을 받습니다.
+
+/**
+ * 구독 폼 설정
+ *
+ * - endpoint: 구독 신청을 받을 서버 주소 (POST, JSON)
+ * - transport: 전송 방식 ('http' | 'mock')
+ *   - mock: 서버 없이 전체 흐름을 테스트할 때 사용 (URL에 ?mock=leads 로도 켤 수 있음)
+ * - mockDelay: mock 전송이 응답하기까지 걸리는 시간 (밀리초)
+ * - timeout: 서버 응답을 기다리는 최대 시간 (밀리초)
+ * - minFillTime: 폼을 처음 만진 뒤(포커스/입력) 이보다 빨리 제출되면 봇으로 봄 (밀리초)
+ * - storageKey: 오프라인일 때 보내지 못한 신청을 저장하는 storage 키
+ * - maxQueueSize: 저장해 두는 신청의 최대 개수
+ */
+const LEAD_FORM_CONFIG = {
+    endpoint: '/api/leads',
+    transport: 'http',
+    mockDelay: 800,
+    timeout: 10000,
+    minFillTime: 3000,
+    storageKey: 'nexus_lead_queue',
+    maxQueueSize: 20
+};
+
+// 이메일 형식 (브라우저의 type="email" 검사보다 조금 엄격하게 도메인에 점이 있어야 함)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * 전송 방식
+ *
+ * 모두 같은 형태입니다: (payload, config) => Promise<{ok, status}>
+ * 네트워크 오류는 reject, 서버가 응답했으면 상태 코드와 함께 resolve합니다.
+ */
+const LEAD_TRANSPORTS = {
+    async http(payload, config) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+
+        try {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            return { ok: response.ok, status: response.status };
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // 서버 없이 응답을 흉내 냅니다 (오프라인이면 실제 fetch처럼 실패)
+    async mock(payload, config) {
+        await wait(config.mockDelay);
+        if (navigator.onLine === false) throw new TypeError('Network request failed (mock)');
+
+        console.info('[LeadForm] Mock submission:', payload);
+        return { ok: true, status: 200 };
+    }
+};
+
+/**
+ * LeadForm 클래스
+ *
+ * 역할:
+ * - 이메일 형식과 수신 동의 체크를 검사하고, 틀린 곳 바로 아래에 메시지 표시
+ *   (처음에는 제출할 때 검사하고, 한 번 틀린 뒤에는 입력할 때마다 다시 검사)
+ * - 스팸 방지: 사람 눈에 보이지 않는 허니팟 필드가 채워졌거나, 너무 빨리 제출되면
+ *   실제로 보내지 않고 성공한 것처럼 보여줌 (봇이 눈치채지 못하도록)
+ * - 네트워크가 끊겼거나 서버 오류(5xx)면 신청을 storage에 저장해 두고,
+ *   브라우저가 다시 온라인이 되면(online 이벤트) 또는 다음 방문 때 다시 보냄
+ * - 전송 결과는 화면에 표시하고 스크린 리더에도 안내 (a11y.js의 announce)
+ * - 결과를 'lead:submit' 이벤트로 알림 (Analytics가 기록, 이메일은 포함하지 않음)
+ *
+ * 'lead:submit' 이벤트의 detail:
+ * {status: 'sent' | 'queued' | 'delivered', source: 'cta'}
+ * - sent: 바로 전송됨
+ * - queued: 저장해 두었다가 나중에 전송
+ * - delivered: 저장해 둔 신청이 나중에 전송됨
+ */
+class LeadForm {
+    /**
+     * @param {Object} config - 구독 폼 설정 (기본값: LEAD_FORM_CONFIG)
+     */
+    constructor(config = LEAD_FORM_CONFIG) {
+        this.config = {
+            ...config,
+            transport: urlParams.get('mock') === 'leads' ? 'mock' : config.transport
+        };
+        this.form = null;
+        this.fields = {};
+        this.status = null;
+        this.submitButton = null;
+        this.startedAt = null; // 폼을 처음 만진 시각 (handleStart)
+        this.submitting = false;
+        this.retrying = false;
+        this.listeners = createListenerRegistry();
+
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleStart = this.handleStart.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.form = getElement('#leadForm');
+        if (this.form) {
+            this.fields = {
+                email: this.form.elements.email,
+                consent: this.form.elements.consent,
+                honeypot: this.form.elements.website
+            };
+            this.status = this.form.querySelector('.lead-status');
+            this.submitButton = this.form.querySelector('[type="submit"]');
+
+            this.listeners.add(this.form, 'submit', this.handleSubmit);
+            this.listeners.add(this.form, 'focusin', this.handleStart);
+            this.listeners.add(this.form, 'input', this.handleStart);
+            this.listeners.add(this.form, 'input', this.handleInput);
+            this.listeners.add(this.form, 'change', this.handleInput);
+        }
+
+        // 폼이 없는 페이지에서도 저장된 신청은 보냄
+        this.listeners.add(window, 'online', this.handleOnline);
+        if (navigator.onLine !== false) this.retryQueue();
+    }
+
+    /**
+     * 필드 하나를 검사합니다
+     *
+     * @param {string} name - 'email' | 'consent'
+     * @returns {string|null} 에러 메시지 키 (문제가 없으면 null)
+     */
+    validateField(name) {
+        const field = this.fields[name];
+        if (!field) return null;
+
+        switch (name) {
+            case 'email': {
+                const value = field.value.trim();
+                if (!value) return 'lead.error.emailRequired';
+                if (!EMAIL_PATTERN.test(value)) return 'lead.error.emailInvalid';
+                return null;
+            }
+            case 'consent':
+                return field.checked ? null : 'lead.error.consentRequired';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 필드 아래에 에러 메시지를 표시하거나 지웁니다
+     *
+     * 메시지에 data-i18n을 붙여 두어서, 언어를 바꾸면 메시지도 함께 번역됩니다.
+     *
+     * @param {string} name - 필드 이름
+     * @param {string|null} key - 에러 메시지 키 (null이면 지움)
+     */
+    showFieldError(name, key) {
+        const field = this.fields[name];
+        const message = document.getElementById(field.getAttribute('aria-describedby'));
+
+        field.setAttribute('aria-invalid', String(Boolean(key)));
+        if (message) this.setMessage(message, key);
+    }
+
+    /**
+     * 모든 필드를 검사하고 메시지를 표시합니다
+     *
+     * @returns {boolean} 모두 통과했으면 true
+     */
+    validate() {
+        const invalid = ['email', 'consent'].filter(name => {
+            const error = this.validateField(name);
+            this.showFieldError(name, error);
+            return error;
+        });
+
+        // 첫 번째로 틀린 필드로 포커스 (스크린 리더가 메시지를 바로 읽음)
+        if (invalid.length) this.fields[invalid[0]].focus();
+        return !invalid.length;
+    }
+
+    /**
+     * 한 번 틀린 필드는 입력할 때마다 다시 검사합니다
+     *
+     * 처음 입력하는 중에는 "형식이 틀렸어요"가 계속 뜨지 않도록 검사하지 않습니다.
+     */
+    handleInput(event) {
+        const name = Object.keys(this.fields).find(key => this.fields[key] === event.target);
+        if (!name || event.target.getAttribute('aria-invalid') !== 'true') return;
+
+        this.showFieldError(name, this.validateField(name));
+    }
+
+    /**
+     * 작성 시간 측정을 시작합니다
+     *
+     * 페이지가 열린 시각이 아니라 폼을 처음 만진 시각부터 잽니다.
+     * (페이지를 열어 두기만 했다가 한참 뒤에 순식간에 채워 제출하는 봇도 걸러짐)
+     */
+    handleStart() {
+        if (this.startedAt === null) this.startedAt = Date.now();
+    }
+
+    /**
+     * 봇이 보낸 것으로 보이는지 확인합니다
+     *
+     * 폼에 포커스도 입력도 없이 제출되었다면(startedAt이 없음) 사람이 작성한 것이 아닙니다.
+     *
+     * @returns {boolean} 스팸이면 true
+     */
+    isSpam() {
+        if (this.fields.honeypot && this.fields.honeypot.value) return true;
+        if (this.startedAt === null) return true;
+        return Date.now() - this.startedAt < this.config.minFillTime;
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+        if (this.submitting) return;
+
+        this.setMessage(this.status, null);
+        if (!this.validate()) return;
+
+        if (this.isSpam()) {
+            console.warn('[LeadForm] Submission blocked by spam check');
+            this.complete('lead.success');
+            return;
+        }
+
+        const payload = {
+            email: this.fields.email.value.trim(),
+            consent: true,
+            locale: getLocale(),
+            source: 'cta',
+            submittedAt: new Date().toISOString()
+        };
+
+        this.setSubmitting(true);
+        const result = await this.send(payload);
+        this.setSubmitting(false);
+
+        switch (result) {
+            case 'sent':
+                this.complete('lead.success');
+                this.dispatch('sent');
+                break;
+            case 'retry':
+                this.enqueue(payload);
+                this.complete('lead.queued');
+                this.dispatch('queued');
+                break;
+            default:
+                this.setMessage(this.status, 'lead.error.rejected', 'error');
+                announce(t('lead.error.rejected'), { politeness: 'assertive' });
+                break;
+        }
+    }
+
+    /**
+     * 신청 하나를 전송합니다
+     *
+     * @param {Object} payload - 신청 내용
+     * @returns {Promise<string>} 'sent' | 'retry' (나중에 다시 보낼 수 있음) | 'rejected' (서버가 거절)
+     */
+    async send(payload) {
+        if (navigator.onLine === false) return 'retry';
+
+        const transport = LEAD_TRANSPORTS[this.config.transport] || LEAD_TRANSPORTS.http;
+        try {
+            const { ok, status } = await transport(payload, this.config);
+            if (ok) return 'sent';
+            return status >= 500 ? 'retry' : 'rejected';
+        } catch (error) {
+            // 네트워크 오류, 시간 초과
+            console.error('[LeadForm] Error sending lead:', error);
+            return 'retry';
+        }
+    }
+
+    /**
+     * 보내지 못한 신청을 저장합니다
+     *
+     * 같은 이메일이 이미 있으면 최신 신청으로 바꿉니다.
+     */
+    enqueue(payload) {
+        const queue = storage.get(this.config.storageKey, [])
+            .filter(item => item.email !== payload.email);
+        queue.push(payload);
+        storage.set(this.config.storageKey, queue.slice(-this.config.maxQueueSize));
+    }
+
+    /**
+     * 저장해 둔 신청을 순서대로 다시 보냅니다
+     *
+     * 다시 실패하면 거기서 멈추고 남은 신청은 다음 기회로 미룹니다.
+     * 서버가 거절한 신청(4xx)은 다시 보내도 소용없으므로 버립니다.
+     * 전송을 기다리는 동안 새 신청이 저장될 수 있으므로, 매번 storage를 다시 읽고 보낸 신청만 지웁니다.
+     */
+    async retryQueue() {
+        if (this.retrying) return;
+
+        this.retrying = true;
+        let next;
+        while ((next = storage.get(this.config.storageKey, [])[0])) {
+            const result = await this.send(next);
+            if (result === 'retry') break;
+
+            if (result === 'rejected') {
+                console.warn('[LeadForm] Dropping queued lead rejected by server');
+            } else {
+                this.dispatch('delivered');
+            }
+            this.dequeue(next);
+        }
+        this.retrying = false;
+    }
+
+    /**
+     * 저장해 둔 신청 하나를 지웁니다
+     *
+     * @param {Object} payload - 지울 신청 (이메일과 신청 시각으로 찾음)
+     */
+    dequeue(payload) {
+        const queue = storage.get(this.config.storageKey, [])
+            .filter(item => item.email !== payload.email || item.submittedAt !== payload.submittedAt);
+        storage.set(this.config.storageKey, queue);
+    }
+
+    handleOnline() {
+        this.retryQueue();
+    }
+
+    /**
+     * 제출이 끝났을 때 폼을 비우고 결과를 보여줍니다
+     *
+     * @param {string} key - 상태 메시지 키
+     */
+    complete(key) {
+        this.form.reset();
+        ['email', 'consent'].forEach(name => this.fields[name].removeAttribute('aria-invalid'));
+        this.startedAt = null; // 다음 신청은 다시 폼을 만질 때부터 잼
+        this.setMessage(this.status, key, 'success');
+        announce(t(key)); // 전송 중에 버튼이 비활성화되어 포커스가 결과 문구 근처에 없을 수 있음
+    }
+
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        this.form.setAttribute('aria-busy', String(submitting));
+        if (this.submitButton) this.submitButton.disabled = submitting;
+    }
+
+    /**
+     * 메시지 요소에 번역된 문구를 넣습니다
+     *
+     * @param {Element} element - 메시지 요소
+     * @param {string|null} key - 메시지 키 (null이면 비움)
+     * @param {string} type - 'error' | 'success' (CSS 색상용)
+     */
+    setMessage(element, key, type = 'error') {
+        if (!element) return;
+
+        if (key) {
+            element.dataset.i18n = key;
+            element.dataset.type = type;
+            element.textContent = t(key);
+        } else {
+            delete element.dataset.i18n;
+            delete element.dataset.type;
+            element.textContent = '';
+        }
+    }
+
+    dispatch(status) {
+        document.dispatchEvent(new CustomEvent('lead:submit', {
+            detail: { status, source: 'cta' }
+        }));
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.form = null;
+    }
+}
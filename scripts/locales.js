@@ -0,0 +1,765 @@
+// ===== LOCALES =====
+// 페이지에 표시되는 모든 문구의 언어별 사전입니다.
+// 키는 "영역.항목" 형태이고, HTML의 data-i18n 속성이나 JS의 t('키')로 사용합니다.
+// {name} 부분은 t('키', {name: 값})으로 넘긴 값으로 바뀝니다.
+//
+// 새 문구를 추가할 때는 세 언어 모두에 같은 키를 추가하세요.
+// 빠진 키는 기본 언어(ko) 문구로 표시되고 콘솔에 경고가 나옵니다.
+//
+// 기능 카드, 팀 소개, 통계, 신뢰 지표 문구는 content/content.json에 있습니다. (renderer.js가 등록)
+// 도움말 페이지의 자주 묻는 질문은 content/faq.json에 있습니다. (faq.js가 사용)
+
+/**
+ * 언어 선택 메뉴에 표시할 이름 (각 언어로 적음)
+ */
+const LOCALE_NAMES = {
+    ko: '한국어',
+    en: 'English',
+    ja: '日本語'
+};
+
+const LOCALES = {
+    ko: {
+        // 메타 태그
+        'meta.title': 'NexusApp - 차세대 협업 플랫폼',
+        'meta.description': 'NexusApp - AI 기반 차세대 협업 플랫폼으로 팀의 생산성을 혁신하세요',
+        'meta.keywords': '협업, 생산성, 팀워크, 앱, AI, 스타트업',
+        'meta.shareDescription': 'AI 기반 스마트 협업 도구로 더 빠르고 효율적인 업무 환경을 만들어보세요',
+
+        // 네비게이션
+        'nav.home': '홈',
+        'nav.features': '기능',
+        'nav.screenshots': '스크린샷',
+        'nav.team': '팀',
+        'nav.pricing': '요금제',
+        'nav.download': '다운로드',
+        'nav.menuOpen': '메뉴 열기',
+        'nav.menuClose': '메뉴 닫기',
+        'nav.language': '언어 선택',
+        'theme.toggle': '테마: {mode}',
+        'theme.mode.system': '시스템 설정',
+        'theme.mode.light': '라이트',
+        'theme.mode.dark': '다크',
+
+        // 접근성
+        'a11y.skipToContent': '본문으로 건너뛰기',
+        'a11y.motionToggle': '움직임 줄이기',
+        'a11y.motionReduced': '움직임 줄이기를 켰습니다.',
+        'a11y.motionRestored': '움직임 줄이기를 껐습니다.',
+        'a11y.sectionChange': '{section} 섹션으로 이동했습니다.',
+
+        // 히어로
+        'hero.title': '협업의 미래',
+        'hero.subtitle': 'NexusApp으로 팀의 생산성을 혁신하세요. AI 기반 스마트 협업 도구로 더 빠르고 효율적인 업무 환경을 만들어보세요.',
+        'hero.download': '무료 다운로드',
+        'hero.demo': '데모 보기',
+
+        // A/B 실험 문구 (experiments.js)
+        'experiment.heroCopy.productivity.title': '회의는 줄이고, 성과는 두 배로',
+        'experiment.heroCopy.productivity.subtitle': 'AI가 일정, 문서, 대화를 한곳에 정리해 팀이 정말 중요한 일에 집중할 수 있게 합니다.',
+        'experiment.ctaText.start.label': '무료로 시작하기',
+        'experiment.ctaText.noCard.label': '카드 없이 무료 체험',
+
+        // 기능
+        'features.title': '핵심 기능',
+        'features.subtitle': 'NexusApp의 강력한 기능들로 팀의 협업 방식을 완전히 바꿔보세요',
+
+        // 스크린샷
+        'screenshots.title': '앱 미리보기',
+        'screenshots.subtitle': '직관적이고 아름다운 인터페이스를 경험해보세요',
+        'screenshots.appSubtitle': '차세대 협업 도구',
+        'screenshots.highlight.ui': '직관적인 사용자 인터페이스',
+        'screenshots.highlight.performance': '빠른 로딩과 부드러운 애니메이션',
+        'screenshots.highlight.compatibility': '모든 디바이스에서 완벽한 호환성',
+
+        'carousel.label': '앱 화면 미리보기',
+        'carousel.slideLabel': '{current} / {total}',
+        'carousel.goTo': '{number}번째 화면 보기',
+        'carousel.alt.dashboard': 'NexusApp 대시보드 화면',
+        'carousel.alt.chat': 'NexusApp 실시간 채팅 화면',
+        'carousel.alt.devices': 'NexusApp 기기 동기화 화면',
+
+        // 팀
+        'team.title': '우리 팀',
+        'team.subtitle': '혁신적인 제품을 만들어가는 열정적인 팀을 소개합니다',
+
+        // 요금제
+        'pricing.title': '요금제',
+        'pricing.subtitle': '팀 규모에 맞는 플랜을 선택하세요. 언제든지 변경할 수 있습니다.',
+        'pricing.billingLabel': '결제 주기',
+        'pricing.monthly': '월간 결제',
+        'pricing.yearly': '연간 결제',
+        'pricing.discount': '{percent}% 할인',
+        'pricing.currencyLabel': '통화',
+        'pricing.popular': '가장 인기',
+        'pricing.plan.starter.name': 'Starter',
+        'pricing.plan.starter.description': '작은 팀이 협업을 시작하기에 충분합니다.',
+        'pricing.plan.pro.name': 'Pro',
+        'pricing.plan.pro.description': '빠르게 성장하는 팀을 위한 AI 협업 도구.',
+        'pricing.plan.business.name': 'Business',
+        'pricing.plan.business.description': '보안과 관리 기능이 필요한 조직을 위한 플랜.',
+        'pricing.plan.enterprise.name': 'Enterprise',
+        'pricing.plan.enterprise.description': '대규모 조직을 위한 맞춤 구성과 전담 지원.',
+        'pricing.cta.start': '시작하기',
+        'pricing.cta.contact': '영업팀 문의',
+        'pricing.custom': '맞춤 견적',
+        'pricing.customNote': '조직 규모에 맞춰 견적을 드립니다',
+        'pricing.perMonth': '/월',
+        'pricing.monthlyNote': '사용자당, 매월 청구',
+        'pricing.yearlyNote': '사용자당, 연 {total} 청구',
+        'pricing.freeNote': '신용카드 없이 영구 무료',
+        'pricing.feature.members5': '최대 5명',
+        'pricing.feature.projects3': '프로젝트 3개',
+        'pricing.feature.basicIntegrations': '기본 연동 10개',
+        'pricing.feature.members50': '최대 50명',
+        'pricing.feature.unlimitedProjects': '무제한 프로젝트',
+        'pricing.feature.aiInsights': 'AI 스마트 분석',
+        'pricing.feature.allIntegrations': '100개 이상의 모든 연동',
+        'pricing.feature.unlimitedMembers': '무제한 인원',
+        'pricing.feature.advancedReports': '상세 분석 리포트',
+        'pricing.feature.sso': 'SSO (SAML) 로그인',
+        'pricing.feature.prioritySupport': '우선 지원',
+        'pricing.feature.everythingBusiness': 'Business의 모든 기능',
+        'pricing.feature.dedicatedManager': '전담 매니저',
+        'pricing.feature.sla': '99.99% 가동 시간 SLA',
+        'pricing.feature.onPremise': '온프레미스 설치',
+        'pricing.compareToggle': '전체 기능 비교',
+        'pricing.compare.price': '가격 (사용자당)',
+        'pricing.compare.members': '팀 인원',
+        'pricing.compare.projects': '프로젝트',
+        'pricing.compare.storage': '저장 공간',
+        'pricing.compare.integrations': '연동 서비스',
+        'pricing.compare.aiInsights': 'AI 스마트 분석',
+        'pricing.compare.reports': '상세 분석 리포트',
+        'pricing.compare.sso': 'SSO (SAML)',
+        'pricing.compare.auditLog': '감사 로그',
+        'pricing.compare.sla': '가동 시간 SLA',
+        'pricing.compare.support': '고객 지원',
+        'pricing.value.unlimited': '무제한',
+        'pricing.value.custom': '맞춤',
+        'pricing.value.community': '커뮤니티',
+        'pricing.value.email': '이메일',
+        'pricing.value.priority': '우선 지원',
+        'pricing.value.dedicated': '전담 매니저',
+        'pricing.value.included': '포함',
+        'pricing.value.notIncluded': '미포함',
+
+        // CTA / 다운로드
+        'cta.title': '지금 시작하세요',
+        'cta.subtitle': 'NexusApp을 무료로 다운로드하고 팀의 생산성을 혁신해보세요',
+        'download.recommended': '추천',
+        'download.qrTitle': '휴대폰으로 계속하기',
+        'download.qrInstructions': '휴대폰 카메라로 QR 코드를 스캔하면 {store}에서 NexusApp을 받을 수 있습니다.',
+        'download.qrOpen': '{store} 열기',
+        'download.qrLabel': '{store} QR 코드',
+
+        // 소식 받기 폼
+        'lead.title': '아직 설치할 준비가 안 되셨나요?',
+        'lead.subtitle': '출시 소식과 새 기능을 이메일로 먼저 받아보세요',
+        'lead.emailLabel': '이메일 주소',
+        'lead.submit': '소식 받기',
+        'lead.consent': '마케팅 이메일 수신에 동의합니다',
+        'lead.success': '구독해 주셔서 감사합니다! 곧 첫 소식을 보내드릴게요.',
+        'lead.queued': '지금은 오프라인이에요. 연결되면 자동으로 신청을 보내드릴게요.',
+        'lead.error.emailRequired': '이메일 주소를 입력해 주세요.',
+        'lead.error.emailInvalid': '올바른 이메일 주소를 입력해 주세요. (예: name@company.com)',
+        'lead.error.consentRequired': '소식을 받으려면 수신 동의가 필요해요.',
+        'lead.error.rejected': '신청을 처리하지 못했어요. 이메일 주소를 확인하고 다시 시도해 주세요.',
+
+        // PWA
+        'pwa.installText': '앱을 내려받지 않고 브라우저에서 바로 설치할 수도 있어요',
+        'pwa.install': '홈 화면에 추가',
+        'pwa.updateAvailable': '새 버전이 있습니다.',
+        'pwa.reload': '새로고침',
+
+        // 공유, 토스트
+        'share.button': '공유',
+        'share.label': '{name} 링크 공유',
+        'share.copied': '링크를 복사했어요.',
+        'share.failed': '링크를 복사하지 못했어요. 직접 복사해 주세요: {url}',
+        'toast.close': '알림 닫기',
+
+        // 푸터
+        'footer.tagline': '차세대 협업 플랫폼으로 팀의 무한한 가능성을 실현하세요.',
+        'footer.product': '제품',
+        'footer.features': '기능',
+        'footer.pricing': '요금제',
+        'footer.integrations': '연동',
+        'footer.api': 'API',
+        'footer.company': '회사',
+        'footer.about': '회사소개',
+        'footer.team': '팀',
+        'footer.careers': '채용',
+        'footer.news': '뉴스',
+        'footer.support': '지원',
+        'footer.help': '도움말',
+        'footer.contact': '연락처',
+        'footer.privacy': '개인정보처리방침',
+        'footer.consent': '쿠키 설정',
+        'footer.terms': '이용약관',
+        'footer.address': '서울특별시 강남구 테헤란로 427 | contact@nexusapp.com | 02-1234-5678',
+
+        // 가상 페이지 (router.js)
+        'page.about.title': '회사소개',
+        'page.about.description': 'NexusApp은 흩어진 대화, 문서, 일정을 한곳에 모아 팀이 일에만 집중하도록 돕습니다.',
+        'page.about.body': 'NexusApp은 흩어진 대화, 문서, 일정을 한곳에 모아 팀이 일에만 집중할 수 있도록 돕는 협업 플랫폼입니다.',
+        'page.about.mission': '2023년 서울에서 시작해 지금은 전 세계 5만 개가 넘는 팀이 NexusApp으로 일하고 있습니다.',
+        'page.careers.title': '채용',
+        'page.careers.description': 'NexusApp에서 더 나은 협업 방식을 함께 만들어 갈 동료를 찾고 있습니다.',
+        'page.careers.intro': '더 나은 협업 방식을 함께 만들어 갈 동료를 찾고 있습니다.',
+        'page.careers.role.frontend': '프론트엔드 엔지니어 (서울, 하이브리드)',
+        'page.careers.role.designer': '프로덕트 디자이너 (서울, 하이브리드)',
+        'page.careers.role.success': '고객 성공 매니저 (원격 가능)',
+        'page.careers.apply': '이력서는 careers@nexusapp.com으로 보내 주세요.',
+        'page.news.title': '뉴스',
+        'page.news.description': 'NexusApp의 새 기능과 회사 소식을 확인하세요.',
+        'page.news.item.ai': 'AI 회의록 요약 기능 정식 출시',
+        'page.news.item.series': '시리즈 A 투자 유치',
+        'page.news.item.desktop': '데스크톱 앱 출시',
+        'page.integrations.title': '연동',
+        'page.integrations.description': 'Slack, Google Drive, GitHub 등 이미 쓰고 있는 도구와 NexusApp을 연결하세요.',
+        'page.integrations.intro': '이미 쓰고 있는 도구와 연결해 알림과 파일을 NexusApp 한곳에서 확인하세요.',
+        'page.api.title': 'API',
+        'page.api.description': 'REST API와 웹훅으로 NexusApp을 사내 시스템과 연동하세요.',
+        'page.api.intro': 'REST API와 웹훅으로 NexusApp의 프로젝트, 작업, 메시지를 사내 시스템과 연동할 수 있습니다.',
+        'page.api.access': 'API는 Pro 요금제부터 사용할 수 있으며, 키 발급은 워크스페이스 설정에서 할 수 있습니다.',
+        'page.help.title': '도움말',
+        'page.help.description': 'NexusApp 사용 방법과 자주 묻는 질문을 확인하세요.',
+        'page.help.intro': '자주 묻는 질문에서 답을 찾지 못하셨다면 언제든 문의해 주세요.',
+        'page.help.contactLink': '문의하기',
+        'page.contact.title': '연락처',
+        'page.contact.description': '제품, 요금제, 제휴 문의는 NexusApp 팀에 연락해 주세요.',
+        'page.contact.intro': '제품, 요금제, 제휴에 관한 문의는 아래로 연락해 주세요. 영업일 기준 하루 안에 답변드립니다.',
+        'page.contact.email': '이메일',
+        'page.contact.phone': '전화',
+        'page.contact.address': '주소',
+        'page.contact.addressValue': '서울특별시 강남구 테헤란로 427',
+        'page.privacy.title': '개인정보처리방침',
+        'page.privacy.description': 'NexusApp이 수집하는 개인정보와 보관 기간, 쿠키 사용에 대해 안내합니다.',
+        'page.privacy.intro': 'NexusApp은 서비스 제공에 필요한 최소한의 개인정보만 수집합니다.',
+        'page.privacy.collect.title': '수집하는 정보',
+        'page.privacy.collect.body': '소식 받기를 신청할 때 입력한 이메일 주소, 그리고 동의한 경우에 한해 방문 통계(익명 방문자 ID, 유입 경로)를 수집합니다.',
+        'page.privacy.retention.title': '보관 기간',
+        'page.privacy.retention.body': '이메일 주소는 수신을 거부하면 바로 삭제하고, 방문 통계는 13개월 뒤 삭제합니다.',
+        'page.privacy.cookies.title': '쿠키와 저장소',
+        'page.privacy.cookies.body': '언어와 테마 같은 설정은 브라우저에 저장됩니다. 통계와 외부 콘텐츠 사용 여부는 언제든 바꿀 수 있습니다.',
+        'page.terms.title': '이용약관',
+        'page.terms.description': 'NexusApp 서비스 이용에 관한 약관입니다.',
+        'page.terms.intro': '이 약관은 NexusApp 서비스를 이용할 때 회사와 이용자 사이의 권리와 의무를 정합니다.',
+        'page.terms.account.title': '계정',
+        'page.terms.account.body': '이용자는 계정 정보를 안전하게 관리해야 하며, 계정에서 일어나는 활동에 책임이 있습니다.',
+        'page.terms.billing.title': '요금과 해지',
+        'page.terms.billing.body': '유료 요금제는 결제 주기마다 자동으로 갱신되며, 언제든 다음 결제일 전에 해지할 수 있습니다.',
+
+        // 자주 묻는 질문 (faq.js, 질문과 답변은 content/faq.json)
+        'faq.searchLabel': '자주 묻는 질문 검색',
+        'faq.searchPlaceholder': '예: 요금제, 보안, Slack, ㅇㄷ',
+        'faq.results': '질문 {count}개를 찾았습니다.',
+        'faq.empty': '"{query}"에 대한 질문을 찾지 못했습니다. 다른 단어로 검색하거나 아래로 문의해 주세요.',
+
+        // 공통 UI
+        'modal.close': '닫기',
+        'demo.title': 'NexusApp 데모',
+        'demo.error': '영상을 불러올 수 없습니다. 잠시 후 다시 시도해주세요.',
+
+        // 동의 (consent.js)
+        'consent.title': '개인정보 보호를 위한 선택',
+        'consent.description': '사이트 동작에 필요한 저장소 외에, 방문 통계와 외부 글꼴(Google Fonts)은 동의하신 경우에만 사용합니다. 선택은 언제든 푸터의 "쿠키 설정"에서 바꿀 수 있습니다.',
+        'consent.acceptAll': '모두 허용',
+        'consent.necessaryOnly': '필수만 허용',
+        'consent.settings': '설정',
+        'consent.save': '선택 저장',
+        'consent.preferencesTitle': '쿠키 및 개인정보 설정',
+        'consent.preferencesDescription': '항목별로 사용 여부를 선택하세요. 필수 항목은 사이트 동작에 꼭 필요해서 끌 수 없습니다.',
+        'consent.category.necessary': '필수',
+        'consent.category.necessary.description': '언어, 테마, 동의 여부처럼 사이트가 동작하는 데 필요한 정보를 이 브라우저에 저장합니다.',
+        'consent.category.analytics': '방문 통계',
+        'consent.category.analytics.description': '어떤 섹션과 버튼이 많이 쓰이는지 익명으로 수집해 사이트를 개선합니다.',
+        'consent.category.marketing': '마케팅 및 외부 콘텐츠',
+        'consent.category.marketing.description': '캠페인 성과 측정과, Google Fonts처럼 다른 회사 서버에서 글꼴을 불러오는 데 사용합니다. 이때 IP 주소가 해당 회사에 전달됩니다.'
+    },
+
+    en: {
+        'meta.title': 'NexusApp - The Next-Generation Collaboration Platform',
+        'meta.description': 'NexusApp - Transform your team\'s productivity with an AI-powered next-generation collaboration platform',
+        'meta.keywords': 'collaboration, productivity, teamwork, app, AI, startup',
+        'meta.shareDescription': 'Build a faster, more efficient way of working with AI-powered smart collaboration tools',
+
+        'nav.home': 'Home',
+        'nav.features': 'Features',
+        'nav.screenshots': 'Screenshots',
+        'nav.team': 'Team',
+        'nav.pricing': 'Pricing',
+        'nav.download': 'Download',
+        'nav.menuOpen': 'Open menu',
+        'nav.menuClose': 'Close menu',
+        'nav.language': 'Select language',
+        'theme.toggle': 'Theme: {mode}',
+        'theme.mode.system': 'System',
+        'theme.mode.light': 'Light',
+        'theme.mode.dark': 'Dark',
+
+        'a11y.skipToContent': 'Skip to main content',
+        'a11y.motionToggle': 'Reduce motion',
+        'a11y.motionReduced': 'Reduce motion is on.',
+        'a11y.motionRestored': 'Reduce motion is off.',
+        'a11y.sectionChange': 'Moved to the {section} section.',
+
+        'hero.title': 'The Future of Collaboration',
+        'hero.subtitle': 'Transform your team\'s productivity with NexusApp. Build a faster, more efficient way of working with AI-powered smart collaboration tools.',
+        'hero.download': 'Free Download',
+        'hero.demo': 'Watch Demo',
+
+        'experiment.heroCopy.productivity.title': 'Fewer Meetings, Twice the Output',
+        'experiment.heroCopy.productivity.subtitle': 'AI brings your schedule, docs and conversations together so your team can focus on the work that matters.',
+        'experiment.ctaText.start.label': 'Start for Free',
+        'experiment.ctaText.noCard.label': 'Try Free, No Card Needed',
+
+        'features.title': 'Core Features',
+        'features.subtitle': 'Completely change the way your team works together with NexusApp\'s powerful features',
+
+        'screenshots.title': 'App Preview',
+        'screenshots.subtitle': 'Experience an intuitive and beautiful interface',
+        'screenshots.appSubtitle': 'Next-gen collaboration',
+        'screenshots.highlight.ui': 'Intuitive user interface',
+        'screenshots.highlight.performance': 'Fast loading and smooth animations',
+        'screenshots.highlight.compatibility': 'Works perfectly on every device',
+
+        'carousel.label': 'App screen preview',
+        'carousel.slideLabel': '{current} of {total}',
+        'carousel.goTo': 'Show screen {number}',
+        'carousel.alt.dashboard': 'NexusApp dashboard screen',
+        'carousel.alt.chat': 'NexusApp real-time chat screen',
+        'carousel.alt.devices': 'NexusApp device sync screen',
+
+        'team.title': 'Our Team',
+        'team.subtitle': 'Meet the passionate people building an innovative product',
+
+        'pricing.title': 'Pricing',
+        'pricing.subtitle': 'Choose the plan that fits your team. Change it any time.',
+        'pricing.billingLabel': 'Billing period',
+        'pricing.monthly': 'Monthly',
+        'pricing.yearly': 'Yearly',
+        'pricing.discount': 'Save {percent}%',
+        'pricing.currencyLabel': 'Currency',
+        'pricing.popular': 'Most popular',
+        'pricing.plan.starter.name': 'Starter',
+        'pricing.plan.starter.description': 'Everything a small team needs to start collaborating.',
+        'pricing.plan.pro.name': 'Pro',
+        'pricing.plan.pro.description': 'AI-powered collaboration for fast-growing teams.',
+        'pricing.plan.business.name': 'Business',
+        'pricing.plan.business.description': 'For organizations that need security and admin controls.',
+        'pricing.plan.enterprise.name': 'Enterprise',
+        'pricing.plan.enterprise.description': 'Custom setup and dedicated support for large organizations.',
+        'pricing.cta.start': 'Get started',
+        'pricing.cta.contact': 'Contact sales',
+        'pricing.custom': 'Custom',
+        'pricing.customNote': 'Priced to fit your organization',
+        'pricing.perMonth': '/mo',
+        'pricing.monthlyNote': 'Per user, billed monthly',
+        'pricing.yearlyNote': 'Per user, {total} billed yearly',
+        'pricing.freeNote': 'Free forever, no credit card required',
+        'pricing.feature.members5': 'Up to 5 members',
+        'pricing.feature.projects3': '3 projects',
+        'pricing.feature.basicIntegrations': '10 basic integrations',
+        'pricing.feature.members50': 'Up to 50 members',
+        'pricing.feature.unlimitedProjects': 'Unlimited projects',
+        'pricing.feature.aiInsights': 'AI smart insights',
+        'pricing.feature.allIntegrations': 'All 100+ integrations',
+        'pricing.feature.unlimitedMembers': 'Unlimited members',
+        'pricing.feature.advancedReports': 'Detailed analytics reports',
+        'pricing.feature.sso': 'SSO (SAML) sign-in',
+        'pricing.feature.prioritySupport': 'Priority support',
+        'pricing.feature.everythingBusiness': 'Everything in Business',
+        'pricing.feature.dedicatedManager': 'Dedicated account manager',
+        'pricing.feature.sla': '99.99% uptime SLA',
+        'pricing.feature.onPremise': 'On-premise deployment',
+        'pricing.compareToggle': 'Compare all features',
+        'pricing.compare.price': 'Price (per user)',
+        'pricing.compare.members': 'Team members',
+        'pricing.compare.projects': 'Projects',
+        'pricing.compare.storage': 'Storage',
+        'pricing.compare.integrations': 'Integrations',
+        'pricing.compare.aiInsights': 'AI smart insights',
+        'pricing.compare.reports': 'Detailed reports',
+        'pricing.compare.sso': 'SSO (SAML)',
+        'pricing.compare.auditLog': 'Audit log',
+        'pricing.compare.sla': 'Uptime SLA',
+        'pricing.compare.support': 'Support',
+        'pricing.value.unlimited': 'Unlimited',
+        'pricing.value.custom': 'Custom',
+        'pricing.value.community': 'Community',
+        'pricing.value.email': 'Email',
+        'pricing.value.priority': 'Priority',
+        'pricing.value.dedicated': 'Dedicated manager',
+        'pricing.value.included': 'Included',
+        'pricing.value.notIncluded': 'Not included',
+
+        'cta.title': 'Get Started Today',
+        'cta.subtitle': 'Download NexusApp for free and transform your team\'s productivity',
+        'download.recommended': 'Recommended',
+        'download.qrTitle': 'Continue on your phone',
+        'download.qrInstructions': 'Scan the QR code with your phone\'s camera to get NexusApp on {store}.',
+        'download.qrOpen': 'Open {store}',
+        'download.qrLabel': '{store} QR code',
+
+        'lead.title': 'Not ready to install yet?',
+        'lead.subtitle': 'Get launch news and new features in your inbox first',
+        'lead.emailLabel': 'Email address',
+        'lead.submit': 'Keep me posted',
+        'lead.consent': 'I agree to receive marketing emails',
+        'lead.success': 'Thanks for subscribing! Your first update is on its way soon.',
+        'lead.queued': 'You\'re offline right now. We\'ll send your signup automatically once you\'re back online.',
+        'lead.error.emailRequired': 'Please enter your email address.',
+        'lead.error.emailInvalid': 'Please enter a valid email address (e.g. name@company.com).',
+        'lead.error.consentRequired': 'Please agree to receive emails to subscribe.',
+        'lead.error.rejected': 'We couldn\'t process your signup. Please check your email address and try again.',
+
+        'pwa.installText': 'You can also install it straight from your browser, no download needed',
+        'pwa.install': 'Add to Home Screen',
+        'pwa.updateAvailable': 'A new version is available.',
+        'pwa.reload': 'Reload',
+
+        'share.button': 'Share',
+        'share.label': 'Share link to {name}',
+        'share.copied': 'Link copied.',
+        'share.failed': 'Couldn\'t copy the link. Please copy it manually: {url}',
+        'toast.close': 'Dismiss notification',
+
+        'footer.tagline': 'Unlock your team\'s full potential with the next-generation collaboration platform.',
+        'footer.product': 'Product',
+        'footer.features': 'Features',
+        'footer.pricing': 'Pricing',
+        'footer.integrations': 'Integrations',
+        'footer.api': 'API',
+        'footer.company': 'Company',
+        'footer.about': 'About',
+        'footer.team': 'Team',
+        'footer.careers': 'Careers',
+        'footer.news': 'News',
+        'footer.support': 'Support',
+        'footer.help': 'Help',
+        'footer.contact': 'Contact',
+        'footer.privacy': 'Privacy Policy',
+        'footer.consent': 'Cookie Settings',
+        'footer.terms': 'Terms of Service',
+        'footer.address': '427 Teheran-ro, Gangnam-gu, Seoul | contact@nexusapp.com | +82-2-1234-5678',
+
+        'page.about.title': 'About Us',
+        'page.about.description': 'NexusApp brings scattered conversations, documents and schedules together so your team can focus on the work.',
+        'page.about.body': 'NexusApp is a collaboration platform that brings scattered conversations, documents and schedules into one place so your team can focus on the work.',
+        'page.about.mission': 'We started in Seoul in 2023, and today more than 50,000 teams around the world work with NexusApp.',
+        'page.careers.title': 'Careers',
+        'page.careers.description': 'Join NexusApp and help build a better way to work together.',
+        'page.careers.intro': 'We\'re looking for teammates to help build a better way to work together.',
+        'page.careers.role.frontend': 'Frontend Engineer (Seoul, hybrid)',
+        'page.careers.role.designer': 'Product Designer (Seoul, hybrid)',
+        'page.careers.role.success': 'Customer Success Manager (remote friendly)',
+        'page.careers.apply': 'Send your resume to careers@nexusapp.com.',
+        'page.news.title': 'News',
+        'page.news.description': 'The latest features and company news from NexusApp.',
+        'page.news.item.ai': 'AI meeting notes summaries are now generally available',
+        'page.news.item.series': 'NexusApp raises Series A funding',
+        'page.news.item.desktop': 'Desktop app launched',
+        'page.integrations.title': 'Integrations',
+        'page.integrations.description': 'Connect NexusApp with the tools you already use, like Slack, Google Drive and GitHub.',
+        'page.integrations.intro': 'Connect the tools you already use and see their notifications and files in one place.',
+        'page.api.title': 'API',
+        'page.api.description': 'Connect NexusApp to your internal systems with the REST API and webhooks.',
+        'page.api.intro': 'Use the REST API and webhooks to connect NexusApp projects, tasks and messages to your internal systems.',
+        'page.api.access': 'The API is available on the Pro plan and above. Create keys in your workspace settings.',
+        'page.help.title': 'Help Center',
+        'page.help.description': 'Learn how to use NexusApp and find answers to frequently asked questions.',
+        'page.help.intro': 'Can\'t find your answer in the FAQ? Get in touch anytime.',
+        'page.help.contactLink': 'Contact us',
+        'page.contact.title': 'Contact',
+        'page.contact.description': 'Reach the NexusApp team about the product, pricing or partnerships.',
+        'page.contact.intro': 'For questions about the product, pricing or partnerships, reach us below. We reply within one business day.',
+        'page.contact.email': 'Email',
+        'page.contact.phone': 'Phone',
+        'page.contact.address': 'Address',
+        'page.contact.addressValue': '427 Teheran-ro, Gangnam-gu, Seoul',
+        'page.privacy.title': 'Privacy Policy',
+        'page.privacy.description': 'What personal data NexusApp collects, how long we keep it, and how we use cookies.',
+        'page.privacy.intro': 'NexusApp collects only the minimum personal data needed to provide the service.',
+        'page.privacy.collect.title': 'What we collect',
+        'page.privacy.collect.body': 'The email address you enter when signing up for updates and, only if you agree, visit statistics (an anonymous visitor ID and referral source).',
+        'page.privacy.retention.title': 'How long we keep it',
+        'page.privacy.retention.body': 'Email addresses are deleted as soon as you unsubscribe, and visit statistics are deleted after 13 months.',
+        'page.privacy.cookies.title': 'Cookies and storage',
+        'page.privacy.cookies.body': 'Settings such as language and theme are stored in your browser. You can change whether we use analytics and third-party content at any time.',
+        'page.terms.title': 'Terms of Service',
+        'page.terms.description': 'The terms for using the NexusApp service.',
+        'page.terms.intro': 'These terms set out the rights and obligations between NexusApp and its users.',
+        'page.terms.account.title': 'Accounts',
+        'page.terms.account.body': 'You are responsible for keeping your account credentials secure and for activity that happens in your account.',
+        'page.terms.billing.title': 'Billing and cancellation',
+        'page.terms.billing.body': 'Paid plans renew automatically each billing period, and you can cancel anytime before the next billing date.',
+
+        'faq.searchLabel': 'Search frequently asked questions',
+        'faq.searchPlaceholder': 'e.g. pricing, security, Slack',
+        'faq.results': 'Matching questions: {count}',
+        'faq.empty': 'No questions match "{query}". Try different words or contact us below.',
+
+        'modal.close': 'Close',
+        'demo.title': 'NexusApp Demo',
+        'demo.error': 'The video could not be loaded. Please try again later.',
+
+        'consent.title': 'Your privacy choices',
+        'consent.description': 'Apart from the storage the site needs to work, we only use visit statistics and external fonts (Google Fonts) if you agree. You can change your choice anytime under "Cookie Settings" in the footer.',
+        'consent.acceptAll': 'Accept all',
+        'consent.necessaryOnly': 'Necessary only',
+        'consent.settings': 'Settings',
+        'consent.save': 'Save choices',
+        'consent.preferencesTitle': 'Cookie & privacy settings',
+        'consent.preferencesDescription': 'Choose which categories to allow. Necessary items are required for the site to work and cannot be turned off.',
+        'consent.category.necessary': 'Necessary',
+        'consent.category.necessary.description': 'Stores what the site needs to work in this browser, such as your language, theme and consent choice.',
+        'consent.category.analytics': 'Analytics',
+        'consent.category.analytics.description': 'Anonymously measures which sections and buttons are used so we can improve the site.',
+        'consent.category.marketing': 'Marketing & external content',
+        'consent.category.marketing.description': 'Measures campaign performance and loads fonts from other companies\' servers, such as Google Fonts. Your IP address is shared with those providers.'
+    },
+
+    ja: {
+        'meta.title': 'NexusApp - 次世代コラボレーションプラットフォーム',
+        'meta.description': 'NexusApp - AIを活用した次世代コラボレーションプラットフォームでチームの生産性を革新しましょう',
+        'meta.keywords': 'コラボレーション, 生産性, チームワーク, アプリ, AI, スタートアップ',
+        'meta.shareDescription': 'AIを活用したスマートなコラボレーションツールで、より速く効率的な働き方を実現しましょう',
+
+        'nav.home': 'ホーム',
+        'nav.features': '機能',
+        'nav.screenshots': 'スクリーンショット',
+        'nav.team': 'チーム',
+        'nav.pricing': '料金',
+        'nav.download': 'ダウンロード',
+        'nav.menuOpen': 'メニューを開く',
+        'nav.menuClose': 'メニューを閉じる',
+        'nav.language': '言語を選択',
+        'theme.toggle': 'テーマ: {mode}',
+        'theme.mode.system': 'システム設定',
+        'theme.mode.light': 'ライト',
+        'theme.mode.dark': 'ダーク',
+
+        'a11y.skipToContent': '本文へスキップ',
+        'a11y.motionToggle': '動きを減らす',
+        'a11y.motionReduced': '動きを減らす設定をオンにしました。',
+        'a11y.motionRestored': '動きを減らす設定をオフにしました。',
+        'a11y.sectionChange': '「{section}」セクションに移動しました。',
+
+        'hero.title': 'コラボレーションの未来',
+        'hero.subtitle': 'NexusAppでチームの生産性を革新しましょう。AIを活用したスマートなコラボレーションツールで、より速く効率的な働き方を実現します。',
+        'hero.download': '無料ダウンロード',
+        'hero.demo': 'デモを見る',
+
+        'experiment.heroCopy.productivity.title': '会議は減らして、成果は2倍に',
+        'experiment.heroCopy.productivity.subtitle': 'AIがスケジュール、ドキュメント、会話を一か所にまとめ、チームが本当に大切な仕事に集中できるようにします。',
+        'experiment.ctaText.start.label': '無料で始める',
+        'experiment.ctaText.noCard.label': 'カード登録なしで無料体験',
+
+        'features.title': '主な機能',
+        'features.subtitle': 'NexusAppの強力な機能で、チームのコラボレーションを根本から変えましょう',
+
+        'screenshots.title': 'アプリプレビュー',
+        'screenshots.subtitle': '直感的で美しいインターフェースを体験してください',
+        'screenshots.appSubtitle': '次世代コラボレーションツール',
+        'screenshots.highlight.ui': '直感的なユーザーインターフェース',
+        'screenshots.highlight.performance': '高速な読み込みとなめらかなアニメーション',
+        'screenshots.highlight.compatibility': 'あらゆるデバイスに完全対応',
+
+        'carousel.label': 'アプリ画面のプレビュー',
+        'carousel.slideLabel': '{current} / {total}',
+        'carousel.goTo': '{number}番目の画面を表示',
+        'carousel.alt.dashboard': 'NexusApp ダッシュボード画面',
+        'carousel.alt.chat': 'NexusApp リアルタイムチャット画面',
+        'carousel.alt.devices': 'NexusApp デバイス同期画面',
+
+        'team.title': '私たちのチーム',
+        'team.subtitle': '革新的なプロダクトをつくる情熱的なチームをご紹介します',
+
+        'pricing.title': '料金プラン',
+        'pricing.subtitle': 'チームの規模に合ったプランをお選びください。いつでも変更できます。',
+        'pricing.billingLabel': '支払いサイクル',
+        'pricing.monthly': '月払い',
+        'pricing.yearly': '年払い',
+        'pricing.discount': '{percent}%お得',
+        'pricing.currencyLabel': '通貨',
+        'pricing.popular': '一番人気',
+        'pricing.plan.starter.name': 'Starter',
+        'pricing.plan.starter.description': '小さなチームがコラボレーションを始めるのに十分な機能。',
+        'pricing.plan.pro.name': 'Pro',
+        'pricing.plan.pro.description': '急成長するチームのためのAIコラボレーション。',
+        'pricing.plan.business.name': 'Business',
+        'pricing.plan.business.description': 'セキュリティと管理機能が必要な組織向けのプラン。',
+        'pricing.plan.enterprise.name': 'Enterprise',
+        'pricing.plan.enterprise.description': '大規模組織向けのカスタム構成と専任サポート。',
+        'pricing.cta.start': '始める',
+        'pricing.cta.contact': '営業に問い合わせる',
+        'pricing.custom': '個別見積もり',
+        'pricing.customNote': '組織の規模に合わせてお見積もりします',
+        'pricing.perMonth': '/月',
+        'pricing.monthlyNote': 'ユーザーあたり、毎月請求',
+        'pricing.yearlyNote': 'ユーザーあたり、年額 {total} を請求',
+        'pricing.freeNote': 'クレジットカード不要でずっと無料',
+        'pricing.feature.members5': '最大5名',
+        'pricing.feature.projects3': 'プロジェクト3件',
+        'pricing.feature.basicIntegrations': '基本連携10種類',
+        'pricing.feature.members50': '最大50名',
+        'pricing.feature.unlimitedProjects': 'プロジェクト無制限',
+        'pricing.feature.aiInsights': 'AIスマート分析',
+        'pricing.feature.allIntegrations': '100以上のすべての連携',
+        'pricing.feature.unlimitedMembers': 'メンバー無制限',
+        'pricing.feature.advancedReports': '詳細な分析レポート',
+        'pricing.feature.sso': 'SSO(SAML)ログイン',
+        'pricing.feature.prioritySupport': '優先サポート',
+        'pricing.feature.everythingBusiness': 'Businessのすべての機能',
+        'pricing.feature.dedicatedManager': '専任マネージャー',
+        'pricing.feature.sla': '稼働率99.99%のSLA',
+        'pricing.feature.onPremise': 'オンプレミス導入',
+        'pricing.compareToggle': 'すべての機能を比較',
+        'pricing.compare.price': '料金(ユーザーあたり)',
+        'pricing.compare.members': 'メンバー数',
+        'pricing.compare.projects': 'プロジェクト',
+        'pricing.compare.storage': 'ストレージ',
+        'pricing.compare.integrations': '連携サービス',
+        'pricing.compare.aiInsights': 'AIスマート分析',
+        'pricing.compare.reports': '詳細レポート',
+        'pricing.compare.sso': 'SSO(SAML)',
+        'pricing.compare.auditLog': '監査ログ',
+        'pricing.compare.sla': '稼働率SLA',
+        'pricing.compare.support': 'サポート',
+        'pricing.value.unlimited': '無制限',
+        'pricing.value.custom': 'カスタム',
+        'pricing.value.community': 'コミュニティ',
+        'pricing.value.email': 'メール',
+        'pricing.value.priority': '優先',
+        'pricing.value.dedicated': '専任マネージャー',
+        'pricing.value.included': '含まれる',
+        'pricing.value.notIncluded': '含まれない',
+
+        'cta.title': '今すぐ始めましょう',
+        'cta.subtitle': 'NexusAppを無料でダウンロードして、チームの生産性を革新しましょう',
+        'download.recommended': 'おすすめ',
+        'download.qrTitle': 'スマートフォンで続ける',
+        'download.qrInstructions': 'スマートフォンのカメラでQRコードを読み取ると、{store}からNexusAppを入手できます。',
+        'download.qrOpen': '{store}を開く',
+        'download.qrLabel': '{store}のQRコード',
+
+        'lead.title': 'まだインストールの準備ができていませんか？',
+        'lead.subtitle': 'リリース情報や新機能をいち早くメールでお届けします',
+        'lead.emailLabel': 'メールアドレス',
+        'lead.submit': '最新情報を受け取る',
+        'lead.consent': 'マーケティングメールの受信に同意します',
+        'lead.success': 'ご登録ありがとうございます！まもなく最初のお知らせをお送りします。',
+        'lead.queued': '現在オフラインです。接続が戻ったら自動的に送信します。',
+        'lead.error.emailRequired': 'メールアドレスを入力してください。',
+        'lead.error.emailInvalid': '正しいメールアドレスを入力してください（例: name@company.com）。',
+        'lead.error.consentRequired': '受信への同意が必要です。',
+        'lead.error.rejected': '登録を処理できませんでした。メールアドレスを確認してもう一度お試しください。',
+
+        'pwa.installText': 'ダウンロードせずにブラウザから直接インストールすることもできます',
+        'pwa.install': 'ホーム画面に追加',
+        'pwa.updateAvailable': '新しいバージョンがあります。',
+        'pwa.reload': '再読み込み',
+
+        'share.button': '共有',
+        'share.label': '「{name}」のリンクを共有',
+        'share.copied': 'リンクをコピーしました。',
+        'share.failed': 'リンクをコピーできませんでした。手動でコピーしてください: {url}',
+        'toast.close': '通知を閉じる',
+
+        'footer.tagline': '次世代コラボレーションプラットフォームで、チームの無限の可能性を実現しましょう。',
+        'footer.product': '製品',
+        'footer.features': '機能',
+        'footer.pricing': '料金プラン',
+        'footer.integrations': '連携',
+        'footer.api': 'API',
+        'footer.company': '会社',
+        'footer.about': '会社概要',
+        'footer.team': 'チーム',
+        'footer.careers': '採用情報',
+        'footer.news': 'ニュース',
+        'footer.support': 'サポート',
+        'footer.help': 'ヘルプ',
+        'footer.contact': 'お問い合わせ',
+        'footer.privacy': 'プライバシーポリシー',
+        'footer.consent': 'Cookie設定',
+        'footer.terms': '利用規約',
+        'footer.address': 'ソウル特別市江南区テヘラン路427 | contact@nexusapp.com | +82-2-1234-5678',
+
+        'page.about.title': '会社概要',
+        'page.about.description': 'NexusAppは散らばった会話、ドキュメント、スケジュールを一か所にまとめ、チームが仕事に集中できるようにします。',
+        'page.about.body': 'NexusAppは、散らばった会話、ドキュメント、スケジュールを一か所にまとめ、チームが仕事に集中できるようにするコラボレーションプラットフォームです。',
+        'page.about.mission': '2023年にソウルで始まり、現在は世界中の5万以上のチームがNexusAppで働いています。',
+        'page.careers.title': '採用情報',
+        'page.careers.description': 'NexusAppで、より良いコラボレーションの形を一緒につくる仲間を募集しています。',
+        'page.careers.intro': 'より良いコラボレーションの形を一緒につくる仲間を募集しています。',
+        'page.careers.role.frontend': 'フロントエンドエンジニア（ソウル、ハイブリッド）',
+        'page.careers.role.designer': 'プロダクトデザイナー（ソウル、ハイブリッド）',
+        'page.careers.role.success': 'カスタマーサクセスマネージャー（リモート可）',
+        'page.careers.apply': '履歴書は careers@nexusapp.com までお送りください。',
+        'page.news.title': 'ニュース',
+        'page.news.description': 'NexusAppの新機能と会社のお知らせをご覧ください。',
+        'page.news.item.ai': 'AI議事録要約機能を正式リリース',
+        'page.news.item.series': 'シリーズAの資金調達を実施',
+        'page.news.item.desktop': 'デスクトップアプリをリリース',
+        'page.integrations.title': '連携',
+        'page.integrations.description': 'Slack、Google Drive、GitHubなど、お使いのツールとNexusAppを連携しましょう。',
+        'page.integrations.intro': 'お使いのツールと連携して、通知やファイルをNexusAppでまとめて確認できます。',
+        'page.api.title': 'API',
+        'page.api.description': 'REST APIとWebhookでNexusAppを社内システムと連携しましょう。',
+        'page.api.intro': 'REST APIとWebhookで、NexusAppのプロジェクト、タスク、メッセージを社内システムと連携できます。',
+        'page.api.access': 'APIはProプラン以上でご利用いただけます。キーはワークスペース設定で発行できます。',
+        'page.help.title': 'ヘルプ',
+        'page.help.description': 'NexusAppの使い方とよくある質問をご覧ください。',
+        'page.help.intro': 'よくある質問で解決しない場合は、いつでもお問い合わせください。',
+        'page.help.contactLink': 'お問い合わせ',
+        'page.contact.title': 'お問い合わせ',
+        'page.contact.description': '製品、料金プラン、提携についてはNexusAppチームまでご連絡ください。',
+        'page.contact.intro': '製品、料金プラン、提携に関するお問い合わせは下記までご連絡ください。1営業日以内にご返信します。',
+        'page.contact.email': 'メール',
+        'page.contact.phone': '電話',
+        'page.contact.address': '住所',
+        'page.contact.addressValue': 'ソウル特別市江南区テヘラン路427',
+        'page.privacy.title': 'プライバシーポリシー',
+        'page.privacy.description': 'NexusAppが収集する個人情報、保管期間、Cookieの利用についてご案内します。',
+        'page.privacy.intro': 'NexusAppはサービスの提供に必要な最小限の個人情報のみを収集します。',
+        'page.privacy.collect.title': '収集する情報',
+        'page.privacy.collect.body': '最新情報の受け取りを申し込む際に入力したメールアドレス、および同意いただいた場合に限り訪問統計（匿名の訪問者ID、流入元）を収集します。',
+        'page.privacy.retention.title': '保管期間',
+        'page.privacy.retention.body': 'メールアドレスは配信停止後すぐに削除し、訪問統計は13か月後に削除します。',
+        'page.privacy.cookies.title': 'Cookieとストレージ',
+        'page.privacy.cookies.body': '言語やテーマなどの設定はブラウザに保存されます。統計や外部コンテンツの利用はいつでも変更できます。',
+        'page.terms.title': '利用規約',
+        'page.terms.description': 'NexusAppサービスの利用に関する規約です。',
+        'page.terms.intro': 'この規約は、NexusAppのサービスを利用する際の当社と利用者の権利と義務を定めるものです。',
+        'page.terms.account.title': 'アカウント',
+        'page.terms.account.body': '利用者はアカウント情報を安全に管理し、アカウントで行われる活動に責任を負うものとします。',
+        'page.terms.billing.title': '料金と解約',
+        'page.terms.billing.body': '有料プランは請求期間ごとに自動更新され、次回請求日の前であればいつでも解約できます。',
+
+        'faq.searchLabel': 'よくある質問を検索',
+        'faq.searchPlaceholder': '例：料金、セキュリティ、Slack',
+        'faq.results': '{count}件の質問が見つかりました。',
+        'faq.empty': '「{query}」に一致する質問は見つかりませんでした。別の言葉で検索するか、下記からお問い合わせください。',
+
+        'modal.close': '閉じる',
+        'demo.title': 'NexusApp デモ',
+        'demo.error': '動画を読み込めませんでした。しばらくしてから再度お試しください。',
+
+        'consent.title': 'プライバシーに関する選択',
+        'consent.description': 'サイトの動作に必要な保存領域以外に、アクセス解析と外部のフォント（Google Fonts）は同意いただいた場合のみ使用します。選択はフッターの「Cookie設定」からいつでも変更できます。',
+        'consent.acceptAll': 'すべて許可',
+        'consent.necessaryOnly': '必須のみ許可',
+        'consent.settings': '設定',
+        'consent.save': '選択を保存',
+        'consent.preferencesTitle': 'Cookieとプライバシーの設定',
+        'consent.preferencesDescription': '項目ごとに使用するかどうかを選んでください。必須項目はサイトの動作に必要なため、オフにできません。',
+        'consent.category.necessary': '必須',
+        'consent.category.necessary.description': '言語、テーマ、同意の有無など、サイトの動作に必要な情報をこのブラウザに保存します。',
+        'consent.category.analytics': 'アクセス解析',
+        'consent.category.analytics.description': 'どのセクションやボタンがよく使われているかを匿名で収集し、サイトの改善に役立てます。',
+        'consent.category.marketing': 'マーケティングと外部コンテンツ',
+        'consent.category.marketing.description': 'キャンペーン効果の測定と、Google Fontsなど他社のサーバーからフォントを読み込むために使用します。その際、IPアドレスが各社に送信されます。'
+    }
+};
@@ -0,0 +1,170 @@
+// ===== MEDIA LOADER =====
+// 이미지를 화면에 가까워졌을 때만 불러옵니다. (팀 사진, 앱 스크린샷 등)
+// 첫 화면에 필요 없는 이미지가 LCP(가장 큰 콘텐츠 표시 시간)를 늦추지 않게 합니다.
+
+/**
+ * 미디어 로딩 설정
+ *
+ * - rootMargin: 화면에 들어오기 이만큼 전에 미리 불러오기 시작
+ * - reportDelay: 실패한 이미지를 모아서 한 번에 콘솔에 알리기까지 기다리는 시간 (밀리초)
+ */
+const MEDIA_CONFIG = {
+    rootMargin: '200px 0px',
+    reportDelay: 2000
+};
+
+// 지연 로딩 대상 (data-lazy="manual"은 다른 모듈이 직접 loadMedia()를 호출하는 이미지)
+const LAZY_MEDIA_SELECTOR = 'img[data-src]:not([data-lazy="manual"]), img[data-srcset]:not([data-lazy="manual"])';
+
+// 불러오지 못한 이미지 목록 (reportMediaFailures가 한 번에 출력하고 비움)
+const mediaFailures = [];
+
+/**
+ * 불러오지 못한 이미지를 한 번의 로그로 알립니다
+ *
+ * 이미지가 여러 장 깨지면 콘솔이 에러로 가득 차지 않도록 reportDelay 동안 모았다가 출력합니다.
+ */
+const reportMediaFailures = debounce(() => {
+    if (!mediaFailures.length) return;
+
+    console.warn(`[Media] ${mediaFailures.length} image(s) failed to load:`);
+    console.table(mediaFailures.splice(0));
+}, MEDIA_CONFIG.reportDelay);
+
+/**
+ * 이미지 하나를 불러옵니다
+ *
+ * 1. data-placeholder가 있으면 작은 이미지를 흐리게 먼저 보여줌 (blur-up)
+ * 2. 별도의 Image 객체로 data-src/data-srcset을 미리 받아 두고
+ * 3. 다 받으면 실제 <img>에 넣어 한 번에 선명하게 바꿈 (반쯤 그려진 이미지가 보이지 않도록)
+ * 4. 실패하면 .media-failed를 붙여 숨김 -> 같은 자리의 .avatar-fallback(이니셜)이 보임
+ *
+ * @param {HTMLImageElement} img - data-src 또는 data-srcset이 있는 이미지
+ * @returns {Promise<boolean>} 성공하면 true (이미 불러왔거나 대상이 아니면 false)
+ */
+function loadMedia(img) {
+    const { src, srcset, sizes } = img.dataset;
+    if (!src && !srcset) return Promise.resolve(false);
+
+    // 다시 호출되어도 한 번만 불러오도록 먼저 지움
+    delete img.dataset.src;
+    delete img.dataset.srcset;
+    img.classList.add('media-loading');
+
+    return new Promise(resolve => {
+        const loader = new Image();
+
+        loader.onload = () => {
+            if (sizes) img.sizes = sizes;
+            if (srcset) img.srcset = srcset;
+            if (src) img.src = src;
+            img.classList.remove('media-loading', 'media-placeholder');
+            img.classList.add('media-loaded');
+            resolve(true);
+        };
+
+        loader.onerror = () => {
+            img.classList.remove('media-loading');
+            img.classList.add('media-failed');
+            img.setAttribute('aria-hidden', 'true'); // 대체 콘텐츠가 대신 읽힘
+
+            mediaFailures.push({ src: src || srcset, alt: img.alt, page: window.location.pathname });
+            reportMediaFailures();
+            resolve(false);
+        };
+
+        if (sizes) loader.sizes = sizes;
+        if (srcset) loader.srcset = srcset;
+        if (src) loader.src = src;
+    });
+}
+
+/**
+ * 흐린 미리보기 이미지를 보여줍니다
+ *
+ * @param {HTMLImageElement} img - data-placeholder가 있는 이미지
+ */
+function showMediaPlaceholder(img) {
+    if (!img.dataset.placeholder || img.getAttribute('src')) return;
+
+    img.src = img.dataset.placeholder;
+    img.classList.add('media-placeholder');
+    delete img.dataset.placeholder;
+}
+
+/**
+ * MediaLoader 클래스
+ *
+ * 역할:
+ * - data-src / data-srcset이 있는 이미지를 Intersection Observer로 감시하다가
+ *   화면 근처(rootMargin)에 오면 loadMedia()로 불러옴
+ * - content.json으로 나중에 그려진 이미지(팀 사진)도 'content:render' 이벤트로 등록
+ * - IntersectionObserver가 없는 브라우저에서는 바로 모두 불러옴
+ *
+ * HTML 사용법:
+ * <img data-src="./photo.jpg" data-srcset="./photo.jpg 1x, ./photo@2x.jpg 2x"
+ *      data-placeholder="data:image/jpeg;base64,..." alt="..." width="100" height="100">
+ *
+ * 실패했을 때 보여줄 대체 콘텐츠는 같은 부모 안에 둡니다:
+ * <div class="team-avatar">
+ *     <div class="avatar-fallback">김</div>
+ *     <img data-src="./kim.jpg" alt="">
+ * </div>
+ */
+class MediaLoader {
+    /**
+     * @param {Object} config - 미디어 로딩 설정 (기본값: MEDIA_CONFIG)
+     */
+    constructor(config = MEDIA_CONFIG) {
+        this.config = config;
+        this.observer = null;
+        this.listeners = createListenerRegistry();
+
+        this.handleContentRender = this.handleContentRender.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    loadMedia(entry.target);
+                });
+            }, { rootMargin: this.config.rootMargin });
+        }
+
+        this.observe(document);
+        this.listeners.add(document, 'content:render', this.handleContentRender);
+    }
+
+    /**
+     * root 안의 지연 로딩 이미지를 등록합니다
+     *
+     * @param {Element|Document} root - 찾을 범위
+     */
+    observe(root) {
+        root.querySelectorAll(LAZY_MEDIA_SELECTOR).forEach(img => {
+            showMediaPlaceholder(img);
+            if (this.observer) {
+                this.observer.observe(img);
+            } else {
+                loadMedia(img);
+            }
+        });
+    }
+
+    handleContentRender(event) {
+        event.detail.containers.forEach(container => this.observe(container));
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
@@ -0,0 +1,291 @@
+// ===== MODAL COMPONENT =====
+// 이 파일은 재사용 가능한 모달(대화상자) 컴포넌트를 정의합니다.
+// 데모 영상, QR 코드 안내 등 화면 위에 띄우는 모든 대화상자가 이 클래스를 사용합니다.
+
+/**
+ * Modal 클래스
+ *
+ * 역할:
+ * - role="dialog" + aria-modal로 스크린 리더가 대화상자로 인식하게 함
+ * - generateId로 만든 id로 제목(aria-labelledby)과 연결
+ * - 열려 있는 동안 포커스를 모달 안에 가두고(focus trap), 닫으면 원래 위치로 돌려줌
+ * - Esc 키, 배경 클릭으로 닫기
+ * - 배경 페이지 스크롤 잠금
+ * - 모달 위에 모달을 여는 경우(스택) 맨 위 모달만 키보드 입력을 처리
+ *
+ * 사용 예시:
+ * const modal = new Modal({ title: '알림', content: '<p>내용</p>' });
+ * await modal.open(); // 열림 애니메이션이 끝나면 resolve
+ * await modal.close(); // 닫힘 애니메이션이 끝나면 resolve
+ */
+class Modal {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - 제목 (aria-labelledby로 연결됨)
+     * @param {string|Element} options.content - 본문 HTML 문자열 또는 요소
+     * @param {string} options.className - 추가할 CSS 클래스 (크기/스타일 변형용)
+     * @param {boolean} options.closeOnBackdrop - 배경 클릭 시 닫기 (기본 true)
+     * @param {boolean} options.closeOnEscape - Esc 키로 닫기 (기본 true)
+     * @param {Function} options.onOpen - 열린 뒤 호출
+     * @param {Function} options.onClose - 닫힌 뒤 호출 (close()에 넘긴 값을 받음)
+     */
+    constructor(options = {}) {
+        this.options = {
+            title: '',
+            content: '',
+            className: '',
+            closeOnBackdrop: true,
+            closeOnEscape: true,
+            onOpen: null,
+            onClose: null,
+            ...options
+        };
+
+        this.id = generateId('modal');
+        this.isOpen = false;
+        this.transition = 0; // 열기/닫기를 할 때마다 증가. 애니메이션을 기다리는 사이 반대 동작이 시작됐는지 확인용
+        this.previousFocus = null; // 닫은 뒤 포커스를 돌려줄 요소
+        this.listeners = createListenerRegistry();
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+
+        this.render();
+    }
+
+    /**
+     * 모달 DOM을 만들어 body 끝에 추가합니다 (처음에는 hidden)
+     */
+    render() {
+        const titleId = `${this.id}-title`;
+
+        this.element = document.createElement('div');
+        this.element.className = `modal ${this.options.className}`.trim();
+        this.element.id = this.id;
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="modal-backdrop" data-modal-close></div>
+            <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="${titleId}" tabindex="-1">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="${titleId}"></h2>
+                    <button type="button" class="modal-close" aria-label="${t('modal.close')}" data-i18n-attr="aria-label:modal.close" data-modal-close>
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+
+        this.dialog = this.element.querySelector('.modal-dialog');
+        this.titleElement = this.element.querySelector('.modal-title');
+        this.body = this.element.querySelector('.modal-body');
+
+        this.setTitle(this.options.title);
+        this.setContent(this.options.content);
+
+        this.listeners.add(this.element, 'click', this.handleClick);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 제목을 바꿉니다
+     *
+     * @param {string} title - 제목 텍스트
+     */
+    setTitle(title) {
+        this.titleElement.textContent = title;
+    }
+
+    /**
+     * 본문 내용을 바꿉니다
+     *
+     * @param {string|Element} content - HTML 문자열 또는 요소
+     */
+    setContent(content) {
+        if (typeof content === 'string') {
+            this.body.innerHTML = content;
+        } else if (content instanceof Element) {
+            this.body.replaceChildren(content);
+        }
+    }
+
+    /**
+     * 모달을 엽니다
+     *
+     * 닫힘 애니메이션 중에 다시 열면 닫기를 취소하고 그대로 다시 엽니다.
+     * (스택과 스크롤 잠금은 닫기가 끝날 때 정리되므로 아직 남아 있음, 포커스도 처음 연 버튼으로 돌려줌)
+     *
+     * @returns {Promise} 열림 애니메이션이 끝나면 resolve (그 사이 닫히면 바로 resolve)
+     */
+    async open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        const transition = ++this.transition;
+
+        const isClosing = Modal.stack.includes(this);
+        if (isClosing) {
+            Modal.stack = Modal.stack.filter(modal => modal !== this); // 맨 위로 다시 쌓음
+        } else {
+            this.previousFocus = document.activeElement;
+        }
+
+        // 스택 맨 위에 쌓기. 아래에 있던 모달은 inert로 조작 불가 상태로
+        const below = Modal.stack[Modal.stack.length - 1];
+        if (below) below.element.setAttribute('inert', '');
+        Modal.stack.push(this);
+        if (!isClosing) Modal.lockScroll();
+
+        this.element.style.setProperty('--modal-layer', Modal.stack.length - 1);
+        this.element.hidden = false;
+        addEventListenerSafe(document, 'keydown', this.handleKeydown);
+
+        // hidden 해제 직후 클래스를 붙이면 transition이 생략되므로 한 프레임 뒤에
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        if (transition !== this.transition) return; // 그 사이 닫힘
+        this.element.classList.add('is-open');
+
+        // 첫 번째 포커스 가능한 요소로 (없으면 대화상자 자체로) 포커스 이동
+        const [first] = getFocusableElements(this.body);
+        (first || this.dialog).focus();
+
+        await wait(Modal.getTransitionDuration());
+        if (transition !== this.transition) return;
+        if (typeof this.options.onOpen === 'function') this.options.onOpen(this);
+    }
+
+    /**
+     * 모달을 닫습니다
+     *
+     * 닫힘 애니메이션 중에 다시 열리면 정리하지 않고 onClose도 호출하지 않습니다.
+     *
+     * @param {*} result - onClose 콜백에 전달할 값 (예: 어떤 버튼으로 닫았는지)
+     * @returns {Promise} 닫힘 애니메이션이 끝나면 resolve
+     */
+    async close(result) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        const transition = ++this.transition;
+
+        this.element.classList.remove('is-open');
+        removeEventListnerSafe(document, 'keydown', this.handleKeydown);
+
+        await wait(Modal.getTransitionDuration());
+        if (transition !== this.transition) return; // 그 사이 다시 열림 (또는 destroy)
+        this.element.hidden = true;
+
+        // 스택에서 제거하고, 바로 아래 모달을 다시 조작 가능하게
+        Modal.stack = Modal.stack.filter(modal => modal !== this);
+        const below = Modal.stack[Modal.stack.length - 1];
+        if (below) below.element.removeAttribute('inert');
+        Modal.unlockScroll();
+
+        // 모달을 열었던 버튼으로 포커스 복원
+        if (this.previousFocus && document.contains(this.previousFocus)) {
+            this.previousFocus.focus({ preventScroll: true });
+        }
+        this.previousFocus = null;
+
+        if (typeof this.options.onClose === 'function') this.options.onClose(result, this);
+    }
+
+    /**
+     * 닫기 버튼, 배경 클릭 처리
+     */
+    handleClick(event) {
+        const closer = event.target.closest('[data-modal-close]');
+        if (!closer) return;
+        if (closer.classList.contains('modal-backdrop') && !this.options.closeOnBackdrop) return;
+        this.close('dismiss');
+    }
+
+    /**
+     * 키보드 처리 (맨 위 모달만)
+     *
+     * - Escape: 닫기
+     * - Tab / Shift+Tab: 모달 안에서만 포커스 순환
+     */
+    handleKeydown(event) {
+        if (Modal.stack[Modal.stack.length - 1] !== this) return;
+
+        if (event.key === 'Escape' && this.options.closeOnEscape) {
+            event.preventDefault();
+            this.close('dismiss');
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = getFocusableElements(this.dialog);
+        if (!focusable.length) {
+            event.preventDefault();
+            this.dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        } else if (!this.dialog.contains(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * 모달을 완전히 제거합니다 (DOM, 리스너 모두)
+     */
+    destroy() {
+        this.transition++; // 기다리는 중인 open()/close()가 이어서 실행되지 않게
+        if (Modal.stack.includes(this)) {
+            // 애니메이션 없이 즉시 정리 (닫히는 중이어도 아직 스택에 있음)
+            this.isOpen = false;
+            Modal.stack = Modal.stack.filter(modal => modal !== this);
+            const below = Modal.stack[Modal.stack.length - 1];
+            if (below) below.element.removeAttribute('inert');
+            Modal.unlockScroll();
+        }
+        removeEventListnerSafe(document, 'keydown', this.handleKeydown);
+        this.listeners.removeAll();
+        this.element.remove();
+    }
+
+    /**
+     * 열림/닫힘 애니메이션 시간 (애니메이션 감소 설정이면 0)
+     */
+    static getTransitionDuration() {
+        return prefersReducedMotion() ? 0 : 200;
+    }
+
+    /**
+     * 배경 페이지 스크롤 잠금
+     *
+     * 스크롤바가 사라지면서 페이지가 옆으로 밀리지 않도록 스크롤바 너비만큼 padding을 줍니다.
+     * 모달이 여러 개 쌓여도 첫 번째 모달이 열릴 때 한 번만 잠급니다.
+     */
+    static lockScroll() {
+        if (Modal.stack.length !== 1) return;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        if (scrollbarWidth > 0) document.body.style.paddingRight = `${scrollbarWidth}px`;
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 스크롤 잠금 해제 (마지막 모달이 닫힐 때만)
+     */
+    static unlockScroll() {
+        if (Modal.stack.length !== 0) return;
+        document.body.style.paddingRight = '';
+        document.body.classList.remove('modal-open');
+    }
+}
+
+/**
+ * 현재 열려 있는 모달들 (아래 -> 위 순서)
+ */
+Modal.stack = [];
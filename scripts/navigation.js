@@ -0,0 +1,324 @@
+// ===== NAVIGATION CONTROLLER =====
+// 이 파일은 상단 네비게이션의 동작을 담당합니다.
+// 현재 섹션 하이라이트(스크롤 스파이), 앵커 링크 부드러운 이동, 모바일 메뉴를 처리합니다.
+
+/**
+ * NavigationController 클래스
+ *
+ * 역할:
+ * - 스크롤 위치에 따라 현재 보고 있는 섹션의 메뉴 링크를 강조 (스크롤 스파이)
+ * - 페이지 내부 앵커(#features 등) 클릭 시 네비바 높이를 고려해 부드럽게 이동
+ * - 모바일 햄버거 버튼(#mobileMenuToggle)을 접근성 있는 드로어 메뉴로 동작
+ * - 앵커로 이동을 마치면 'navigation:section' 이벤트 발생 (detail: {id: 섹션 id})
+ *
+ * 동작 원리:
+ * 1. Intersection Observer로 각 섹션이 화면 상단 영역에 들어오는지 감시
+ * 2. 들어온 섹션 중 문서상 가장 위에 있는 섹션의 링크에 .active 클래스 추가
+ * 3. 모바일 메뉴가 열리면 포커스를 메뉴 안에 가두고, Esc/바깥 클릭으로 닫음
+ */
+class NavigationController {
+    constructor() {
+        this.navbar = getElement('#navbar');
+        this.navLinks = getElement('.nav-links');
+        this.menuToggle = getElement('#mobileMenuToggle');
+        this.sectionIds = ['home', 'features', 'screenshots', 'team', 'pricing', 'download']; // 스크롤 스파이 대상
+        this.sections = [];
+        this.visibleSections = new Set(); // 현재 감지 영역 안에 있는 섹션들
+        this.activeId = null;
+        this.observer = null;
+        this.isMenuOpen = false;
+        this.listeners = createListenerRegistry(); // destroy() 때 한 번에 제거
+
+        // 이벤트 핸들러는 나중에 제거할 수 있도록 this에 바인딩해 둡니다
+        this.handleAnchorClick = this.handleAnchorClick.bind(this);
+        this.handleToggleClick = this.handleToggleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleOutsideClick = this.handleOutsideClick.bind(this);
+        this.unsubscribeResize = null; // frameScheduler 구독 해제 함수
+        this.updateToggleLabel = this.updateToggleLabel.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 네비게이션 초기화
+     */
+    init() {
+        this.setupScrollSpy(); // 현재 섹션 하이라이트
+        this.setupAnchorLinks(); // 앵커 링크 부드러운 스크롤
+        this.setupMobileMenu(); // 모바일 드로어 메뉴
+    }
+
+    /**
+     * 네비바 높이를 반환합니다
+     *
+     * 고정(fixed) 네비바가 섹션 제목을 가리지 않도록 스크롤 오프셋으로 사용합니다.
+     * .scrolled 상태에서는 높이가 달라지므로 매번 새로 측정합니다.
+     */
+    getNavbarHeight() {
+        return this.navbar ? this.navbar.offsetHeight : 0;
+    }
+
+    /**
+     * 스크롤 스파이 설정
+     *
+     * scroll 이벤트 대신 Intersection Observer를 사용합니다.
+     * rootMargin으로 "네비바 바로 아래 ~ 화면 40% 지점" 띠를 감지 영역으로 만들고,
+     * 이 띠에 걸친 섹션을 현재 섹션으로 봅니다.
+     */
+    setupScrollSpy() {
+        this.sections = this.sectionIds
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+
+        if (!this.sections.length || !this.navLinks) return;
+
+        const options = {
+            rootMargin: `-${this.getNavbarHeight()}px 0px -60% 0px`,
+            threshold: 0
+        };
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.add(entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target);
+                }
+            });
+
+            // 감지 영역에 걸친 섹션 중 문서상 가장 위에 있는 섹션을 선택
+            // (아무 섹션도 없으면 이전 상태 유지 - 섹션 사이 여백에서 깜빡임 방지)
+            const current = this.sections.find(section => this.visibleSections.has(section));
+            if (current) this.setActiveLink(current.id);
+        }, options);
+
+        this.sections.forEach(section => this.observer.observe(section));
+    }
+
+    /**
+     * 현재 섹션에 해당하는 메뉴 링크를 강조합니다
+     *
+     * @param {string} id - 섹션 id
+     */
+    setActiveLink(id) {
+        if (id === this.activeId) return; // 변화 없으면 DOM 작업 생략
+        this.activeId = id;
+
+        getElement('.nav-links a[href^="#"]', true).forEach(link => {
+            const isActive = link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('active', isActive);
+            // 스크린 리더에게 현재 위치를 알려줌
+            if (isActive) {
+                link.setAttribute('aria-current', 'true');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * 페이지 내부 앵커 링크 설정
+     *
+     * 링크마다 리스너를 달지 않고 document 하나에서 처리합니다 (이벤트 위임).
+     * 나중에 동적으로 추가되는 링크도 자동으로 처리됩니다.
+     */
+    setupAnchorLinks() {
+        this.listeners.add(document, 'click', this.handleAnchorClick);
+    }
+
+    /**
+     * 앵커 링크 클릭 처리
+     *
+     * 실제로 존재하는 섹션을 가리키는 링크만 가로챕니다.
+     * href="#"이나 아직 없는 섹션(#pricing 등)은 브라우저 기본 동작에 맡깁니다.
+     */
+    handleAnchorClick(event) {
+        // 새 탭 열기 등 보조 키 클릭은 건드리지 않음
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+        const link = event.target.closest('a[href^="#"]');
+        if (!link) return;
+
+        const hash = link.getAttribute('href');
+        const id = urlParams.getHash(hash);
+        if (!id) return; // 해시가 없거나 잘못된 형식 (#%)
+
+        const target = document.getElementById(id);
+        if (!target) return;
+
+        event.preventDefault();
+
+        if (this.isMenuOpen) this.closeMenu({ restoreFocus: false });
+
+        // 움직임 줄이기 설정이면 smoothScrollTo가 바로 이동
+        smoothScrollTo(target, this.getNavbarHeight()).then(completed => {
+            if (!completed) return; // 다른 링크를 눌러 스크롤이 바뀜 (포커스는 새 스크롤이 끝날 때 이동)
+
+            // 키보드 사용자가 이동한 섹션부터 탐색을 이어갈 수 있도록 포커스 이동
+            if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+            target.focus({ preventScroll: true });
+
+            // 스크린 리더에게 이동한 섹션을 알림 (A11yManager가 구독)
+            document.dispatchEvent(new CustomEvent('navigation:section', { detail: { id: target.id } }));
+        });
+
+        // 주소창 해시 갱신 (새로고침/공유 시 같은 위치로, 같은 해시면 기록을 쌓지 않음)
+        urlParams.setHash(hash);
+    }
+
+    /**
+     * 모바일 메뉴 설정
+     *
+     * 햄버거 버튼과 메뉴를 aria 속성으로 연결합니다.
+     * aria-expanded: 스크린 리더가 "메뉴 펼쳐짐/접힘"을 읽어줌
+     * aria-controls: 버튼이 어떤 요소를 여닫는지 알려줌
+     */
+    setupMobileMenu() {
+        if (!this.menuToggle || !this.navLinks) return;
+
+        if (!this.navLinks.id) this.navLinks.id = 'primaryNav';
+        this.menuToggle.setAttribute('aria-controls', this.navLinks.id);
+        this.menuToggle.setAttribute('aria-expanded', 'false');
+        this.updateToggleLabel();
+
+        this.listeners.add(this.menuToggle, 'click', this.handleToggleClick);
+        this.unsubscribeResize = frameScheduler.subscribe({
+            read: frame => frame.resized && this.isMenuOpen && !isVisible(this.menuToggle),
+            write: (frame, toggleHidden) => this.handleResize(toggleHidden)
+        });
+        this.listeners.add(document, 'i18n:change', this.updateToggleLabel); // 언어가 바뀌면 라벨도
+    }
+
+    /**
+     * 햄버거 버튼의 aria-label을 메뉴 상태와 현재 언어에 맞춥니다
+     */
+    updateToggleLabel() {
+        this.menuToggle.setAttribute('aria-label', t(this.isMenuOpen ? 'nav.menuClose' : 'nav.menuOpen'));
+    }
+
+    handleToggleClick() {
+        if (this.isMenuOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+
+    /**
+     * 모바일 메뉴 열기
+     */
+    openMenu() {
+        if (this.isMenuOpen) return;
+        this.isMenuOpen = true;
+
+        this.navLinks.classList.add('open');
+        this.menuToggle.classList.add('active');
+        this.menuToggle.setAttribute('aria-expanded', 'true');
+        this.updateToggleLabel();
+        document.body.classList.add('menu-open'); // 배경 스크롤 잠금
+
+        addEventListenerSafe(document, 'keydown', this.handleKeydown);
+        addEventListenerSafe(document, 'click', this.handleOutsideClick);
+
+        // 첫 번째 메뉴 항목으로 포커스 이동
+        const [firstLink] = getFocusableElements(this.navLinks);
+        if (firstLink) firstLink.focus();
+    }
+
+    /**
+     * 모바일 메뉴 닫기
+     *
+     * @param {Object} options
+     * @param {boolean} options.restoreFocus - 닫은 뒤 햄버거 버튼으로 포커스를 돌려줄지 여부
+     */
+    closeMenu({ restoreFocus = true } = {}) {
+        if (!this.isMenuOpen) return;
+        this.isMenuOpen = false;
+
+        this.navLinks.classList.remove('open');
+        this.menuToggle.classList.remove('active');
+        this.menuToggle.setAttribute('aria-expanded', 'false');
+        this.updateToggleLabel();
+        document.body.classList.remove('menu-open');
+
+        removeEventListnerSafe(document, 'keydown', this.handleKeydown);
+        removeEventListnerSafe(document, 'click', this.handleOutsideClick);
+
+        if (restoreFocus) this.menuToggle.focus();
+    }
+
+    /**
+     * 메뉴가 열려 있을 때의 키보드 처리
+     *
+     * - Escape: 메뉴 닫기
+     * - Tab / Shift+Tab: 메뉴(+햄버거 버튼) 안에서만 포커스 순환 (focus trap)
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.closeMenu();
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = [this.menuToggle, ...getFocusableElements(this.navLinks)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        } else if (!focusable.includes(document.activeElement)) {
+            // 포커스가 어떤 이유로 메뉴 밖에 있으면 다시 안으로
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * 메뉴 바깥을 클릭하면 닫습니다
+     */
+    handleOutsideClick(event) {
+        if (this.navLinks.contains(event.target) || this.menuToggle.contains(event.target)) return;
+        this.closeMenu({ restoreFocus: false });
+    }
+
+    /**
+     * 화면이 넓어져 햄버거 버튼이 사라지면 열린 메뉴를 닫습니다
+     * (데스크톱 레이아웃에 .open 상태가 남아 있지 않도록)
+     *
+     * 버튼이 보이는지는 frameScheduler의 read 단계에서 미리 측정합니다.
+     *
+     * @param {boolean} toggleHidden - 메뉴가 열린 채로 햄버거 버튼이 사라졌는지
+     */
+    handleResize(toggleHidden) {
+        if (toggleHidden) this.closeMenu({ restoreFocus: false });
+    }
+
+    /**
+     * 네비게이션 정리
+     *
+     * 열린 메뉴를 닫고, 등록한 리스너와 Observer를 모두 해제합니다.
+     * 페이지를 다른 셸에서 언마운트할 때 App.destroy()가 호출합니다.
+     */
+    destroy() {
+        this.closeMenu({ restoreFocus: false });
+        this.listeners.removeAll();
+
+        if (this.unsubscribeResize) {
+            this.unsubscribeResize();
+            this.unsubscribeResize = null;
+        }
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.visibleSections.clear();
+    }
+}
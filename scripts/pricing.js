@@ -0,0 +1,486 @@
+// ===== PRICING =====
+// 요금제 섹션(#pricing)의 플랜 카드, 월간/연간 결제 전환, 통화 선택, 기능 비교표를 만듭니다.
+
+/**
+ * 요금제 설정
+ *
+ * 가격이나 플랜 구성이 바뀌면 여기만 수정하면 됩니다. (문구는 locales.js의 pricing.* 키)
+ *
+ * - yearlyDiscount: 연간 결제 할인율 (0.2 = 20%)
+ * - currencies: 지원 통화 (플랜 가격은 통화마다 따로 정함. 환율 계산 없음)
+ * - localeCurrency: 방문자가 통화를 고르지 않았을 때 언어별 기본 통화
+ * - storageKey: 방문자가 고른 통화를 저장하는 storage 키
+ * - queryParam: 결제 주기를 담는 URL 파라미터 (?billing=yearly)
+ * - plans: 플랜 목록
+ *   - prices: 통화별 사용자 1명의 월 요금 (null이면 "문의" 플랜)
+ *   - features: 카드에 표시할 주요 기능 (문구 키)
+ *   - cta: 버튼 링크
+ *   - highlighted: 강조 표시할 플랜
+ * - comparison: 기능 비교표의 행
+ *   - values: 플랜 순서대로 true/false(지원 여부), 숫자, 문자열, 또는 {key: 문구 키}
+ */
+const PRICING_CONFIG = {
+    yearlyDiscount: 0.2,
+    currencies: ['KRW', 'USD', 'JPY'],
+    localeCurrency: { ko: 'KRW', en: 'USD', ja: 'JPY' },
+    storageKey: 'nexus_currency',
+    queryParam: 'billing',
+    plans: [
+        {
+            id: 'starter',
+            prices: { KRW: 0, USD: 0, JPY: 0 },
+            features: ['pricing.feature.members5', 'pricing.feature.projects3', 'pricing.feature.basicIntegrations'],
+            cta: '#download'
+        },
+        {
+            id: 'pro',
+            prices: { KRW: 12900, USD: 10, JPY: 1200 },
+            features: ['pricing.feature.members50', 'pricing.feature.unlimitedProjects', 'pricing.feature.aiInsights', 'pricing.feature.allIntegrations'],
+            cta: '#download',
+            highlighted: true
+        },
+        {
+            id: 'business',
+            prices: { KRW: 24900, USD: 20, JPY: 2400 },
+            features: ['pricing.feature.unlimitedMembers', 'pricing.feature.advancedReports', 'pricing.feature.sso', 'pricing.feature.prioritySupport'],
+            cta: '#download'
+        },
+        {
+            id: 'enterprise',
+            prices: null,
+            features: ['pricing.feature.everythingBusiness', 'pricing.feature.dedicatedManager', 'pricing.feature.sla', 'pricing.feature.onPremise'],
+            cta: 'mailto:sales@nexusapp.com'
+        }
+    ],
+    comparison: [
+        { key: 'pricing.compare.members', values: [5, 50, { key: 'pricing.value.unlimited' }, { key: 'pricing.value.unlimited' }] },
+        { key: 'pricing.compare.projects', values: [3, { key: 'pricing.value.unlimited' }, { key: 'pricing.value.unlimited' }, { key: 'pricing.value.unlimited' }] },
+        { key: 'pricing.compare.storage', values: ['5 GB', '100 GB', '1 TB', { key: 'pricing.value.custom' }] },
+        { key: 'pricing.compare.integrations', values: [10, '100+', '100+', '100+'] },
+        { key: 'pricing.compare.aiInsights', values: [false, true, true, true] },
+        { key: 'pricing.compare.reports', values: [false, false, true, true] },
+        { key: 'pricing.compare.sso', values: [false, false, true, true] },
+        { key: 'pricing.compare.auditLog', values: [false, false, true, true] },
+        { key: 'pricing.compare.sla', values: [false, false, '99.9%', '99.99%'] },
+        { key: 'pricing.compare.support', values: [{ key: 'pricing.value.community' }, { key: 'pricing.value.email' }, { key: 'pricing.value.priority' }, { key: 'pricing.value.dedicated' }] }
+    ]
+};
+
+/**
+ * PricingTable 클래스
+ *
+ * 역할:
+ * - PRICING_CONFIG로 플랜 카드와 기능 비교표를 만듦
+ * - 월간/연간 결제 전환 (연간은 할인된 월 요금과 연 청구액 표시)
+ * - 결제 주기를 URL(?billing=yearly)에 반영해 영업팀이 링크로 공유 가능
+ * - 통화 선택 (고른 통화는 storage에 저장, 없으면 언어에 맞는 통화)
+ * - 가격이 바뀔 때 숫자가 부드럽게 변함 (애니메이션 감소 설정이면 바로 변경)
+ * - 바뀔 때마다 'pricing:change' 이벤트 발생
+ *
+ * 'pricing:change' 이벤트의 detail:
+ * {billing: 'monthly' | 'yearly', currency: 'KRW' | 'USD' | 'JPY'}
+ */
+class PricingTable {
+    /**
+     * @param {Object} config - 요금제 설정 (기본값: PRICING_CONFIG)
+     */
+    constructor(config = PRICING_CONFIG) {
+        this.config = config;
+        this.section = null;
+        this.billing = 'monthly';
+        this.currency = null;
+        this.priceElements = new Map(); // plan id -> {amount, period, note, cta}
+        this.priceAnimations = new Map(); // 진행 중인 가격 애니메이션 (요소 -> tween 핸들)
+        this.listeners = createListenerRegistry();
+
+        this.handleBillingClick = this.handleBillingClick.bind(this);
+        this.handleBillingKeydown = this.handleBillingKeydown.bind(this);
+        this.handleCurrencyChange = this.handleCurrencyChange.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.section = getElement('#pricing');
+        if (!this.section) return;
+
+        this.plansContainer = this.section.querySelector('#pricingPlans');
+        this.table = this.section.querySelector('#pricingTable');
+        this.billingButtons = Array.from(this.section.querySelectorAll('[data-billing]'));
+        this.currencySelect = this.section.querySelector('#pricingCurrency');
+
+        const billing = urlParams.get(this.config.queryParam);
+        this.billing = billing === 'yearly' ? 'yearly' : 'monthly';
+        this.currency = this.getInitialCurrency();
+
+        this.renderPlans();
+        this.renderComparison();
+        this.setupControls();
+        this.updatePrices({ animate: false });
+
+        this.listeners.add(document, 'i18n:change', this.handleLocaleChange);
+
+        // 나중에 만든 카드도 등장 애니메이션 대상이 되도록 알림
+        document.dispatchEvent(new CustomEvent('content:render', {
+            detail: { sections: ['pricing'], containers: [this.plansContainer] }
+        }));
+    }
+
+    /**
+     * 처음 표시할 통화: 저장된 선택 > 현재 언어의 기본 통화
+     */
+    getInitialCurrency() {
+        const saved = storage.get(this.config.storageKey);
+        if (this.config.currencies.includes(saved)) return saved;
+        return this.config.localeCurrency[getLocale()] || this.config.currencies[0];
+    }
+
+    /**
+     * 플랜 카드를 만듭니다
+     *
+     * 고정 문구는 data-i18n으로 표시해 언어가 바뀌면 I18nManager가 번역합니다.
+     * 가격은 updatePrices()가 채웁니다.
+     */
+    renderPlans() {
+        if (!this.plansContainer) return;
+
+        const cards = this.config.plans.map(plan => {
+            const card = document.createElement('article');
+            card.className = `pricing-card fade-in${plan.highlighted ? ' highlighted' : ''}`;
+            card.dataset.plan = plan.id;
+            card.innerHTML = `
+                ${plan.highlighted ? '<span class="pricing-badge"></span>' : ''}
+                <h3 class="pricing-name"></h3>
+                <p class="pricing-description"></p>
+                <div class="pricing-price">
+                    <span class="price-amount"></span>
+                    <span class="price-period"></span>
+                </div>
+                <p class="price-note"></p>
+                <ul class="pricing-features"></ul>
+                <a class="${plan.highlighted ? 'btn btn-primary' : 'btn btn-secondary'} pricing-cta" data-track="pricing_cta"></a>
+            `;
+
+            const setKey = (selector, key) => {
+                const element = card.querySelector(selector);
+                element.dataset.i18n = key;
+                element.textContent = t(key);
+            };
+
+            if (plan.highlighted) setKey('.pricing-badge', 'pricing.popular');
+            setKey('.pricing-name', `pricing.plan.${plan.id}.name`);
+            setKey('.pricing-description', `pricing.plan.${plan.id}.description`);
+            setKey('.pricing-cta', plan.prices ? 'pricing.cta.start' : 'pricing.cta.contact');
+
+            const featureList = card.querySelector('.pricing-features');
+            plan.features.forEach(key => {
+                const item = document.createElement('li');
+                item.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i><span></span>';
+                item.querySelector('span').dataset.i18n = key;
+                item.querySelector('span').textContent = t(key);
+                featureList.appendChild(item);
+            });
+
+            const cta = card.querySelector('.pricing-cta');
+            cta.href = plan.cta;
+            cta.dataset.trackPlan = plan.id;
+
+            this.priceElements.set(plan.id, {
+                amount: card.querySelector('.price-amount'),
+                period: card.querySelector('.price-period'),
+                note: card.querySelector('.price-note'),
+                cta
+            });
+
+            return card;
+        });
+
+        this.plansContainer.replaceChildren(...cards);
+    }
+
+    /**
+     * 기능 비교표를 만듭니다
+     *
+     * 첫 행은 가격(updatePrices()가 채움), 나머지는 PRICING_CONFIG.comparison입니다.
+     */
+    renderComparison() {
+        if (!this.table) return;
+
+        const { plans, comparison } = this.config;
+        const headerCells = plans.map(plan => `<th scope="col" data-i18n="pricing.plan.${plan.id}.name"></th>`).join('');
+        const priceCells = plans.map(plan => `<td data-price-cell="${plan.id}"></td>`).join('');
+
+        this.table.innerHTML = `
+            <thead>
+                <tr><td></td>${headerCells}</tr>
+            </thead>
+            <tbody>
+                <tr class="pricing-table-price"><th scope="row" data-i18n="pricing.compare.price"></th>${priceCells}</tr>
+            </tbody>
+        `;
+
+        const body = this.table.querySelector('tbody');
+        comparison.forEach(row => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.dataset.i18n = row.key;
+            tr.appendChild(th);
+
+            row.values.forEach(value => tr.appendChild(this.createComparisonCell(value)));
+            body.appendChild(tr);
+        });
+
+        this.table.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+    }
+
+    /**
+     * 비교표 칸 하나를 만듭니다
+     *
+     * @param {boolean|number|string|Object} value - 칸 값
+     * @returns {Element} td 요소
+     */
+    createComparisonCell(value) {
+        const cell = document.createElement('td');
+
+        if (typeof value === 'boolean') {
+            // 아이콘만 있으면 스크린 리더가 읽을 내용이 없으므로 숨김 텍스트를 함께 넣음
+            cell.innerHTML = value
+                ? '<i class="fas fa-check" aria-hidden="true"></i><span class="sr-only"></span>'
+                : '<span class="pricing-none" aria-hidden="true">&mdash;</span><span class="sr-only"></span>';
+            const label = cell.querySelector('.sr-only');
+            label.dataset.i18n = value ? 'pricing.value.included' : 'pricing.value.notIncluded';
+        } else if (typeof value === 'number') {
+            cell.dataset.number = value; // 언어가 바뀌면 다시 포맷
+        } else if (value && value.key) {
+            cell.dataset.i18n = value.key;
+        } else {
+            cell.textContent = value;
+        }
+
+        return cell;
+    }
+
+    /**
+     * 결제 주기 버튼과 통화 선택 메뉴를 설정합니다
+     */
+    setupControls() {
+        this.billingButtons.forEach(button => {
+            this.listeners.add(button, 'click', this.handleBillingClick);
+            this.listeners.add(button, 'keydown', this.handleBillingKeydown);
+        });
+
+        const discount = this.section.querySelector('#pricingDiscount');
+        if (discount) {
+            discount.textContent = t('pricing.discount', { percent: Math.round(this.config.yearlyDiscount * 100) });
+        }
+
+        if (this.currencySelect) {
+            this.currencySelect.innerHTML = '';
+            this.config.currencies.forEach(currency => {
+                const option = document.createElement('option');
+                option.value = currency;
+                option.textContent = currency;
+                this.currencySelect.appendChild(option);
+            });
+            this.currencySelect.value = this.currency;
+            this.listeners.add(this.currencySelect, 'change', this.handleCurrencyChange);
+        }
+
+        this.updateBillingButtons();
+    }
+
+    handleBillingClick(event) {
+        this.setBilling(event.currentTarget.dataset.billing);
+    }
+
+    /**
+     * 결제 주기 버튼은 라디오 그룹이므로 방향키로 전환합니다
+     */
+    handleBillingKeydown(event) {
+        if (!['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(event.key)) return;
+        event.preventDefault();
+
+        const index = this.billingButtons.indexOf(event.currentTarget);
+        const step = event.key === 'ArrowLeft' || event.key === 'ArrowUp' ? -1 : 1;
+        const next = this.billingButtons[(index + step + this.billingButtons.length) % this.billingButtons.length];
+        next.focus();
+        this.setBilling(next.dataset.billing);
+    }
+
+    handleCurrencyChange(event) {
+        this.setCurrency(event.target.value);
+    }
+
+    /**
+     * 결제 주기를 바꿉니다
+     *
+     * @param {string} billing - 'monthly' | 'yearly'
+     */
+    setBilling(billing) {
+        if (!['monthly', 'yearly'].includes(billing) || billing === this.billing) return;
+
+        this.billing = billing;
+        urlParams.set(this.config.queryParam, billing, { replace: true }); // 공유 가능한 링크 (뒤로 가기 기록은 남기지 않음)
+        this.updateBillingButtons();
+        this.updatePrices();
+        this.notifyChange();
+    }
+
+    /**
+     * 통화를 바꿉니다
+     *
+     * @param {string} currency - 'KRW' | 'USD' | 'JPY'
+     */
+    setCurrency(currency) {
+        if (!this.config.currencies.includes(currency) || currency === this.currency) return;
+
+        this.currency = currency;
+        storage.set(this.config.storageKey, currency);
+        if (this.currencySelect) this.currencySelect.value = currency;
+        this.updatePrices({ animate: false }); // 단위가 다른 숫자 사이의 애니메이션은 의미 없음
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        document.dispatchEvent(new CustomEvent('pricing:change', {
+            detail: { billing: this.billing, currency: this.currency }
+        }));
+    }
+
+    updateBillingButtons() {
+        this.billingButtons.forEach(button => {
+            const selected = button.dataset.billing === this.billing;
+            button.setAttribute('aria-checked', String(selected));
+            button.tabIndex = selected ? 0 : -1; // 라디오 그룹: 선택된 버튼만 탭으로 이동
+            button.classList.toggle('active', selected);
+        });
+    }
+
+    /**
+     * 플랜의 월 요금을 계산합니다 (연간이면 할인 적용)
+     *
+     * @param {Object} plan - 플랜 설정
+     * @returns {number|null} 사용자 1명의 월 요금 ("문의" 플랜이면 null)
+     */
+    getMonthlyPrice(plan) {
+        if (!plan.prices) return null;
+        const price = plan.prices[this.currency];
+        if (this.billing === 'monthly') return price;
+
+        // 할인된 금액은 통화의 최소 단위로 반올림 (USD는 센트, KRW/JPY는 1원/1엔)
+        const digits = new Intl.NumberFormat('en', { style: 'currency', currency: this.currency }).resolvedOptions().maximumFractionDigits;
+        const factor = Math.pow(10, digits);
+        return Math.round(price * (1 - this.config.yearlyDiscount) * factor) / factor;
+    }
+
+    /**
+     * 카드와 비교표의 가격을 현재 결제 주기와 통화로 갱신합니다
+     *
+     * @param {Object} options
+     * @param {boolean} options.animate - 숫자가 부드럽게 변하게 할지 여부 (기본 true)
+     */
+    updatePrices({ animate = true } = {}) {
+        this.config.plans.forEach(plan => {
+            const elements = this.priceElements.get(plan.id);
+            const price = this.getMonthlyPrice(plan);
+            const tableCell = this.table && this.table.querySelector(`[data-price-cell="${plan.id}"]`);
+
+            if (price === null) {
+                if (elements) {
+                    elements.amount.textContent = t('pricing.custom');
+                    elements.period.textContent = '';
+                    elements.note.textContent = t('pricing.customNote');
+                }
+                if (tableCell) tableCell.textContent = t('pricing.custom');
+                return;
+            }
+
+            if (tableCell) {
+                tableCell.textContent = `${formatCurrency(price, this.currency)}${t('pricing.perMonth')}`;
+            }
+            if (!elements) return;
+
+            elements.period.textContent = t('pricing.perMonth');
+            elements.note.textContent = price === 0
+                ? t('pricing.freeNote')
+                : this.billing === 'yearly'
+                    ? t('pricing.yearlyNote', { total: formatCurrency(Math.round(price * 12 * 100) / 100, this.currency) })
+                    : t('pricing.monthlyNote');
+            elements.cta.dataset.trackBilling = this.billing;
+
+            this.setPrice(elements.amount, price, animate);
+        });
+
+        // 비교표의 숫자 칸
+        if (this.table) {
+            this.table.querySelectorAll('[data-number]').forEach(cell => {
+                cell.textContent = formatNumber(Number(cell.dataset.number));
+            });
+        }
+    }
+
+    /**
+     * 가격 표시를 바꿉니다
+     *
+     * 이전 가격에서 새 가격까지 숫자가 부드럽게 변합니다.
+     * 애니메이션 감소 설정이면 바로 새 가격을 표시합니다.
+     *
+     * @param {Element} element - .price-amount 요소
+     * @param {number} price - 새 가격
+     * @param {boolean} animate - 애니메이션 여부
+     */
+    setPrice(element, price, animate) {
+        const from = element.dataset.price !== undefined ? Number(element.dataset.price) : price;
+        element.dataset.price = price;
+
+        if (this.priceAnimations.has(element)) this.priceAnimations.get(element).cancel();
+        this.priceAnimations.delete(element);
+
+        if (!animate || from === price || prefersReducedMotion()) {
+            element.textContent = formatCurrency(price, this.currency);
+            return;
+        }
+
+        const animation = tween({
+            from,
+            to: price,
+            duration: 400,
+            easing: 'easeOutCubic',
+            onUpdate: (value, progress) => {
+                // 중간 값은 정수로 (소수점이 깜빡이지 않게)
+                element.textContent = formatCurrency(progress < 1 ? Math.round(value) : price, this.currency);
+            }
+        });
+
+        this.priceAnimations.set(element, animation);
+        animation.finished.then(() => {
+            if (this.priceAnimations.get(element) === animation) this.priceAnimations.delete(element);
+        });
+    }
+
+    /**
+     * 언어가 바뀌면 통화(직접 고르지 않았을 때)와 가격 문구를 다시 맞춥니다
+     */
+    handleLocaleChange() {
+        if (!storage.get(this.config.storageKey)) {
+            this.currency = this.getInitialCurrency();
+            if (this.currencySelect) this.currencySelect.value = this.currency;
+        }
+
+        const discount = this.section.querySelector('#pricingDiscount');
+        if (discount) {
+            discount.textContent = t('pricing.discount', { percent: Math.round(this.config.yearlyDiscount * 100) });
+        }
+        this.updatePrices({ animate: false });
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.priceAnimations.forEach(animation => animation.cancel());
+        this.priceAnimations.clear();
+    }
+}
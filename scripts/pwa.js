@@ -0,0 +1,191 @@
+// ===== PWA =====
+// 서비스 워커(sw.js)를 등록해 오프라인에서도 페이지가 열리게 하고, 홈 화면 설치와 업데이트 안내를 맡습니다.
+
+/**
+ * PWA 설정
+ *
+ * - serviceWorkerUrl: 등록할 서비스 워커 파일 (scope는 이 파일이 있는 폴더)
+ * - installPromptSelector: 설치 안내 영역 (CTA 섹션, 설치할 수 있을 때만 보임)
+ */
+const PWA_CONFIG = {
+    serviceWorkerUrl: './sw.js',
+    installPromptSelector: '#installPrompt'
+};
+
+/**
+ * PwaManager 클래스
+ *
+ * 역할:
+ * - 페이지가 다 로드된 뒤 서비스 워커 등록 (첫 화면 로딩과 대역폭을 다투지 않도록)
+ * - 브라우저의 기본 설치 안내(beforeinstallprompt)를 막아 두었다가, CTA 섹션의 "홈 화면에 추가" 버튼으로 띄움
+ * - 새 서비스 워커가 대기 중이면 "새 버전이 있습니다" 배너 표시
+ *   -> 새로고침을 누르면 새 워커를 활성화하고, 제어권이 넘어오면 페이지를 다시 불러옴
+ * - 설치 결과를 'pwa:install' 이벤트로 알림 (Analytics가 구독)
+ *
+ * 'pwa:install' 이벤트의 detail:
+ * {outcome: 'accepted' | 'dismissed' | 'installed'}
+ * ('installed'는 브라우저 메뉴 등 우리 버튼이 아닌 경로로 설치된 경우)
+ *
+ * 서비스 워커는 HTTPS(또는 localhost)에서만 동작합니다. file://로 열면 등록하지 않습니다.
+ */
+class PwaManager {
+    /**
+     * @param {Object} config - PWA 설정 (기본값: PWA_CONFIG)
+     */
+    constructor(config = PWA_CONFIG) {
+        this.config = config;
+        this.registration = null;
+        this.deferredPrompt = null; // 막아 둔 beforeinstallprompt 이벤트
+        this.isPrompting = false; // 우리 버튼으로 띄운 설치가 진행 중인지 (수락 후 appinstalled까지 포함)
+        this.installPrompt = getElement(config.installPromptSelector);
+        this.updateBanner = null;
+        this.isReloading = false; // 사용자가 업데이트를 골랐을 때만 새로고침
+        this.listeners = createListenerRegistry();
+
+        this.handleLoad = this.handleLoad.bind(this);
+        this.handleBeforeInstallPrompt = this.handleBeforeInstallPrompt.bind(this);
+        this.handleAppInstalled = this.handleAppInstalled.bind(this);
+        this.handleInstallClick = this.handleInstallClick.bind(this);
+        this.handleUpdateClick = this.handleUpdateClick.bind(this);
+        this.handleControllerChange = this.handleControllerChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.listeners.add(window, 'beforeinstallprompt', this.handleBeforeInstallPrompt);
+        this.listeners.add(window, 'appinstalled', this.handleAppInstalled);
+
+        if (this.installPrompt) {
+            const button = this.installPrompt.querySelector('button');
+            if (button) this.listeners.add(button, 'click', this.handleInstallClick);
+        }
+
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        this.listeners.add(navigator.serviceWorker, 'controllerchange', this.handleControllerChange);
+
+        if (document.readyState === 'complete') {
+            this.handleLoad();
+        } else {
+            this.listeners.add(window, 'load', this.handleLoad, { once: true });
+        }
+    }
+
+    async handleLoad() {
+        try {
+            this.registration = await navigator.serviceWorker.register(this.config.serviceWorkerUrl);
+        } catch (error) {
+            console.error('[PWA] Service worker registration failed:', error);
+            return;
+        }
+
+        this.watchForUpdate(this.registration);
+    }
+
+    /**
+     * 새 서비스 워커가 대기 상태가 되면 업데이트 배너를 띄웁니다
+     *
+     * 처음 설치할 때(아직 이 페이지를 제어하는 워커가 없을 때)는 업데이트가 아니므로 띄우지 않습니다.
+     */
+    watchForUpdate(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateBanner();
+            return;
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateBanner();
+                }
+            });
+        });
+    }
+
+    showUpdateBanner() {
+        if (this.updateBanner) return;
+
+        this.updateBanner = document.createElement('div');
+        this.updateBanner.className = 'update-banner';
+        this.updateBanner.setAttribute('role', 'status');
+        this.updateBanner.innerHTML = `
+            <span data-i18n="pwa.updateAvailable">${t('pwa.updateAvailable')}</span>
+            <button type="button" class="btn btn-primary" data-i18n="pwa.reload">${t('pwa.reload')}</button>
+        `;
+        this.listeners.add(this.updateBanner.querySelector('button'), 'click', this.handleUpdateClick);
+        document.body.appendChild(this.updateBanner);
+    }
+
+    hideUpdateBanner() {
+        if (!this.updateBanner) return;
+        this.updateBanner.remove();
+        this.updateBanner = null;
+    }
+
+    /**
+     * 대기 중인 워커를 활성화합니다 (새로고침은 controllerchange에서)
+     */
+    handleUpdateClick() {
+        const waiting = this.registration && this.registration.waiting;
+        this.isReloading = true;
+        this.hideUpdateBanner();
+
+        if (waiting) {
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload(); // 다른 탭에서 이미 활성화됨
+        }
+    }
+
+    handleControllerChange() {
+        if (!this.isReloading) return; // 다른 탭에서 업데이트한 경우 이 탭은 그대로 둠
+        window.location.reload();
+    }
+
+    /**
+     * 브라우저의 기본 설치 안내를 막고, 우리 버튼을 보여줍니다
+     */
+    handleBeforeInstallPrompt(event) {
+        event.preventDefault();
+        this.deferredPrompt = event;
+        if (this.installPrompt) this.installPrompt.hidden = false;
+    }
+
+    async handleInstallClick() {
+        if (!this.deferredPrompt) return;
+
+        const prompt = this.deferredPrompt;
+        this.deferredPrompt = null; // prompt()는 이벤트당 한 번만 호출할 수 있음
+        this.installPrompt.hidden = true;
+
+        this.isPrompting = true;
+        prompt.prompt();
+        const { outcome } = await prompt.userChoice;
+        if (outcome === 'dismissed') this.isPrompting = false;
+        this.dispatch(outcome);
+    }
+
+    handleAppInstalled() {
+        this.deferredPrompt = null;
+        if (this.installPrompt) this.installPrompt.hidden = true;
+
+        // 우리 버튼으로 설치했으면 handleInstallClick이 이미 'accepted'를 보냄
+        if (!this.isPrompting) this.dispatch('installed');
+        this.isPrompting = false;
+    }
+
+    dispatch(outcome) {
+        document.dispatchEvent(new CustomEvent('pwa:install', { detail: { outcome } }));
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.hideUpdateBanner();
+        if (this.installPrompt) this.installPrompt.hidden = true;
+        this.deferredPrompt = null;
+    }
+}
@@ -0,0 +1,456 @@
+// ===== QR CODE GENERATOR =====
+// 외부 API 없이 브라우저에서 직접 QR 코드를 만듭니다.
+// 데스크톱 방문자가 스토어 버튼을 눌렀을 때 휴대폰으로 이어가도록 QR을 보여주는 데 사용합니다.
+//
+// QR 코드 표준(ISO/IEC 18004)의 바이트 모드만 구현합니다. URL을 담기에는 충분합니다.
+// 과정: 텍스트 -> 비트열 -> 오류 정정 코드(Reed-Solomon) 추가 -> 격자에 배치 -> 마스크 적용
+
+/**
+ * 오류 정정 레벨
+ *
+ * 레벨이 높을수록 QR 일부가 가려지거나 손상되어도 읽을 수 있지만, 담을 수 있는 데이터는 줄어듭니다.
+ * - L: 약 7% 복원 / M: 약 15% / Q: 약 25% / H: 약 30%
+ * formatBits는 형식 정보에 기록되는 2비트 값입니다 (표준에 정해진 값).
+ */
+const QR_EC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+/**
+ * 버전(1~40)별 블록당 오류 정정 코드워드 수 [L, M, Q, H]
+ * (인덱스 0은 사용하지 않음)
+ */
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/**
+ * 버전(1~40)별 오류 정정 블록 수 [L, M, Q, H]
+ */
+const QR_NUM_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * 텍스트로 QR 코드를 만듭니다
+ *
+ * 데이터가 들어가는 가장 작은 버전을 자동으로 고르고,
+ * 8가지 마스크 중 읽기 가장 좋은(벌점이 가장 낮은) 것을 적용합니다.
+ *
+ * @param {string} text - 담을 텍스트 (UTF-8로 인코딩)
+ * @param {Object} options
+ * @param {string} options.ecLevel - 오류 정정 레벨 'L' | 'M' | 'Q' | 'H' (기본 'M')
+ * @returns {Object} {version, size, modules} modules[y][x]가 true면 검은 칸
+ *
+ * 예시:
+ * const qr = createQRCode('https://nexusapp.com');
+ * qr.size; // 25 (버전 2)
+ */
+function createQRCode(text, { ecLevel = 'M' } = {}) {
+    const ecl = QR_EC_LEVELS[ecLevel];
+    if (!ecl) throw new Error(`Unknown QR error correction level: ${ecLevel}`);
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    // 1. 데이터가 들어가는 가장 작은 버전 찾기
+    let version = 1;
+    let dataBits;
+    for (; version <= 40; version++) {
+        const countBits = version <= 9 ? 8 : 16; // 바이트 모드의 길이 필드 크기
+        dataBits = 4 + countBits + bytes.length * 8;
+        if (dataBits <= qrGetNumDataCodewords(version, ecl) * 8) break;
+    }
+    if (version > 40) throw new Error('Data too long for a QR code');
+
+    // 2. 비트열 만들기: 모드(0100=바이트) + 길이 + 데이터
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => appendBits(b, 8));
+
+    // 3. 종료 비트, 바이트 정렬, 채움 바이트(0xEC, 0x11 반복)
+    const capacityBits = qrGetNumDataCodewords(version, ecl) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(pad, 8);
+
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    // 4. 오류 정정 코드 추가 + 블록 교차 배치
+    const codewords = qrAddEccAndInterleave(dataCodewords, version, ecl);
+
+    // 5. 격자에 그리기
+    const size = version * 4 + 17;
+    const grid = {
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+    qrDrawFunctionPatterns(grid, version, ecl);
+    qrDrawCodewords(grid, codewords);
+
+    // 6. 벌점이 가장 낮은 마스크 선택
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        qrApplyMask(grid, mask);
+        qrDrawFormatBits(grid, ecl, mask);
+        const penalty = qrGetPenaltyScore(grid);
+        if (penalty < minPenalty) {
+            bestMask = mask;
+            minPenalty = penalty;
+        }
+        qrApplyMask(grid, mask); // XOR이므로 한 번 더 적용하면 원래대로
+    }
+    qrApplyMask(grid, bestMask);
+    qrDrawFormatBits(grid, ecl, bestMask);
+
+    return { version, size, modules: grid.modules };
+}
+
+/**
+ * QR 코드를 SVG 문자열로 그립니다
+ *
+ * 검은 칸들을 하나의 path로 그려 DOM 요소 수를 최소화합니다.
+ *
+ * @param {Object} qr - createQRCode()의 결과
+ * @param {Object} options
+ * @param {number} options.margin - 바깥 여백 칸 수 (표준 권장 4)
+ * @param {string} options.label - 스크린 리더용 설명 (aria-label)
+ * @returns {string} SVG 마크업
+ */
+function renderQRCodeSVG(qr, { margin = 4, label = 'QR code' } = {}) {
+    const total = qr.size + margin * 2;
+    let path = '';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" role="img" aria-label="${label.replace(/"/g, '&quot;')}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+}
+
+/**
+ * 버전의 전체 데이터 영역 비트 수 (기능 패턴 제외)
+ */
+function qrGetNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36; // 버전 정보 영역
+    }
+    return result;
+}
+
+/**
+ * 버전/레벨에서 실제 데이터에 쓸 수 있는 코드워드(바이트) 수
+ */
+function qrGetNumDataCodewords(version, ecl) {
+    return Math.floor(qrGetNumRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * QR_NUM_ECC_BLOCKS[ecl.ordinal][version];
+}
+
+/**
+ * 데이터를 블록으로 나누고 각 블록에 Reed-Solomon 오류 정정 코드를 붙인 뒤 교차 배치합니다
+ */
+function qrAddEccAndInterleave(data, version, ecl) {
+    const numBlocks = QR_NUM_ECC_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(qrGetNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = qrReedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += dat.length;
+        const ecc = qrReedSolomonRemainder(dat, divisor);
+        if (i < numShortBlocks) dat.push(0); // 짧은 블록 길이 맞춤용 자리 (출력에서 제외)
+        blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon 생성 다항식 계수
+ */
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrGfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrGfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * 데이터를 생성 다항식으로 나눈 나머지 (= 오류 정정 코드워드)
+ */
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= qrGfMultiply(coef, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * GF(2^8) 곱셈 (기약 다항식 0x11D)
+ */
+function qrGfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * 위치 찾기 패턴, 타이밍 패턴, 정렬 패턴, 버전 정보 등 데이터가 아닌 칸을 그립니다
+ */
+function qrDrawFunctionPatterns(grid, version, ecl) {
+    const { size } = grid;
+    const set = (x, y, dark) => {
+        grid.modules[y][x] = dark;
+        grid.isFunction[y][x] = true;
+    };
+
+    // 타이밍 패턴 (6번째 행/열의 점선)
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // 위치 찾기 패턴 (세 모서리의 큰 사각형) + 주변 흰 테두리
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    // 정렬 패턴 (위치 찾기 패턴과 겹치는 세 곳 제외)
+    const positions = qrGetAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((py, i) => {
+        positions.forEach((px, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // 형식 정보 자리 확보 (실제 값은 마스크를 고른 뒤 다시 그림)
+    qrDrawFormatBits(grid, ecl, 0);
+
+    // 버전 정보 (버전 7 이상)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+/**
+ * 정렬 패턴 중심 좌표 목록
+ */
+function qrGetAlignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+/**
+ * 형식 정보(오류 정정 레벨 + 마스크 번호)를 두 군데에 그립니다
+ */
+function qrDrawFormatBits(grid, ecl, mask) {
+    const { size } = grid;
+    const set = (x, y, dark) => {
+        grid.modules[y][x] = dark;
+        grid.isFunction[y][x] = true;
+    };
+
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // 왼쪽 위 위치 찾기 패턴 주변
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // 오른쪽 위, 왼쪽 아래 (복사본)
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // 항상 검은 칸 (dark module)
+}
+
+/**
+ * 코드워드를 오른쪽 아래부터 두 열씩 지그재그로 배치합니다
+ */
+function qrDrawCodewords(grid, codewords) {
+    const { size } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // 세로 타이밍 패턴 열은 건너뜀
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!grid.isFunction[y][x] && i < codewords.length * 8) {
+                    grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * 마스크 패턴을 데이터 칸에 XOR합니다 (같은 마스크를 두 번 적용하면 원래대로)
+ */
+function qrApplyMask(grid, mask) {
+    const conditions = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = conditions[mask];
+
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            if (!grid.isFunction[y][x] && invert(x, y)) grid.modules[y][x] = !grid.modules[y][x];
+        }
+    }
+}
+
+/**
+ * 마스크 벌점 계산 (낮을수록 스캐너가 읽기 쉬움)
+ *
+ * 1. 같은 색이 5칸 이상 연속 2. 2x2 같은 색 덩어리
+ * 3. 위치 찾기 패턴과 비슷한 모양 4. 검은 칸 비율이 50%에서 벗어난 정도
+ */
+function qrGetPenaltyScore(grid) {
+    const { size, modules } = grid;
+    let penalty = 0;
+
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+
+    const scanLine = (get) => {
+        let runColor = get(0);
+        let runLength = 1;
+        for (let i = 1; i < size; i++) {
+            if (get(i) === runColor) {
+                runLength++;
+            } else {
+                if (runLength >= 5) penalty += 3 + (runLength - 5);
+                runColor = get(i);
+                runLength = 1;
+            }
+        }
+        if (runLength >= 5) penalty += 3 + (runLength - 5);
+
+        for (let i = 0; i + 11 <= size; i++) {
+            finderLike.forEach(pattern => {
+                if (pattern.every((dark, k) => get(i + k) === dark)) penalty += 40;
+            });
+        }
+    };
+
+    for (let y = 0; y < size; y++) scanLine(x => modules[y][x]);
+    for (let x = 0; x < size; x++) scanLine(y => modules[y][x]);
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    penalty += k * 10;
+
+    return penalty;
+}
+
+// Node.js 환경에서 사용할 수 있도록 export (브라우저에서는 무시됨)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createQRCode,
+        renderQRCodeSVG
+    };
+}
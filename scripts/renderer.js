@@ -0,0 +1,398 @@
+// ===== CONTENT RENDERER =====
+// 히어로 통계, 기능 카드, 팀 카드, 신뢰 지표를 content/content.json으로 만듭니다.
+// 문구를 바꿀 때 HTML을 고칠 필요 없이 JSON 파일만 수정하면 됩니다.
+
+/**
+ * 콘텐츠 설정
+ *
+ * - src: 콘텐츠 JSON 파일 경로
+ */
+const CONTENT_CONFIG = {
+    src: './content/content.json'
+};
+
+/**
+ * 섹션별 콘텐츠 형식
+ *
+ * - container: 항목들이 들어갈 요소 (HTML에 data-content="섹션 이름"으로 표시)
+ * - fields: 항목의 필드와 형식
+ *   - string: 문자열 (모든 언어에서 같음, 예: "50K+")
+ *   - text: 문자열 또는 언어별 객체 {"ko": "...", "en": "...", "ja": "..."}
+ *   - icon: Font Awesome 클래스 (예: "fas fa-brain")
+ *   - links: [{label, icon, url}] 목록
+ *   - image: 이미지 주소 (상대 경로, http(s), 또는 data:image/ 미리보기)
+ * - optional: 없어도 되는 필드
+ */
+const CONTENT_SCHEMA = {
+    stats: {
+        fields: { value: 'string', label: 'text' }
+    },
+    features: {
+        fields: { icon: 'icon', title: 'text', description: 'text' }
+    },
+    team: {
+        // photo가 없거나 불러오지 못하면 initial이 표시됨
+        fields: { initial: 'text', name: 'text', role: 'text', bio: 'text', photo: 'image', photoPlaceholder: 'image', social: 'links' },
+        optional: ['photo', 'photoPlaceholder', 'social']
+    },
+    trust: {
+        fields: { icon: 'icon', text: 'text' }
+    }
+};
+
+// Font Awesome 아이콘 클래스 형식 ("fas fa-brain", "fab fa-github")
+const ICON_PATTERN = /^fa[srb]? fa-[a-z0-9-]+$/;
+
+/**
+ * 요소를 만듭니다 (렌더러 내부용)
+ *
+ * innerHTML 대신 textContent를 사용해서, JSON에 HTML이 들어가도 그대로 글자로 표시됩니다.
+ *
+ * @param {string} tag - 태그 이름
+ * @param {string} className - 클래스
+ * @param {Array} children - 자식 요소들
+ * @returns {Element} 요소
+ */
+function createContentElement(tag, className = '', children = []) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * ContentRenderer 클래스
+ *
+ * 역할:
+ * - content.json을 불러와 data-content 영역에 카드/항목을 만듦
+ * - 필수 필드가 빠졌거나 형식이 틀린 항목은 콘솔에 어디가 틀렸는지 알리고 건너뜀
+ *   (한 항목이 틀려도 나머지는 표시됨)
+ * - 언어별 문구는 i18n 사전에 등록하고 data-i18n을 붙여, 언어를 바꾸면 함께 번역되게 함
+ * - 기존 클래스 이름(.feature-card, .fade-in 등)을 그대로 사용해 CSS와 등장 애니메이션이 동작
+ * - 다 만들면 'content:render' 이벤트 발생 (AnimationManager가 새 요소를 감시)
+ *
+ * 'content:render' 이벤트의 detail:
+ * {sections: 그린 섹션 이름 목록, containers: 그린 영역 요소 목록}
+ */
+class ContentRenderer {
+    /**
+     * @param {Object} config - 콘텐츠 설정 (기본값: CONTENT_CONFIG)
+     */
+    constructor(config = CONTENT_CONFIG) {
+        this.config = config;
+        this.containers = [];
+        this.ready = null; // 렌더링이 끝나면 resolve되는 Promise
+
+        this.init();
+    }
+
+    init() {
+        this.containers = Array.from(getElement('[data-content]', true) || []);
+        if (!this.containers.length) return;
+
+        this.containers.forEach(container => container.setAttribute('aria-busy', 'true'));
+        this.ready = this.load();
+    }
+
+    /**
+     * 콘텐츠 파일을 불러와 렌더링합니다
+     *
+     * @returns {Promise} 렌더링이 끝나면 resolve (실패해도 reject하지 않음)
+     */
+    async load() {
+        try {
+            const response = await fetch(this.config.src);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.render(await response.json());
+        } catch (error) {
+            console.error(`[Content] Failed to load "${this.config.src}":`, error);
+        } finally {
+            this.containers.forEach(container => container.removeAttribute('aria-busy'));
+        }
+    }
+
+    /**
+     * 콘텐츠 객체로 각 영역을 그립니다
+     *
+     * @param {Object} content - content.json 내용
+     */
+    render(content) {
+        const rendered = [];
+
+        this.containers.forEach(container => {
+            const section = container.dataset.content;
+            const schema = CONTENT_SCHEMA[section];
+            if (!schema) {
+                console.error(`[Content] Unknown section "${section}" (data-content). Expected one of: ${Object.keys(CONTENT_SCHEMA).join(', ')}`);
+                return;
+            }
+
+            const items = content[section];
+            if (!Array.isArray(items)) {
+                console.error(`[Content] "${section}" must be an array in ${this.config.src}`);
+                return;
+            }
+
+            const elements = items
+                .map((item, index) => {
+                    const path = `${section}[${index}]`;
+                    const errors = this.validate(item, schema, path);
+                    if (errors.length) {
+                        errors.forEach(message => console.error(`[Content] ${message}`));
+                        return null;
+                    }
+                    return this.renderItem(section, item, index);
+                })
+                .filter(Boolean);
+
+            container.replaceChildren(...elements);
+            rendered.push({ section, container });
+        });
+
+        document.dispatchEvent(new CustomEvent('content:render', {
+            detail: {
+                sections: rendered.map(({ section }) => section),
+                containers: rendered.map(({ container }) => container)
+            }
+        }));
+    }
+
+    /**
+     * 항목 하나의 필드를 검사합니다
+     *
+     * @param {Object} item - 항목
+     * @param {Object} schema - CONTENT_SCHEMA의 섹션 형식
+     * @param {string} path - 에러 메시지에 쓸 위치 (예: "features[2]")
+     * @returns {Array} 에러 메시지 목록 (문제가 없으면 빈 배열)
+     */
+    validate(item, schema, path) {
+        if (!item || typeof item !== 'object') return [`${path}: must be an object`];
+
+        const errors = [];
+        const optional = schema.optional || [];
+
+        Object.entries(schema.fields).forEach(([field, type]) => {
+            const value = item[field];
+            const where = `${path}.${field}`;
+
+            if (value === undefined || value === null || value === '') {
+                if (!optional.includes(field)) errors.push(`${where}: required ${type} is missing`);
+                return;
+            }
+
+            switch (type) {
+                case 'string':
+                    if (typeof value !== 'string') errors.push(`${where}: must be a string`);
+                    break;
+                case 'text':
+                    errors.push(...this.validateText(value, where));
+                    break;
+                case 'icon':
+                    if (typeof value !== 'string' || !ICON_PATTERN.test(value)) {
+                        errors.push(`${where}: must be a Font Awesome class like "fas fa-star" (got ${JSON.stringify(value)})`);
+                    }
+                    break;
+                case 'image':
+                    if (!ContentRenderer.isSafeImageUrl(value)) {
+                        errors.push(`${where}: must be an image path, an http(s) URL or a data:image/ URL`);
+                    }
+                    break;
+                case 'links':
+                    if (!Array.isArray(value)) {
+                        errors.push(`${where}: must be an array`);
+                        break;
+                    }
+                    value.forEach((link, index) => {
+                        const linkPath = `${where}[${index}]`;
+                        if (!link || typeof link.label !== 'string' || !link.label) errors.push(`${linkPath}.label: required string is missing`);
+                        if (!link || !ICON_PATTERN.test(link.icon || '')) errors.push(`${linkPath}.icon: must be a Font Awesome class like "fab fa-github"`);
+                        if (!link || !ContentRenderer.isSafeUrl(link.url)) errors.push(`${linkPath}.url: must be an http(s) URL or "#"`);
+                    });
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * text 형식 검사: 문자열이거나, 기본 언어가 포함된 언어별 객체
+     */
+    validateText(value, where) {
+        if (typeof value === 'string') return [];
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return [`${where}: must be a string or an object like {"ko": "...", "en": "..."}`];
+        }
+
+        const errors = [];
+        const { defaultLocale } = I18N_CONFIG;
+        if (typeof value[defaultLocale] !== 'string' || !value[defaultLocale]) {
+            errors.push(`${where}: "${defaultLocale}" text is required`);
+        }
+        Object.entries(value).forEach(([locale, text]) => {
+            if (!I18N_CONFIG.supportedLocales.includes(locale)) {
+                errors.push(`${where}: unsupported locale "${locale}"`);
+            } else if (typeof text !== 'string') {
+                errors.push(`${where}.${locale}: must be a string`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * text 필드 값으로 id에 쓸 영문 slug를 만듭니다
+     *
+     * 언어별 객체이면 영어 문구를 씁니다. 영문자가 없으면 빈 문자열을 반환합니다.
+     *
+     * @param {string|Object} value - 문자열 또는 {ko, en, ja}
+     * @returns {string} 예: "Hyunsoo Kim" -> "hyunsoo-kim"
+     */
+    static slugify(value) {
+        const source = typeof value === 'string' ? value : (value.en || '');
+        return source.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * 링크 주소로 써도 안전한지 확인합니다 (javascript: 같은 주소 차단)
+     *
+     * @param {string} url - 주소
+     * @returns {boolean}
+     */
+    static isSafeUrl(url) {
+        if (typeof url !== 'string' || !url) return false;
+        if (url.startsWith('#')) return true;
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(url, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 이미지 주소로 써도 안전한지 확인합니다
+     *
+     * @param {string} url - 주소
+     * @returns {boolean}
+     */
+    static isSafeImageUrl(url) {
+        if (typeof url === 'string' && url.startsWith('data:image/')) return true;
+        return ContentRenderer.isSafeUrl(url) && !url.startsWith('#') && !url.startsWith('mailto:');
+    }
+
+    /**
+     * 섹션에 맞는 항목 요소를 만듭니다
+     *
+     * @param {string} section - 섹션 이름
+     * @param {Object} item - 검사를 통과한 항목
+     * @param {number} index - 항목 번호 (번역 키에 사용)
+     * @returns {Element} 항목 요소
+     */
+    renderItem(section, item, index) {
+        // 이 항목의 text 필드를 요소에 넣는 함수 (번역 키: content.features.0.title)
+        const text = (element, field) => this.setText(element, item[field], `content.${section}.${index}.${field}`);
+
+        switch (section) {
+            case 'stats': {
+                const number = createContentElement('div', 'stat-number');
+                number.textContent = item.value; // AnimationManager가 숫자 카운팅
+                return createContentElement('div', 'stat-item', [
+                    number,
+                    text(createContentElement('div', 'stat-label'), 'label')
+                ]);
+            }
+
+            case 'features':
+                return createContentElement('div', 'feature-card fade-in', [
+                    createContentElement('div', 'feature-icon', [this.createIcon(item.icon)]),
+                    text(createContentElement('h3'), 'title'),
+                    text(createContentElement('p'), 'description')
+                ]);
+
+            case 'team': {
+                const social = createContentElement('div', 'social-links', (item.social || []).map(link => {
+                    const anchor = createContentElement('a', '', [this.createIcon(link.icon)]);
+                    anchor.href = link.url;
+                    anchor.setAttribute('aria-label', link.label);
+                    return anchor;
+                }));
+
+                const avatar = [text(createContentElement('div', 'avatar-fallback'), 'initial')];
+                if (item.photo) avatar.push(this.createPhoto(item.photo, item.photoPlaceholder));
+
+                const card = createContentElement('div', 'team-card fade-in', [
+                    createContentElement('div', 'team-avatar', avatar),
+                    text(createContentElement('h3'), 'name'),
+                    text(createContentElement('div', 'role'), 'role'),
+                    text(createContentElement('p'), 'bio'),
+                    social
+                ]);
+                // 카드별 공유 링크(#team-hyunsoo-kim)용 id. 영문 이름이 없으면 순서 번호
+                card.id = `team-${ContentRenderer.slugify(item.name) || index + 1}`;
+                return card;
+            }
+
+            case 'trust':
+                return createContentElement('div', 'trust-item', [
+                    this.createIcon(item.icon),
+                    text(createContentElement('span'), 'text')
+                ]);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * text 필드 값을 요소에 넣습니다
+     *
+     * 언어별 객체이면 i18n 사전에 등록하고 data-i18n을 붙여 언어 전환 때 함께 번역되게 합니다.
+     *
+     * @param {Element} element - 대상 요소
+     * @param {string|Object} value - 문자열 또는 {ko, en, ja}
+     * @param {string} key - 등록할 번역 키
+     * @returns {Element} 같은 요소 (체이닝용)
+     */
+    setText(element, value, key) {
+        if (typeof value === 'string') {
+            element.textContent = value;
+            return element;
+        }
+
+        addMessages(Object.fromEntries(
+            Object.entries(value).map(([locale, message]) => [locale, { [key]: message }])
+        ));
+        element.dataset.i18n = key;
+        element.textContent = t(key);
+        return element;
+    }
+
+    /**
+     * 지연 로딩할 사진을 만듭니다 (MediaLoader가 불러옴)
+     *
+     * 이름이 바로 아래에 있으므로 alt는 비워 둡니다. (스크린 리더가 이름을 두 번 읽지 않도록)
+     */
+    createPhoto(src, placeholder) {
+        const img = document.createElement('img');
+        img.dataset.src = src;
+        if (placeholder) img.dataset.placeholder = placeholder;
+        img.alt = '';
+        img.width = 100;
+        img.height = 100;
+        img.decoding = 'async';
+        return img;
+    }
+
+    createIcon(className) {
+        const icon = document.createElement('i');
+        icon.className = className;
+        icon.setAttribute('aria-hidden', 'true');
+        return icon;
+    }
+
+    destroy() {
+        // 만든 요소는 페이지 내용이므로 그대로 둠
+        this.containers = [];
+    }
+}
@@ -0,0 +1,271 @@
+// ===== ROUTER =====
+// 푸터의 회사소개, 채용, 도움말, 개인정보처리방침 같은 "가상 페이지"를 해시(#help)로 엽니다.
+// 페이지 안의 실제 섹션(#features 등)으로 가는 링크는 NavigationController가 그대로 처리합니다.
+
+/**
+ * 라우터 설정
+ *
+ * - templatePrefix: 가상 페이지 템플릿의 id 접두사 (<template id="page-help">)
+ * - titleSuffix: 가상 페이지를 열었을 때 문서 제목 뒤에 붙는 문구
+ */
+const ROUTER_CONFIG = {
+    templatePrefix: 'page-',
+    titleSuffix: ' | NexusApp'
+};
+
+/**
+ * 가상 페이지 목록
+ *
+ * - 키: 해시 이름 (#about -> about). 본문은 index.html의 <template id="page-about">
+ * - title: 대화상자 제목과 문서 제목(<title>)의 번역 키
+ * - description: <meta name="description">의 번역 키 (공유/검색 미리보기용)
+ *
+ * 다른 모듈이 페이지를 추가할 때는 router.register(name, route)를 사용합니다.
+ */
+const PAGE_ROUTES = {
+    about: { title: 'page.about.title', description: 'page.about.description' },
+    careers: { title: 'page.careers.title', description: 'page.careers.description' },
+    news: { title: 'page.news.title', description: 'page.news.description' },
+    integrations: { title: 'page.integrations.title', description: 'page.integrations.description' },
+    api: { title: 'page.api.title', description: 'page.api.description' },
+    help: { title: 'page.help.title', description: 'page.help.description' },
+    contact: { title: 'page.contact.title', description: 'page.contact.description' },
+    privacy: { title: 'page.privacy.title', description: 'page.privacy.description' },
+    terms: { title: 'page.terms.title', description: 'page.terms.description' }
+};
+
+/**
+ * PageRouter 클래스
+ *
+ * 역할:
+ * - 해시가 페이지의 실제 요소(섹션)를 가리키는지, 등록된 가상 페이지인지 구분
+ *   (같은 이름이면 실제 섹션이 우선)
+ * - 가상 페이지 링크를 누르면 템플릿을 복제해 대화상자(Modal)로 표시하고 주소를 #이름으로 바꿈
+ * - 열려 있는 동안 문서 제목과 meta description을 페이지에 맞게 바꾸고, 닫으면 되돌림
+ * - 뒤로/앞으로 가기(popstate)와 주소창에서 해시를 직접 바꾼 경우(hashchange)도 따라감
+ * - #help처럼 가상 페이지 주소로 바로 들어오면 처음부터 열어 줌 (공유한 링크)
+ * - 페이지가 바뀌면 'route:change' 이벤트 발생
+ *
+ * 'route:change' 이벤트의 detail:
+ * {route: 열린 페이지 이름 (닫혔으면 null), previous: 이전 페이지 이름, container: 페이지 본문 요소 (닫혔으면 null)}
+ *
+ * 주소 기록 규칙:
+ * - 링크로 열면 기록을 하나 추가 (뒤로 가기로 닫을 수 있도록), 페이지끼리 이동할 때는 추가하지 않음
+ * - 닫기 버튼/Esc/배경 클릭으로 닫으면, 직접 추가한 기록이면 뒤로 가기, 아니면 해시만 지움
+ * - 주소가 이미 같으면 기록을 추가하지 않음 (urlParams.update)
+ */
+class PageRouter {
+    /**
+     * @param {I18nManager} i18n - 복제한 템플릿을 번역할 다국어 모듈
+     * @param {Object} config - 라우터 설정 (기본값: ROUTER_CONFIG)
+     */
+    constructor(i18n, config = ROUTER_CONFIG) {
+        this.i18n = i18n;
+        this.config = config;
+        this.routes = { ...PAGE_ROUTES };
+        this.current = null; // 열린 가상 페이지 이름
+        this.modal = null; // 처음 필요할 때 생성
+        this.listeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleLocationChange = this.handleLocationChange.bind(this);
+        this.handleModalClose = this.handleModalClose.bind(this);
+        this.updateMeta = this.updateMeta.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.listeners.add(document, 'click', this.handleClick);
+        this.listeners.add(window, 'popstate', this.handleLocationChange);
+        this.listeners.add(window, 'hashchange', this.handleLocationChange);
+        this.listeners.add(document, 'i18n:change', this.updateMeta); // I18nManager가 되돌린 제목을 다시 맞춤
+
+        // 공유 링크로 바로 들어온 경우 (기록은 추가하지 않음)
+        const page = this.getPageName(window.location.hash);
+        if (page) {
+            window.history.replaceState({ route: page }, '');
+            this.show(page);
+        }
+    }
+
+    /**
+     * 가상 페이지를 등록합니다
+     *
+     * @param {string} name - 해시 이름
+     * @param {Object} route - {title, description} 번역 키
+     */
+    register(name, route) {
+        if (document.getElementById(name)) {
+            console.warn(`[Router] "#${name}" is already an element id; the in-page anchor wins over the page route`);
+        }
+        this.routes[name] = route;
+    }
+
+    /**
+     * 해시가 가리키는 가상 페이지 이름을 반환합니다
+     *
+     * @param {string} hash - '#help' 형식
+     * @returns {string|null} 가상 페이지 이름 (실제 섹션이거나 등록되지 않았으면 null)
+     */
+    getPageName(hash) {
+        const name = urlParams.getHash(hash);
+        if (!name) return null; // 해시가 없거나 잘못된 형식 (#%)
+        if (document.getElementById(name)) return null; // 페이지 안의 실제 요소
+        return this.routes[name] ? name : null;
+    }
+
+    /**
+     * 가상 페이지로 이동합니다
+     *
+     * 페이지가 닫혀 있으면 기록을 추가하고, 페이지끼리 이동할 때는 기록을 바꿉니다.
+     * (닫으면 여러 페이지를 거쳐 왔어도 처음 페이지를 열기 전 위치로 돌아감)
+     *
+     * @param {string} name - 가상 페이지 이름
+     */
+    navigate(name) {
+        if (!this.routes[name]) return;
+
+        const state = window.history.state;
+        const pushed = this.current ? Boolean(state && state.pushed) : true;
+        urlParams.setHash(`#${name}`, { replace: Boolean(this.current), state: { route: name, pushed } });
+        this.show(name);
+    }
+
+    /**
+     * 링크 클릭 처리 (이벤트 위임)
+     *
+     * 가상 페이지 링크만 가로챕니다. 실제 섹션 링크는 NavigationController에 맡기고
+     * (스크롤과 주소 변경은 NavigationController가 함), 가상 페이지가 열려 있으면 닫기만 합니다.
+     */
+    handleClick(event) {
+        // 새 탭 열기 등 보조 키 클릭은 건드리지 않음
+        if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+        const link = event.target.closest('a[href^="#"]');
+        if (!link) return;
+
+        const hash = link.getAttribute('href');
+        const page = this.getPageName(hash);
+        const id = urlParams.getHash(hash);
+
+        if (page) {
+            if (event.defaultPrevented) return; // 다른 모듈이 이미 처리한 링크
+            event.preventDefault();
+            this.navigate(page);
+        } else if (this.current && id && document.getElementById(id)) {
+            // 섹션 링크는 NavigationController가 먼저 처리(preventDefault)하므로 defaultPrevented와 상관없이 닫음
+            // (쿠키 설정처럼 섹션이 아닌 링크는 페이지를 열어 둔 채 위에 대화상자를 띄움)
+            this.show(null);
+        }
+    }
+
+    /**
+     * 뒤로/앞으로 가기, 주소창에서 해시 변경
+     */
+    handleLocationChange() {
+        this.show(this.getPageName(window.location.hash));
+    }
+
+    /**
+     * 가상 페이지를 열거나 닫습니다 (주소는 바꾸지 않음)
+     *
+     * @param {string|null} name - 열 페이지 이름 (null이면 닫기)
+     */
+    show(name) {
+        if (name === this.current) return;
+
+        const previous = this.current;
+        this.current = name;
+
+        if (name) {
+            this.render(name);
+            this.modal.open();
+        } else if (this.modal) {
+            this.modal.close('route');
+        }
+
+        this.updateMeta();
+        this.dispatch(previous);
+    }
+
+    /**
+     * 템플릿을 복제해 대화상자에 넣습니다
+     *
+     * @param {string} name - 가상 페이지 이름
+     */
+    render(name) {
+        const route = this.routes[name];
+
+        if (!this.modal) {
+            this.modal = new Modal({ className: 'modal-page', onClose: this.handleModalClose });
+        }
+
+        const template = document.getElementById(`${this.config.templatePrefix}${name}`);
+        const content = document.createElement('div');
+        content.className = 'page-content';
+        if (template) {
+            content.appendChild(template.content.cloneNode(true));
+        } else {
+            console.warn(`[Router] Missing <template id="${this.config.templatePrefix}${name}">`);
+        }
+
+        this.modal.titleElement.dataset.i18n = route.title;
+        this.modal.setTitle(t(route.title));
+        this.modal.setContent(content);
+        this.modal.element.dataset.route = name;
+        if (this.i18n) this.i18n.translatePage(content);
+    }
+
+    /**
+     * 닫기 버튼, Esc, 배경 클릭으로 닫았을 때 주소를 맞춥니다
+     *
+     * 라우터가 닫은 경우('route')는 이미 주소가 바뀐 뒤이므로 아무것도 하지 않습니다.
+     */
+    handleModalClose(result) {
+        if (result === 'route' || !this.current) return;
+
+        const state = window.history.state;
+        const previous = this.current;
+        this.current = null;
+        this.updateMeta();
+        this.dispatch(previous);
+
+        if (state && state.route === previous && state.pushed) {
+            window.history.back(); // 링크로 열었으면 연 기록을 되돌림 (앞으로 가기로 다시 열 수 있음)
+        } else {
+            urlParams.setHash('', { replace: true, state: null });
+        }
+    }
+
+    /**
+     * 문서 제목과 meta description을 현재 페이지에 맞춥니다
+     */
+    updateMeta() {
+        const route = this.current && this.routes[this.current];
+        const description = document.querySelector('meta[name="description"]');
+
+        document.title = route ? `${t(route.title)}${this.config.titleSuffix}` : t('meta.title');
+        if (description) description.setAttribute('content', t(route ? route.description : 'meta.description'));
+    }
+
+    dispatch(previous) {
+        document.dispatchEvent(new CustomEvent('route:change', {
+            detail: {
+                route: this.current,
+                previous,
+                container: this.current && this.modal ? this.modal.body : null
+            }
+        }));
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        if (this.modal) {
+            this.modal.destroy();
+            this.modal = null;
+        }
+        this.current = null;
+        this.updateMeta();
+    }
+}
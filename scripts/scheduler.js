@@ -0,0 +1,138 @@
+// ===== FRAME SCHEDULER =====
+// 스크롤/리사이즈에 반응하는 모든 기능이 함께 쓰는 프레임 스케줄러입니다.
+// 모듈마다 scroll 리스너를 따로 붙이지 않고, 여기에 구독(subscribe)만 합니다.
+
+/**
+ * FrameScheduler 클래스
+ *
+ * 역할:
+ * - window에 passive scroll 리스너 하나, resize 리스너 하나만 등록
+ * - 이벤트가 여러 번 와도 requestAnimationFrame으로 프레임당 한 번만 처리
+ * - 스크롤 위치(getScrollPosition)와 화면 크기(getViewportSize)는 프레임마다 한 번만 읽어서 모든 구독자에게 전달
+ * - 구독자의 read(읽기)를 모두 실행한 뒤 write(쓰기)를 모두 실행
+ *
+ * 왜 read와 write를 나누나?
+ * offsetHeight 같은 값을 읽기 전에 DOM을 바꾸면 브라우저가 레이아웃을 그 자리에서 다시 계산합니다.
+ * 구독자마다 "읽고 쓰고"를 반복하면 이 계산이 여러 번 일어나서(layout thrashing) 저사양 기기에서 끊깁니다.
+ * 읽기를 모두 먼저 하고 쓰기를 나중에 몰아서 하면 레이아웃 계산이 프레임당 한 번으로 줄어듭니다.
+ *
+ * 사용법:
+ * const unsubscribe = frameScheduler.subscribe({
+ *     read: (frame) => element.offsetTop < frame.scroll.y, // DOM 읽기만
+ *     write: (frame, passed) => element.classList.toggle('passed', passed) // DOM 쓰기만
+ * });
+ * unsubscribe(); // 정리할 때
+ *
+ * frame 객체:
+ * {scroll: {x, y}, viewport: {width, height}, scrolled: 스크롤로 실행됐는지, resized: 리사이즈로 실행됐는지, timestamp}
+ */
+class FrameScheduler {
+    constructor() {
+        this.subscribers = new Set();
+        this.frame = null; // 예약된 requestAnimationFrame id
+        this.pending = { scrolled: false, resized: false }; // 다음 프레임을 예약한 이유
+        this.listeners = createListenerRegistry();
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.run = this.run.bind(this);
+    }
+
+    /**
+     * 구독합니다
+     *
+     * 첫 구독자가 생길 때 window 리스너를 등록하고, 마지막 구독자가 빠지면 해제합니다.
+     *
+     * @param {Object} subscriber
+     * @param {Function} subscriber.read - (frame) => 측정값. DOM을 읽기만 해야 함
+     * @param {Function} subscriber.write - (frame, 측정값) => void. DOM을 쓰기만 해야 함
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(subscriber) {
+        this.subscribers.add(subscriber);
+        if (this.subscribers.size === 1) this.attach();
+
+        return () => this.unsubscribe(subscriber);
+    }
+
+    unsubscribe(subscriber) {
+        if (!this.subscribers.delete(subscriber)) return;
+        if (!this.subscribers.size) this.detach();
+    }
+
+    attach() {
+        this.listeners.add(window, 'scroll', this.handleScroll, { passive: true });
+        this.listeners.add(window, 'resize', this.handleResize, { passive: true });
+    }
+
+    detach() {
+        this.listeners.removeAll();
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    handleScroll() {
+        this.pending.scrolled = true;
+        this.request();
+    }
+
+    handleResize() {
+        this.pending.resized = true;
+        this.request();
+    }
+
+    /**
+     * 다음 프레임에 구독자들을 실행하도록 예약합니다
+     *
+     * 스크롤 없이 상태가 바뀌었을 때(예: 메뉴 열림) 직접 호출해도 됩니다.
+     * 이미 예약되어 있으면 아무것도 하지 않습니다.
+     */
+    request() {
+        if (this.frame || !this.subscribers.size) return;
+        this.frame = requestAnimationFrame(this.run);
+    }
+
+    /**
+     * 한 프레임 처리: 공통 값 읽기 -> 모든 read -> 모든 write
+     *
+     * 구독자 하나가 에러를 내도 나머지는 계속 실행됩니다.
+     */
+    run(timestamp) {
+        this.frame = null;
+
+        const frame = {
+            scroll: getScrollPosition(),
+            viewport: getViewportSize(),
+            scrolled: this.pending.scrolled,
+            resized: this.pending.resized,
+            timestamp
+        };
+        this.pending = { scrolled: false, resized: false };
+
+        // 실행 중에 구독이 해제되어도 안전하도록 복사본 사용
+        const subscribers = [...this.subscribers];
+
+        const measured = subscribers.map(subscriber => {
+            try {
+                return subscriber.read ? subscriber.read(frame) : undefined;
+            } catch (error) {
+                console.error('[FrameScheduler] Error in read phase:', error);
+                return undefined;
+            }
+        });
+
+        subscribers.forEach((subscriber, index) => {
+            if (!subscriber.write || !this.subscribers.has(subscriber)) return;
+            try {
+                subscriber.write(frame, measured[index]);
+            } catch (error) {
+                console.error('[FrameScheduler] Error in write phase:', error);
+            }
+        });
+    }
+}
+
+// 페이지 전체가 함께 쓰는 스케줄러
+const frameScheduler = new FrameScheduler();
@@ -0,0 +1,232 @@
+// ===== SHARE =====
+// 각 섹션과 팀 카드에 "링크 공유" 버튼을 붙입니다.
+// 영업팀이 고객에게 특정 섹션(요금제 등) 링크를 보낼 때 사용합니다.
+
+/**
+ * 공유 설정
+ *
+ * - sections: 공유 버튼을 붙일 섹션 id (섹션의 첫 번째 h2 바로 뒤에 버튼이 들어감)
+ * - teamSelector: 팀 카드가 그려지는 영역 (ContentRenderer가 카드마다 id를 붙임)
+ * - forwardParams: 공유 링크에 이어 붙일 유입 경로 파라미터 (analytics.js의 UTM 파라미터)
+ *   지금 주소에 있으면 그 값을, 없으면 analytics.js가 저장한 최근 유입 경로를 씀
+ *
+ * 이 파일은 analytics.js 다음에 로드됩니다. (UTM_PARAMS, ANALYTICS_STORAGE_KEYS 사용)
+ */
+const SHARE_CONFIG = {
+    sections: ['features', 'screenshots', 'team', 'pricing', 'download'],
+    teamSelector: '[data-content="team"]',
+    forwardParams: UTM_PARAMS
+};
+
+/**
+ * ShareManager 클래스
+ *
+ * 역할:
+ * - 설정한 섹션의 제목 아래와 팀 카드마다 공유 버튼을 만듦
+ *   (팀 카드는 content.json으로 그려지므로 'content:render' 때 붙임)
+ * - Web Share API가 있으면(주로 모바일) 기기의 공유 시트를 띄움
+ * - 없거나 실패하면 링크를 클립보드에 복사하고 결과를 토스트로 알림
+ * - 링크 = 지금 페이지 주소 + 섹션 해시 + 방문자의 UTM 파라미터 (받는 사람의 유입도 같은 캠페인으로 집계)
+ * - 팀 카드 링크(#team-hyunsoo-kim)로 들어오면 카드가 그려진 뒤 그 카드로 이동
+ * - 공유할 때마다 'share:click' 이벤트 발생 (Analytics가 구독)
+ *
+ * 'share:click' 이벤트의 detail:
+ * {target: 섹션/카드 id, method: 'native' | 'copy', success: 성공 여부}
+ */
+class ShareManager {
+    /**
+     * @param {ToastManager} toast - 복사 결과를 보여줄 토스트
+     * @param {Object} config - 공유 설정 (기본값: SHARE_CONFIG)
+     */
+    constructor(toast, config = SHARE_CONFIG) {
+        this.toast = toast;
+        this.config = config;
+        this.buttons = []; // 만든 버튼들 (destroy 때 제거)
+        this.hasRestoredHash = false; // 공유 링크로 들어온 팀 카드 위치로 한 번만 이동
+        this.listeners = createListenerRegistry();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleContentRender = this.handleContentRender.bind(this);
+        this.updateLabels = this.updateLabels.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.config.sections.forEach(id => {
+            const section = document.getElementById(id);
+            const heading = section && section.querySelector('h2');
+            if (heading) heading.after(this.createButton(id, { compact: false }));
+        });
+        this.addTeamButtons();
+        this.updateLabels();
+
+        this.listeners.add(document, 'click', this.handleClick);
+        this.listeners.add(document, 'content:render', this.handleContentRender);
+        this.listeners.add(document, 'i18n:change', this.updateLabels);
+    }
+
+    /**
+     * 공유 버튼을 만듭니다
+     *
+     * @param {string} id - 공유할 요소의 id
+     * @param {Object} options
+     * @param {boolean} options.compact - true면 아이콘만 (팀 카드)
+     * @returns {Element} 버튼
+     */
+    createButton(id, { compact }) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = compact ? 'share-button share-button-compact' : 'share-button';
+        button.dataset.share = id;
+        button.innerHTML = compact
+            ? '<i class="fas fa-link" aria-hidden="true"></i>'
+            : `<i class="fas fa-link" aria-hidden="true"></i><span data-i18n="share.button">${t('share.button')}</span>`;
+
+        this.buttons.push(button);
+        return button;
+    }
+
+    /**
+     * 팀 카드에 공유 버튼을 붙입니다 (이미 붙은 카드는 건너뜀)
+     */
+    addTeamButtons() {
+        const container = getElement(this.config.teamSelector);
+        if (!container) return;
+
+        container.querySelectorAll('.team-card[id]').forEach(card => {
+            if (card.querySelector('[data-share]')) return;
+            card.appendChild(this.createButton(card.id, { compact: true }));
+        });
+    }
+
+    /**
+     * 팀 카드가 그려지면 버튼을 붙이고, 카드 링크로 들어온 경우 그 카드로 이동합니다
+     *
+     * 처음 로드할 때는 카드가 아직 없어 브라우저가 해시 위치로 이동하지 못하므로 여기서 맞춥니다.
+     */
+    handleContentRender() {
+        this.addTeamButtons();
+        this.updateLabels();
+
+        const id = urlParams.getHash();
+        if (this.hasRestoredHash || !id) return;
+
+        const target = document.getElementById(id);
+        const container = getElement(this.config.teamSelector);
+        if (target && container && container.contains(target)) {
+            this.hasRestoredHash = true;
+            target.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-share]');
+        if (button) this.share(button.dataset.share);
+    }
+
+    /**
+     * 공유 링크를 만듭니다
+     *
+     * 지금 주소의 다른 파라미터(?lang=, ?billing= 등)는 빼고, 유입 경로 파라미터만 남깁니다.
+     * (받는 사람은 자기 언어로 보도록)
+     *
+     * @param {string} id - 공유할 요소의 id
+     * @returns {string} 링크
+     *
+     * 예시:
+     * getShareUrl('pricing');
+     * // "https://nexusapp.com/?utm_source=newsletter&utm_campaign=spring#pricing"
+     */
+    getShareUrl(id) {
+        const url = new URL(window.location.pathname, window.location.origin);
+        const params = this.getAttributionParams();
+
+        Object.keys(params).forEach(key => url.searchParams.set(key, params[key]));
+        url.hash = id;
+        return url.href;
+    }
+
+    /**
+     * 이어 붙일 유입 경로 파라미터
+     *
+     * 지금 주소에 하나라도 있으면 그것만 쓰고, 없으면 저장된 최근/첫 유입 경로를 씁니다.
+     * (저장된 유입 경로는 통계 수집에 동의한 경우에만 있음)
+     *
+     * @returns {Object} {utm_source: '...', ...}
+     */
+    getAttributionParams() {
+        const pick = (source) => this.config.forwardParams.reduce((params, key) => {
+            if (source && source[key]) params[key] = source[key];
+            return params;
+        }, {});
+
+        const current = pick(urlParams.getAll());
+        if (Object.keys(current).length) return current;
+
+        const saved = storage.get(ANALYTICS_STORAGE_KEYS.attribution, {});
+        return pick(saved.last || saved.first);
+    }
+
+    /**
+     * 공유 대상의 이름 (섹션 제목 또는 팀원 이름)
+     */
+    getTargetName(id) {
+        const target = document.getElementById(id);
+        const heading = target && target.querySelector('h2, h3');
+        return heading ? heading.textContent.trim() : id;
+    }
+
+    /**
+     * 공유 시트를 띄우거나, 링크를 복사합니다
+     *
+     * @param {string} id - 공유할 요소의 id
+     */
+    async share(id) {
+        const url = this.getShareUrl(id);
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: `${this.getTargetName(id)} | NexusApp`, url });
+                this.dispatch(id, 'native', true);
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return; // 사용자가 공유 시트를 닫음
+                // 그 밖의 실패(권한 등)는 복사로 대신함
+            }
+        }
+
+        const copied = await copyToClipboard(url);
+        if (copied) {
+            this.toast.show(t('share.copied'), { type: 'success' });
+        } else {
+            this.toast.show(t('share.failed', { url }), { type: 'error', duration: 8000 });
+        }
+        this.dispatch(id, 'copy', copied);
+    }
+
+    dispatch(target, method, success) {
+        document.dispatchEvent(new CustomEvent('share:click', {
+            detail: { target, method, success }
+        }));
+    }
+
+    /**
+     * 버튼 라벨을 현재 언어와 대상 이름에 맞춥니다
+     *
+     * 보이는 글자("공유")가 라벨 안에 들어가도록 "핵심 기능 링크 공유" 형식으로 만듭니다.
+     */
+    updateLabels() {
+        this.buttons.forEach(button => {
+            const label = t('share.label', { name: this.getTargetName(button.dataset.share) });
+            button.setAttribute('aria-label', label);
+            button.title = label;
+        });
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.buttons.forEach(button => button.remove());
+        this.buttons = [];
+    }
+}
@@ -0,0 +1,166 @@
+// ===== THEME =====
+// 라이트/다크 테마를 관리합니다.
+// 이 파일은 <head>에서 utils.js 바로 다음에 로드됩니다.
+// 본문이 그려지기 전에 테마를 적용해야 새로고침할 때 잘못된 테마가 잠깐 보이지 않습니다.
+
+/**
+ * 테마 설정
+ *
+ * - storageKey: 방문자가 고른 모드를 저장하는 storage 키
+ * - modes: 토글 버튼을 누를 때 순환하는 순서
+ *   - system: OS 설정을 따름 (OS 설정이 바뀌면 바로 반영)
+ *   - light / dark: 항상 해당 테마
+ * - defaultMode: 저장된 선택이 없을 때의 모드
+ */
+const THEME_CONFIG = {
+    storageKey: 'nexus_theme',
+    modes: ['system', 'light', 'dark'],
+    defaultMode: 'system'
+};
+
+// OS가 라이트 모드인지 확인하는 미디어 쿼리 (기본 팔레트가 다크라서 light 쪽을 확인)
+const THEME_MEDIA_QUERY = '(prefers-color-scheme: light)';
+
+/**
+ * 저장된 테마 모드를 반환합니다
+ *
+ * @returns {string} 'system' | 'light' | 'dark'
+ */
+function getThemePreference() {
+    const saved = storage.get(THEME_CONFIG.storageKey);
+    return THEME_CONFIG.modes.includes(saved) ? saved : THEME_CONFIG.defaultMode;
+}
+
+/**
+ * 모드를 실제로 적용할 테마로 바꿉니다
+ *
+ * @param {string} mode - 'system' | 'light' | 'dark'
+ * @returns {string} 'light' | 'dark'
+ */
+function resolveTheme(mode) {
+    if (mode === 'light' || mode === 'dark') return mode;
+    return window.matchMedia && window.matchMedia(THEME_MEDIA_QUERY).matches ? 'light' : 'dark';
+}
+
+/**
+ * <html data-theme>을 설정합니다
+ *
+ * CSS는 data-theme 값만 보고 색상 변수를 바꿉니다. (main.css의 [data-theme="light"])
+ *
+ * @param {string} mode - 'system' | 'light' | 'dark'
+ * @returns {string} 적용된 테마 ('light' | 'dark')
+ */
+function applyTheme(mode) {
+    const theme = resolveTheme(mode);
+    document.documentElement.dataset.theme = theme;
+    return theme;
+}
+
+// 첫 렌더 전에 바로 적용 (<head>에서 실행되는 시점)
+applyTheme(getThemePreference());
+
+/**
+ * ThemeManager 클래스
+ *
+ * 역할:
+ * - 네비게이션 바의 테마 버튼(#themeToggle)으로 system -> light -> dark 순환
+ * - 고른 모드를 storage에 저장해 다음 방문에도 유지
+ * - system 모드일 때 OS 설정이 바뀌면 바로 반영 (matchMedia change 이벤트)
+ * - 테마가 바뀌면 'theme:change' 이벤트 발생
+ *
+ * 'theme:change' 이벤트의 detail:
+ * {mode: 'system' | 'light' | 'dark', theme: 'light' | 'dark', previous: 바뀌기 전 테마}
+ */
+class ThemeManager {
+    /**
+     * @param {Object} config - 테마 설정 (기본값: THEME_CONFIG)
+     */
+    constructor(config = THEME_CONFIG) {
+        this.config = config;
+        this.mode = getThemePreference();
+        this.theme = resolveTheme(this.mode);
+        this.toggle = null;
+        this.mediaQuery = window.matchMedia ? window.matchMedia(THEME_MEDIA_QUERY) : null;
+        this.listeners = createListenerRegistry();
+
+        this.handleToggleClick = this.handleToggleClick.bind(this);
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.updateToggle = this.updateToggle.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.toggle = getElement('#themeToggle');
+        if (this.toggle) {
+            this.listeners.add(this.toggle, 'click', this.handleToggleClick);
+            this.listeners.add(document, 'i18n:change', this.updateToggle); // 라벨 다시 번역
+            this.updateToggle();
+        }
+
+        if (this.mediaQuery) {
+            this.listeners.add(this.mediaQuery, 'change', this.handleSystemChange);
+        }
+    }
+
+    /**
+     * 테마 모드를 바꿉니다
+     *
+     * @param {string} mode - 'system' | 'light' | 'dark'
+     */
+    setMode(mode) {
+        if (!this.config.modes.includes(mode)) return;
+
+        this.mode = mode;
+        storage.set(this.config.storageKey, mode);
+        this.apply();
+    }
+
+    /**
+     * 현재 모드를 적용하고, 테마가 바뀌었으면 이벤트를 보냅니다
+     */
+    apply() {
+        const previous = this.theme;
+        this.theme = applyTheme(this.mode);
+        this.updateToggle();
+
+        document.dispatchEvent(new CustomEvent('theme:change', {
+            detail: { mode: this.mode, theme: this.theme, previous }
+        }));
+    }
+
+    handleToggleClick() {
+        const { modes } = this.config;
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    }
+
+    /**
+     * OS 테마 설정이 바뀌었을 때 (system 모드일 때만 따라감)
+     */
+    handleSystemChange() {
+        if (this.mode === 'system') this.apply();
+    }
+
+    /**
+     * 토글 버튼의 아이콘과 라벨을 현재 모드에 맞춥니다
+     *
+     * 라벨은 "현재 모드"를 알려줍니다. (예: "테마: 시스템 설정")
+     */
+    updateToggle() {
+        if (!this.toggle) return;
+
+        const icons = { system: 'fa-circle-half-stroke', light: 'fa-sun', dark: 'fa-moon' };
+        const icon = this.toggle.querySelector('i');
+        if (icon) icon.className = `fas ${icons[this.mode]}`;
+
+        const label = t('theme.toggle', { mode: t(`theme.mode.${this.mode}`) });
+        this.toggle.setAttribute('aria-label', label);
+        this.toggle.title = label;
+        this.toggle.dataset.mode = this.mode;
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        this.toggle = null;
+    }
+}
@@ -0,0 +1,212 @@
+// ===== TOAST =====
+// 화면 아래쪽에 잠깐 떴다가 사라지는 알림(토스트)을 보여줍니다.
+// 링크 복사 결과처럼 "눌렀는데 된 건가?" 싶은 동작의 결과를 알려줄 때 사용합니다.
+
+/**
+ * 토스트 설정
+ *
+ * - duration: 기본 표시 시간 (밀리초). 마우스를 올리거나 포커스가 있는 동안은 멈춤
+ * - maxQueue: 기다리는 토스트의 최대 개수 (넘으면 가장 오래된 것부터 버림)
+ * - exitDuration: 사라지는 애니메이션 시간 (밀리초, CSS의 .toast transition과 맞춤)
+ */
+const TOAST_CONFIG = {
+    duration: 4000,
+    maxQueue: 5,
+    exitDuration: 200
+};
+
+/**
+ * 종류별 아이콘
+ */
+const TOAST_ICONS = {
+    success: 'fas fa-check-circle',
+    error: 'fas fa-exclamation-circle',
+    info: 'fas fa-info-circle'
+};
+
+/**
+ * ToastManager 클래스
+ *
+ * 역할:
+ * - 토스트를 한 번에 하나씩 보여주고, 나머지는 순서대로 기다리게 함 (큐)
+ * - 정해진 시간이 지나면 자동으로 닫고 다음 토스트를 보여줌
+ * - 마우스를 올리거나 닫기 버튼에 포커스가 있는 동안은 시간을 멈춤 (남은 시간부터 다시)
+ * - 보여줄 때 스크린 리더에게 같은 문구를 읽어 줌 (announce, 오류는 바로 끊고 읽음)
+ * - 같은 문구가 이미 보이거나 기다리는 중이면 다시 쌓지 않음 (버튼 연타)
+ *
+ * 토스트 영역 자체는 aria-live가 아닙니다. 읽어 주는 것은 a11y.js의 announce()가 맡습니다.
+ *
+ * 사용 예시:
+ * toast.show(t('share.copied'), { type: 'success' });
+ */
+class ToastManager {
+    /**
+     * @param {Object} config - 토스트 설정 (기본값: TOAST_CONFIG)
+     */
+    constructor(config = TOAST_CONFIG) {
+        this.config = config;
+        this.queue = []; // 기다리는 토스트 {message, type, duration}
+        this.current = null; // 보이는 토스트 {message, type, duration, element}
+        this.region = null;
+        this.timer = null;
+        this.remaining = 0; // 멈췄을 때 남은 표시 시간
+        this.startedAt = 0;
+        this.pauseReasons = new Set(); // 'hover' | 'focus'
+        this.listeners = createListenerRegistry();
+
+        this.handleMouseEnter = () => this.pause('hover');
+        this.handleMouseLeave = () => this.resume('hover');
+        this.handleFocusIn = () => this.pause('focus');
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.updateLabels = this.updateLabels.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.region = document.createElement('div');
+        this.region.className = 'toast-region';
+        document.body.appendChild(this.region);
+
+        this.listeners.add(this.region, 'mouseenter', this.handleMouseEnter);
+        this.listeners.add(this.region, 'mouseleave', this.handleMouseLeave);
+        this.listeners.add(this.region, 'focusin', this.handleFocusIn);
+        this.listeners.add(this.region, 'focusout', this.handleFocusOut);
+        this.listeners.add(this.region, 'click', this.handleClick);
+        this.listeners.add(document, 'i18n:change', this.updateLabels);
+    }
+
+    /**
+     * 토스트를 보여줍니다 (다른 토스트가 보이는 중이면 큐에 넣음)
+     *
+     * @param {string} message - 문구 (번역된 문자열)
+     * @param {Object} options
+     * @param {string} options.type - 'success' | 'error' | 'info' (기본 'info')
+     * @param {number} options.duration - 표시 시간 (밀리초, 기본 config.duration)
+     */
+    show(message, { type = 'info', duration = this.config.duration } = {}) {
+        if (!message) return;
+
+        const isDuplicate = (this.current && this.current.message === message)
+            || this.queue.some(item => item.message === message);
+        if (isDuplicate) return;
+
+        this.queue.push({ message, type: TOAST_ICONS[type] ? type : 'info', duration });
+        if (this.queue.length > this.config.maxQueue) this.queue.shift();
+
+        if (!this.current) this.next();
+    }
+
+    /**
+     * 큐의 다음 토스트를 보여줍니다
+     */
+    next() {
+        const item = this.queue.shift();
+        if (!item) return;
+
+        item.element = this.render(item);
+        this.current = item;
+        this.region.appendChild(item.element);
+
+        announce(item.message, { politeness: item.type === 'error' ? 'assertive' : 'polite' });
+
+        // 붙인 직후 클래스를 넣으면 transition이 생략되므로 한 프레임 뒤에
+        requestAnimationFrame(() => item.element.classList.add('is-visible'));
+
+        this.remaining = item.duration;
+        if (!this.pauseReasons.size) this.startTimer();
+    }
+
+    render({ message, type }) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${type}`;
+        element.innerHTML = `
+            <i class="${TOAST_ICONS[type]}" aria-hidden="true"></i>
+            <span class="toast-message"></span>
+            <button type="button" class="toast-close" aria-label="${t('toast.close')}" data-toast-close>
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `;
+        element.querySelector('.toast-message').textContent = message; // 문구에 HTML이 있어도 글자로
+        return element;
+    }
+
+    startTimer() {
+        clearTimeout(this.timer);
+        this.startedAt = Date.now();
+        this.timer = setTimeout(() => this.dismiss(), this.remaining);
+    }
+
+    /**
+     * 자동으로 닫히는 시간을 멈춥니다
+     *
+     * @param {string} reason - 'hover' | 'focus' (둘 다 풀려야 다시 흐름)
+     */
+    pause(reason) {
+        const wasRunning = this.pauseReasons.size === 0;
+        this.pauseReasons.add(reason);
+        if (!wasRunning || !this.current) return;
+
+        clearTimeout(this.timer);
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.startedAt));
+    }
+
+    resume(reason) {
+        if (!this.pauseReasons.delete(reason) || this.pauseReasons.size) return;
+        if (this.current) this.startTimer();
+    }
+
+    /**
+     * 포커스가 토스트 영역 밖으로 나갔을 때만 다시 흐르게 함 (영역 안에서 이동은 무시)
+     */
+    handleFocusOut(event) {
+        if (!this.region.contains(event.relatedTarget)) this.resume('focus');
+    }
+
+    handleClick(event) {
+        if (event.target.closest('[data-toast-close]')) this.dismiss();
+    }
+
+    /**
+     * 보이는 토스트를 닫고 다음 토스트를 보여줍니다
+     */
+    async dismiss() {
+        const item = this.current;
+        if (!item || item.isClosing) return;
+        item.isClosing = true;
+        clearTimeout(this.timer);
+
+        // 닫기 버튼에 있던 포커스가 사라지므로 멈춤 이유도 함께 풀어 줌
+        if (item.element.contains(document.activeElement)) this.pauseReasons.delete('focus');
+
+        item.element.classList.remove('is-visible');
+        await wait(prefersReducedMotion() ? 0 : this.config.exitDuration);
+        item.element.remove();
+
+        if (this.current !== item) return; // 그 사이 destroy()됨
+        this.current = null;
+        this.next();
+    }
+
+    /**
+     * 언어가 바뀌면 닫기 버튼 라벨을 다시 맞춥니다 (문구는 보여줄 때의 언어 그대로)
+     */
+    updateLabels() {
+        this.region.querySelectorAll('[data-toast-close]').forEach(button => {
+            button.setAttribute('aria-label', t('toast.close'));
+        });
+    }
+
+    destroy() {
+        this.listeners.removeAll();
+        clearTimeout(this.timer);
+        this.queue = [];
+        this.current = null;
+        this.pauseReasons.clear();
+        if (this.region) {
+            this.region.remove();
+            this.region = null;
+        }
+    }
+}
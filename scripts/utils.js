@@ -42,17 +42,33 @@ function debounce(func, wait, immediate) {
  * @param {number} limit - 최소 실행 간격 (밀리초)
  * @returns {Function} Throttled 함수
  * 
+ * 쓰로틀 중에 들어온 호출은 버리지 않고 마지막 것 하나를 limit 후에 실행합니다.
+ * (스크롤이 멈춘 최종 위치가 반영되지 않는 문제 방지)
+ * 
  * 예시:
  * window.addEventListener('scroll', throttle(updatePositon, 16));
  * -> 16ms(60fps)마다 한 번씩만 updatePosition 실행
+ * 
+ * 페이지의 scroll/resize 처리는 throttle 대신 scheduler.js의 frameScheduler에 구독하세요.
+ * (리스너 하나를 모든 모듈이 함께 쓰고, 읽기/쓰기를 프레임 단위로 모아 줍니다)
  */
 function throttle(func, limit) {
     let inThrottle; //쓰로들 상태를 저장
-    return function(...args) {
+    let pendingArgs = null; // 쓰로틀 중에 들어온 마지막 호출의 인자
+    return function throttled(...args) {
         if (!inThrottle) { // 쓰로들 중이 아니면
             func.apply(this, args); // 함수 실행
-            inThrottle = true // 쓰로들 시작
-            setTimeout(() => inThrottle - false, limit); // limit 후 해제
+            inThrottle = true; // 쓰로들 시작
+            setTimeout(() => {
+                inThrottle = false; // limit 후 해제
+                if (pendingArgs) {
+                    const lastArgs = pendingArgs;
+                    pendingArgs = null;
+                    throttled.apply(this, lastArgs); // 밀린 마지막 호출 실행
+                }
+            }, limit);
+        } else {
+            pendingArgs = args;
         }
     };
 }
@@ -107,18 +123,65 @@ function addEventListenerSafe(element, event, handler, options ={}) {
 /**
  * 이벤트 리스너를 안전하게 제거합니다
  * 메모리 누수를 방지하기 위해 사용하지 않는 이벤트 리스너는 제거해야 합니다.
+ * 
+ * 주의: capture 옵션으로 등록한 리스너는 같은 capture 값으로 제거해야 합니다.
+ * 
+ * @param {Element|string} element - 요소 또는 선택자
+ * @param {string} event - 이벤트 타입
+ * @param {Function} handler - 등록할 때 사용한 핸들러 함수
+ * @param {Object} options - 등록할 때 사용한 이벤트 옵션
  */
-function removeEventListnerSafe(element, event, handler) {
+function removeEventListnerSafe(element, event, handler, options = {}) {
     try {
         const el = typeof element === 'string' ? getElement(element) : element;
         if (el && typeof handler === 'function') {
-            el.removeEventListner(event, handler);
+            el.removeEventListener(event, handler, options);
         } 
     } catch (error) {
             console.error('Error removing event listener:', error);
     }
 }
 
+/**
+ * 등록한 이벤트 리스너들을 기억했다가 한 번에 제거할 수 있는 묶음을 만듭니다
+ * 
+ * 모듈마다 "무엇을 등록했는지" 따로 기록하지 않아도 destroy() 시점에
+ * removeAll() 한 번으로 모든 리스너를 정리할 수 있습니다.
+ * 
+ * @returns {Object} {add, removeAll}
+ * 
+ * 예시:
+ * const listeners = createListenerRegistry();
+ * listeners.add(window, 'resize', handleResize);
+ * listeners.add('#menu', 'click', handleClick);
+ * listeners.removeAll(); // 위 두 리스너 모두 제거
+ */
+function createListenerRegistry() {
+    const entries = [];
+
+    return {
+        /**
+         * addEventListenerSafe로 등록하고 제거용으로 기록합니다
+         */
+        add(element, event, handler, options = {}) {
+            const el = typeof element === 'string' ? getElement(element) : element;
+            if (!el) return;
+            addEventListenerSafe(el, event, handler, options);
+            entries.push({ el, event, handler, options });
+        },
+
+        /**
+         * 기록된 모든 리스너를 removeEventListnerSafe로 제거합니다
+         */
+        removeAll() {
+            entries.forEach(({ el, event, handler, options }) => {
+                removeEventListnerSafe(el, event, handler, options);
+            });
+            entries.length = 0;
+        }
+    };
+}
+
 /**
  * 요소가 화면(뷰포트)에 보이는지 확인합니다
  * 
@@ -148,6 +211,9 @@ function isElementInViewport(element, threshold = 0.1) {
     return vertInView && horInView; // 둘 다 true여야 보이는 것
 }
 
+// 진행 중인 smoothScrollTo ({animation, previousBehavior}, 없으면 null)
+let activeScroll = null;
+
 /**
  * 특정 요소로 부드럽게 스크롤합니다
  * 
@@ -157,6 +223,11 @@ function isElementInViewport(element, threshold = 0.1) {
  * @param {Element|string} target - 이동할 요소 또는 선택자
  * @param {number} offset - 목표 위치에서 추가로 이동할 거리 (음수 가능)
  * @param {number} duration - 애니메이션 지속 시간 (밀리초)
+ * @returns {Promise<boolean>} 스크롤이 끝나면 resolve (다른 smoothScrollTo가 이어받아 취소되면 false)
+ * 
+ * 움직임 줄이기 설정이면(prefersReducedMotion) 애니메이션 없이 바로 이동합니다.
+ * 스크롤 도중에 설정이 바뀌어도 그 자리에서 바로 목표 위치로 이동합니다.
+ * 스크롤 도중에 다시 호출하면(메뉴 링크를 연달아 클릭) 진행 중인 스크롤을 멈추고 새 위치로 이어서 스크롤합니다.
  * 
  * 예시:
  * smoothScrollTo('#features', 80, 1000);
@@ -164,31 +235,38 @@ function isElementInViewport(element, threshold = 0.1) {
  */
 function smoothScrollTo(target, offset = 0, duration = 800) {
     const element = typeof target === 'string' ? getElement(target) : target;
-    if (!element) return;
+    if (!element) return Promise.resolve(false);
 
-    const targetPosition = element.offsetTop - offset; // 목표 위치 계산
+    const targetPosition = element.getBoundingClientRect().top + window.pageYOffset - offset; // 목표 위치 계산
     const startPosition = window.pageYOffset; // 현재 스크롤 위치
-    const distance = targetPosition - startPosition; // 이동해야 할 거리
-    let starTime = null;
-
-    // 애니메이션 프레임마다 실행되는 함수
-    function animation(currentTime) {
-        if (starTime === null) starTime = currentTime;
-        const timeElapsed = currentTime - starTime; // 경과 시간
-        const run = ease(timeElapsed, startPosition, distance, duration); // 이징 적용
-        window.scrollTo(0, run); // 스크롤 이동
-        if (timeElapsed < duration) requestAnimationFrame(animation); // 계속 실행
-    }
 
-    // easeInOutQuad 이징 함수 - 처음과 끝이 부드러운 곡선
-    function ease(t, b, c, d) {
-        t /= d / 2;
-        if(t < 1) return c / 2 * t * t + b; // 가속
-        t--;
-        return -c / 2 * (t * (t - 2) -1 ) + b; //감속
-    }
+    // html의 scroll-behavior: smooth가 켜져 있으면 매 프레임의 scrollTo가
+    // 다시 부드러운 스크롤로 처리되어 버벅입니다. 애니메이션 동안만 끕니다.
+    // 진행 중인 스크롤이 있으면 이미 'auto'로 바꿔 둔 상태이므로, 그 스크롤이 저장한 원래 값을 이어받습니다.
+    const root = document.documentElement;
+    const previousBehavior = activeScroll ? activeScroll.previousBehavior : root.style.scrollBehavior;
+    if (activeScroll) activeScroll.animation.cancel(); // 두 스크롤이 scrollTo를 두고 다투지 않도록
+    root.style.scrollBehavior = 'auto';
+
+    // 처음과 끝이 부드러운 곡선 (움직임 줄이기면 tween이 바로 목표 위치를 전달)
+    const scroll = {
+        previousBehavior,
+        animation: tween({
+            from: startPosition,
+            to: targetPosition,
+            duration,
+            easing: 'easeInOutQuad',
+            onUpdate: position => window.scrollTo(0, position)
+        })
+    };
+    activeScroll = scroll;
 
-    requestAnimationFrame(animation); // 애니메이션 시작
+    return scroll.animation.finished.then(completed => {
+        if (activeScroll !== scroll) return false; // 새 스크롤이 이어받음 (복원은 그쪽에서)
+        activeScroll = null;
+        root.style.scrollBehavior = previousBehavior; // 원래 설정 복원
+        return completed;
+    });
 }
 
 /** 
@@ -203,20 +281,62 @@ function smoothScrollTo(target, offset = 0, duration = 800) {
  * const id = generateId('model'); // "modal-1609459200000-abc123"
  */
 function generateId(prefix = 'id') {
-    return `${prefix}-${Data.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 }
 
 /**
- * 숫자를 천 단위로 쉼표를 추가하여 포맷팅합니다
+ * 숫자를 현재 언어에 맞게 포맷팅합니다
+ * 
+ * 자릿수 구분 기호는 언어마다 다르기 때문에(예: 1,234.5 / 1.234,5)
+ * Intl.NumberFormat에 맡깁니다. 언어를 생략하면 <html lang> 값을 사용합니다.
  * 
  * @param {number} num - 포맷팅할 숫자
+ * @param {number} decimals - 소수점 자릿수 (생략하면 숫자 그대로)
+ * @param {string} locale - 언어 코드 (생략하면 <html lang>)
  * @returns {string} 포맷된 문자열
  * 
  * 예시:
  * formatNumber(1000000); // "1,000,000"
+ * formatNumber(1234.5, 2); // "1,234.50"
+ * formatNumber(1234.5, 1, 'de'); // "1.234,5"
  */
-function formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+function formatNumber(num, decimals, locale = document.documentElement.lang || undefined) {
+    const hasDecimals = typeof decimals === 'number';
+    try {
+        return new Intl.NumberFormat(locale, {
+            minimumFractionDigits: hasDecimals ? decimals : 0,
+            maximumFractionDigits: hasDecimals ? decimals : 20
+        }).format(num);
+    } catch (error) {
+        // 잘못된 언어 코드면 브라우저 기본 언어로
+        return Number(num).toLocaleString();
+    }
+}
+
+/**
+ * 금액을 통화 형식으로 포맷팅합니다
+ * 
+ * 통화 기호와 위치, 소수점 자릿수는 언어와 통화에 맞게 Intl.NumberFormat이 정합니다.
+ * 정수 금액은 소수점 없이 표시합니다. ($10.00 대신 $10)
+ * 
+ * @param {number} amount - 금액
+ * @param {string} currency - ISO 통화 코드 (예: 'KRW', 'USD', 'JPY')
+ * @param {string} locale - 언어 코드 (생략하면 <html lang>)
+ * @returns {string} 포맷된 문자열
+ * 
+ * 예시:
+ * formatCurrency(12900, 'KRW', 'ko'); // "₩12,900"
+ * formatCurrency(9.6, 'USD', 'en'); // "$9.60"
+ */
+function formatCurrency(amount, currency, locale = document.documentElement.lang || undefined) {
+    const options = { style: 'currency', currency };
+    if (Number.isInteger(amount)) options.minimumFractionDigits = 0;
+    try {
+        return new Intl.NumberFormat(locale, options).format(amount);
+    } catch (error) {
+        console.error('Error formatting currency:', error);
+        return `${formatNumber(amount)} ${currency}`;
+    }
 }
 
 /**
@@ -231,6 +351,30 @@ function isMobile() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
 
+/**
+ * 방문자의 운영체제를 확인합니다
+ * 
+ * isMobile()은 모바일 여부만 알려주지만, 다운로드 버튼처럼
+ * "어느 스토어로 보낼지"를 정하려면 구체적인 OS가 필요합니다.
+ * 
+ * 참고: iPadOS 13부터는 iPad가 데스크톱 Safari(Macintosh)로 자신을 알리므로
+ * 터치 포인트 수로 한 번 더 구분합니다.
+ * 
+ * @returns {string} 'ios' | 'android' | 'macos' | 'windows' | 'linux' | 'unknown'
+ */
+function detectOS() {
+    const ua = navigator.userAgent || '';
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+
+    if (/android/i.test(ua)) return 'android';
+    if (/iPhone|iPad|iPod/i.test(ua)) return 'ios';
+    if (/Mac/i.test(platform) && navigator.maxTouchPoints > 1) return 'ios'; // iPadOS
+    if (/Mac/i.test(platform) || /Macintosh/i.test(ua)) return 'macos';
+    if (/Win/i.test(platform) || /Windows/i.test(ua)) return 'windows';
+    if (/Linux|X11|CrOS/i.test(platform) || /Linux|X11|CrOS/i.test(ua)) return 'linux';
+    return 'unknown';
+}
+
 /**
  * 터치 디바이스인지 확인합니다
  * 
@@ -263,6 +407,9 @@ function getViewportSize() {
  * 접근성 설정에서 "애니메이션 줄이기"를 켠 사용자를 위한 것입니다.
  * 멀미를 유발할 수 있는 애니메이션을 비활성화해야합니다.
  * 
+ * 페이지의 "움직임 줄이기" 버튼(a11y.js)이 <html data-motion>에 적용한 값이 OS 설정보다 우선합니다.
+ * 값이 페이지를 보는 중에도 바뀔 수 있으므로, 결과를 저장해 두지 말고 필요할 때마다 호출하세요.
+ * 
  * @returns {boolean} 애니메이션 감소를 선호하면 true
  * 
  * 예시:
@@ -273,6 +420,8 @@ function getViewportSize() {
  * }
  */
 function prefersReducedMotion() {
+    const { motion } = document.documentElement.dataset;
+    if (motion) return motion === 'reduce';
     return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
@@ -302,6 +451,29 @@ function isVisible(element) {
     return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
 }
 
+/**
+ * 컨테이너 안에서 키보드로 포커스할 수 있는 요소들을 반환합니다
+ * 
+ * 모바일 메뉴, 모달처럼 포커스를 가둬야(focus trap) 하는 곳에서 사용합니다.
+ * 숨겨진 요소와 비활성화된 요소는 제외합니다.
+ * 
+ * @param {Element} container - 검색할 컨테이너
+ * @returns {Element[]} 포커스 가능한 요소 배열 (문서 순서)
+ */
+function getFocusableElements(container) {
+    if (!container) return [];
+    const selector = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+    return Array.from(container.querySelectorAll(selector))
+        .filter(el => isVisible(el) && !el.closest('[hidden], [inert]'));
+}
+
 /**
  * 지정된 시간만큼 대기하는 Promise를 반환합니다
  * 
@@ -322,63 +494,477 @@ function wait(ms) {
 }
 
 /**
- * 요소의 속성을 애니메이션합니다
- * 
- * CSS transition 없이 JavaScript로 부드러운 애니메이션을 만듭니다.
- * 
- * @param {Element} element - 애니메이션할 요소
- * @param {Object} properties - 애니메이션할 속성들 {opacity: 1, left: '100px'}
- * @param {number} duration - 지속 시간 (밀리초)
- * @returns {Promise} 애니메이션 완료 시 resolve되는 Promise
- */
-function animate(element, properties, duration = 300) {
-    return new Promise(resolve => {
-        // 애니메이션 감소 설정이면 즉시 완료
-        if (!element || prefersReducedMotion()) {
-            Object.keys(properties).forEach(prop => {
-                element.style[prop] = properties[prop];
-            });
-            resolve();
+ * 이징 함수 모음
+ *
+ * 진행률(0~1)을 받아 곡선이 적용된 진행률을 반환합니다.
+ * animate(), tween(), timeline(), smoothScrollTo()가 모두 이 목록을 씁니다.
+ * 옵션의 easing에는 이름('easeOutCubic') 또는 함수를 넘길 수 있습니다.
+ *
+ * - linear: 일정한 속도
+ * - easeIn*: 천천히 시작해서 빨라짐
+ * - easeOut*: 빠르게 시작해서 천천히 멈춤 (화면에 들어오는 요소, 숫자 카운터)
+ * - easeInOut*: 처음과 끝이 부드러움 (스크롤)
+ * - easeOutBack: 목표를 살짝 넘었다가 돌아옴 (팝업, 버튼)
+ */
+const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+/**
+ * 이징 옵션을 함수로 바꿉니다 (모르는 이름이면 경고 후 easeOutCubic)
+ */
+function resolveEasing(easing = 'easeOutCubic') {
+    if (typeof easing === 'function') return easing;
+    if (EASINGS[easing]) return EASINGS[easing];
+
+    console.warn(`[animate] Unknown easing "${easing}", using easeOutCubic`);
+    return EASINGS.easeOutCubic;
+}
+
+/**
+ * 애니메이션 루프를 실행하고 제어 핸들을 반환합니다 (animate, tween, timeline 공용)
+ *
+ * 핸들:
+ * - finished: 끝나면 resolve되는 Promise (끝까지 재생/finish()면 true, cancel()이면 false)
+ * - cancel(): 지금 상태에서 멈춤
+ * - finish(): 바로 마지막 상태로 이동
+ * - then(): finished와 같음 (await animate(...)를 그대로 쓸 수 있도록)
+ *
+ * 움직임 줄이기 설정이면 첫 프레임을 기다리지 않고 바로 마지막 상태를 적용합니다.
+ * 재생 도중에 설정이 켜지면 다음 프레임에 마지막 상태로 이동합니다.
+ *
+ * @param {number} duration - 전체 재생 시간 (밀리초, delay 포함)
+ * @param {Function} update - 매 프레임 호출 (경과 시간) => void, 마지막에는 경과 시간 = duration
+ * @returns {Object} 애니메이션 핸들
+ */
+function runAnimation(duration, update) {
+    let frame = null;
+    let startTime = null;
+    let isDone = false;
+    let resolveFinished;
+    const finished = new Promise(resolve => { resolveFinished = resolve; });
+
+    const end = (completed) => {
+        if (isDone) return;
+        isDone = true;
+        cancelAnimationFrame(frame);
+        if (completed) update(duration);
+        resolveFinished(completed);
+    };
+
+    const step = (currentTime) => {
+        if (startTime === null) startTime = currentTime;
+        const elapsed = currentTime - startTime;
+
+        if (elapsed >= duration || prefersReducedMotion()) {
+            end(true);
             return;
         }
+        update(elapsed);
+        frame = requestAnimationFrame(step);
+    };
 
-        const startValues = {}; // 시작 값 저장
-        const endValues = properties // 목표 값
+    const handle = {
+        finished,
+        cancel: () => end(false),
+        finish: () => end(true),
+        then: (onFulfilled, onRejected) => finished.then(onFulfilled, onRejected)
+    };
 
-        // 각 속성의 현재 값을 가져옴
-        Object.keys(properties).forEach(prop => {
-            startValues[prop] = parseFloat(getComputedStyle(element)[prop]) || 0;
-        });
+    if (duration <= 0 || prefersReducedMotion()) {
+        end(true);
+    } else {
+        frame = requestAnimationFrame(step);
+    }
+    return handle;
+}
+
+/**
+ * 숫자 하나를 시간에 따라 바꿉니다
+ *
+ * 스타일이 아닌 값(숫자 카운터, 가격, 스크롤 위치)을 애니메이션할 때 사용합니다.
+ *
+ * @param {Object} options
+ * @param {number} options.from - 시작 값 (기본 0)
+ * @param {number} options.to - 목표 값 (기본 1)
+ * @param {number} options.duration - 지속 시간 (밀리초, 기본 300)
+ * @param {number} options.delay - 시작 전 대기 시간 (밀리초, 기본 0)
+ * @param {string|Function} options.easing - 이징 (기본 'easeOutCubic')
+ * @param {Function} options.onUpdate - 매 프레임 (현재 값, 진행률 0~1) => void
+ * @returns {Object} 애니메이션 핸들 (runAnimation 참고)
+ *
+ * 예시:
+ * const counter = tween({ to: 1500, duration: 2000, onUpdate: value => { el.textContent = Math.floor(value); } });
+ * counter.cancel();
+ */
+function tween({ from = 0, to = 1, duration = 300, delay = 0, easing, onUpdate = () => {} } = {}) {
+    const ease = resolveEasing(easing);
+
+    return runAnimation(delay + duration, elapsed => {
+        if (elapsed < delay) return;
+        const progress = duration > 0 ? Math.min((elapsed - delay) / duration, 1) : 1;
+        onUpdate(from + (to - from) * ease(progress), progress);
+    });
+}
+
+// 단위 없이 숫자만 쓰는 스타일 속성 (나머지는 숫자만 주면 px)
+const UNITLESS_PROPERTIES = ['opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flexGrow', 'flexShrink', 'order'];
+
+// transform 함수별 기본값 (시작/목표 한쪽에만 있는 함수는 이 값에서 출발하거나 이 값으로 돌아감)
+const TRANSFORM_IDENTITY = { scale: 1, scaleX: 1, scaleY: 1 };
+
+/**
+ * "12.5px", "-3rem", "45deg", 0.5 같은 값을 {value, unit}으로 나눕니다
+ *
+ * @returns {Object|null} 숫자로 시작하지 않으면 null
+ */
+function parseUnitValue(input) {
+    if (typeof input === 'number') return { value: input, unit: '' };
+
+    const match = String(input).trim().match(/^(-?\d*\.?\d+(?:e-?\d+)?)([a-z%]*)$/i);
+    return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * '#6366f1', '#fff', 'rgb(99, 102, 241)', 'rgba(0, 0, 0, 0.5)'을 [r, g, b, a]로 바꿉니다
+ *
+ * 색 이름(red 등)은 getComputedStyle을 거친 시작 값에서만 지원합니다. (브라우저가 rgb()로 돌려줌)
+ *
+ * @returns {Array|null} 색이 아니면 null
+ */
+function parseColor(input) {
+    const text = String(input).trim();
+
+    const hex = text.match(/^#([\da-f]{3}|[\da-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+    }
 
-        let startTime = null;
+    const rgb = text.match(/^rgba?\(([^)]+)\)$/i);
+    if (rgb) {
+        const parts = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return [parts[0], parts[1], parts[2], parts[3] === undefined ? 1 : parts[3]];
+    }
+    return null;
+}
+
+/**
+ * 'translateY(20px) scale(0.95)'를 [{name, args: [{value, unit}]}]로 나눕니다
+ */
+function parseTransform(input) {
+    const text = String(input || '').trim();
+    if (!text || text === 'none') return [];
+
+    return [...text.matchAll(/(\w+)\(([^)]*)\)/g)].map(([, name, args]) => ({
+        name,
+        args: args.split(/[\s,]+/).filter(Boolean).map(arg => parseUnitValue(arg) || { value: 0, unit: '' })
+    }));
+}
+
+/**
+ * getComputedStyle이 돌려주는 2D 행렬 matrix(a, b, c, d, e, f)를 이동/회전/크기 함수로 나눕니다
+ *
+ * 인라인 transform이 없는 요소는 시작 값이 항상 matrix()라서, 목표 값의 translateY() 등과 짝을 지으려면 필요합니다.
+ * 기울이기(skew)는 무시합니다.
+ *
+ * @param {Array} args - matrix()의 인자 [{value, unit}] 6개
+ * @returns {Array|null} [{name, args}] (행렬이 뒤집혀 나눌 수 없으면 null)
+ */
+function decomposeTransformMatrix(args) {
+    const [a, b, c, d, e, f] = args.map(arg => arg.value);
+    const scaleX = Math.hypot(a, b);
+    if (!scaleX) return null;
+
+    return [
+        { name: 'translateX', args: [{ value: e, unit: 'px' }] },
+        { name: 'translateY', args: [{ value: f, unit: 'px' }] },
+        { name: 'rotate', args: [{ value: Math.atan2(b, a) * 180 / Math.PI, unit: 'deg' }] },
+        { name: 'scaleX', args: [{ value: scaleX, unit: '' }] },
+        { name: 'scaleY', args: [{ value: (a * d - b * c) / scaleX, unit: '' }] }
+    ];
+}
+
+/**
+ * transform 함수 인자의 기본값 (이동/회전 0, 크기 1, 행렬은 단위 행렬)
+ */
+function getTransformIdentity(name, index) {
+    if (name === 'matrix') return [1, 0, 0, 1, 0, 0][index];
+    if (name === 'matrix3d') return index % 5 === 0 ? 1 : 0;
+    return TRANSFORM_IDENTITY[name] !== undefined ? TRANSFORM_IDENTITY[name] : 0;
+}
 
-        // 애니메이션 프레임마다 실행
-        function animationStep(currentTime) {
-            if (!startTime) startTime = currentTime;
-            const timeElapsed = currentTime - startTime;
-            const progress = Math.min(timeElapsed / duration, 1); // 0~1 사이 값
+/**
+ * 서로 다른 길이 단위를 px을 거쳐 바꿉니다 (px, rem, em만 지원)
+ *
+ * @returns {number|null} 바꿀 수 없으면 null
+ */
+function convertLength(value, fromUnit, toUnit, element) {
+    if (fromUnit === toUnit || value === 0) return value;
+
+    const rootSize = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+    const fontSize = parseFloat(getComputedStyle(element).fontSize) || rootSize;
+    const toPx = { px: 1, rem: rootSize, em: fontSize };
 
-            // ease-out 이징 적용 (점점 느려짐)
-            const easedProgress = 1 - Math.pow(1 - progress, 3);
+    if (!toPx[fromUnit] || !toPx[toUnit]) return null;
+    return value * toPx[fromUnit] / toPx[toUnit];
+}
+
+/**
+ * 속성 하나의 시작 값과 목표 값을 받아, 진행률에 따라 CSS 값을 만드는 함수를 반환합니다
+ *
+ * @returns {Function|null} (진행률) => CSS 문자열. 보간할 수 없으면 null
+ */
+function createInterpolator(element, prop, from, to) {
+    const mix = (a, b, t) => a + (b - a) * t;
+
+    if (prop === 'transform') {
+        let start = parseTransform(from);
+        const end = parseTransform(to);
+
+        // 계산된 시작 값(matrix)을 목표 값의 함수와 짝을 지을 수 있게 나눔
+        const matrix = start.find(fn => fn.name === 'matrix' || fn.name === 'matrix3d');
+        if (matrix && !end.some(fn => fn.name === matrix.name)) {
+            const parts = matrix.name === 'matrix' && start.length === 1 ? decomposeTransformMatrix(matrix.args) : null;
+            if (!parts) return null; // 3D 행렬 등은 [시작, 목표]로 직접 지정해야 함
+            start = parts;
+        }
 
-            // 각 속성을 부드럽게 변경
-            Object.keys(properties).forEach(prop => {
-                const startValue = startValues[prop];
-                const endValue = parseFloat(endValues[prop]);
-                const currentValue = startValue + (endValue - startValue) * easedProgress;
-                element.style[prop] = currentValue + (prop.includes('opacity') ? '' : 'px');
+        const names = [...new Set([...end.map(fn => fn.name), ...start.map(fn => fn.name)])];
+
+        // 같은 함수끼리 짝을 지음. 한쪽에만 있으면 기본값(이동/회전 0, 크기 1)과 짝을 지음
+        const pairs = names.map(name => {
+            const a = start.find(fn => fn.name === name);
+            const b = end.find(fn => fn.name === name);
+            const template = (b || a).args;
+            const args = template.map((arg, i) => {
+                const startArg = a && a.args[i] ? a.args[i] : { value: getTransformIdentity(name, i), unit: arg.unit };
+                const endArg = b && b.args[i] ? b.args[i] : { value: getTransformIdentity(name, i), unit: arg.unit };
+                const startValue = convertLength(startArg.value, startArg.unit || endArg.unit, endArg.unit || startArg.unit, element);
+                return { from: startValue === null ? endArg.value : startValue, to: endArg.value, unit: endArg.unit || startArg.unit };
             });
+            return { name, args };
+        });
+
+        return t => pairs
+            .map(({ name, args }) => `${name}(${args.map(arg => `${mix(arg.from, arg.to, t)}${arg.unit}`).join(', ')})`)
+            .join(' ');
+    }
+
+    const startColor = parseColor(from);
+    const endColor = parseColor(to);
+    if (startColor && endColor) {
+        return t => {
+            const [r, g, b, a] = startColor.map((channel, i) => mix(channel, endColor[i], t));
+            return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${Math.round(a * 1000) / 1000})`;
+        };
+    }
 
-            // 애니메이션이 끝나지 않았으면 계속 실행
-            if (progress < 1) {
-                requestAnimationFrame(animationStep);
-            } else {
-                resolve(); // 완료되면 Promise resolve
+    const end = parseUnitValue(to);
+    if (!end) return null;
+    const start = parseUnitValue(from) || { value: 0, unit: end.unit }; // 'auto' 등은 이전처럼 0에서 시작
+
+    const unit = end.unit || (UNITLESS_PROPERTIES.includes(prop) ? '' : 'px');
+    const startValue = start.unit === unit ? start.value : convertLength(start.value, start.unit || 'px', unit, element);
+    if (startValue === null) return null;
+
+    return t => `${mix(startValue, end.value, t)}${unit}`;
+}
+
+/**
+ * animate()와 timeline()의 한 단계를 만듭니다
+ *
+ * 시작 값은 만들 때가 아니라 실제로 시작할 때(delay가 지난 첫 프레임) 읽습니다.
+ * 타임라인에서 앞 단계가 같은 속성을 바꿨으면 그 결과에서 이어집니다.
+ *
+ * @returns {Object} {delay, duration, update(단계 안에서의 경과 시간)}
+ */
+function createAnimationStep(element, properties, options = {}) {
+    const { duration = 300, delay = 0, easing } = typeof options === 'number' ? { duration: options } : options;
+    const ease = resolveEasing(easing);
+    let interpolators = null;
+    let isDone = false; // 끝난 단계는 타임라인의 뒤 단계가 같은 속성을 바꿔도 덮어쓰지 않음
+
+    const setup = () => {
+        const computed = getComputedStyle(element);
+
+        interpolators = Object.keys(properties).map(prop => {
+            // [시작, 목표]로 주면 시작 값을 직접 지정
+            const [from, to] = Array.isArray(properties[prop])
+                ? properties[prop]
+                : [element.style[prop] || computed[prop], properties[prop]]; // 인라인 값이 있으면 원래 단위 그대로
+
+            const interpolate = createInterpolator(element, prop, from, to);
+            if (!interpolate) {
+                console.warn(`[animate] Cannot interpolate "${prop}" from "${from}" to "${to}", jumping to the end value`);
             }
+            return { prop, to, interpolate };
+        });
+    };
+
+    return {
+        delay,
+        duration,
+        update(elapsed) {
+            if (isDone || elapsed < delay) return;
+            if (!interpolators) setup();
+
+            const progress = duration > 0 ? Math.min((elapsed - delay) / duration, 1) : 1;
+            const eased = ease(progress);
+            isDone = progress === 1;
+
+            interpolators.forEach(({ prop, to, interpolate }) => {
+                // 마지막 프레임은 목표 값을 그대로 (단위, 색 표기를 넘긴 그대로 유지)
+                element.style[prop] = progress === 1 || !interpolate ? normalizeEndValue(prop, to) : interpolate(eased);
+            });
         }
+    };
+}
 
-        requestAnimationFrame(animationStep); // 애니메이션 시작
-    });
+/**
+ * 목표 값이 숫자면 단위를 붙입니다 (opacity 등은 그대로)
+ */
+function normalizeEndValue(prop, value) {
+    if (Array.isArray(value)) value = value[1];
+    return typeof value === 'number' && !UNITLESS_PROPERTIES.includes(prop) ? `${value}px` : String(value);
+}
+
+/**
+ * 요소의 스타일 속성을 애니메이션합니다
+ *
+ * CSS transition 없이 JavaScript로 부드러운 애니메이션을 만듭니다.
+ *
+ * 지원하는 값:
+ * - 숫자와 단위: px, %, rem, em, deg, vh 등 (숫자만 주면 px, opacity 등은 단위 없음)
+ *   시작 값과 목표 값의 단위가 다르면 px/rem/em끼리만 바꿔서 이어 줌
+ *   (그 밖의 조합은 시작 값을 [시작, 목표] 배열로 직접 지정)
+ * - 색: '#6366f1', '#fff', 'rgb()', 'rgba()' (color, backgroundColor, borderColor 등)
+ * - transform: 'translateY(20px) scale(0.95)' 같은 함수 목록
+ *   한쪽에만 있는 함수는 기본값(이동/회전 0, 크기 1)에서 출발하거나 기본값으로 돌아감
+ *   인라인 값이 없어 계산된 2D 행렬(matrix)에서 시작하면 이동/회전/크기로 나눠서 이어 줌 (3D는 [시작, 목표]로 지정)
+ *
+ * @param {Element} element - 애니메이션할 요소
+ * @param {Object} properties - 목표 값 {opacity: 1, left: '100px'} 또는 [시작, 목표] {transform: ['scale(0.9)', 'scale(1)']}
+ * @param {number|Object} options - 지속 시간(밀리초) 또는 {duration, delay, easing}
+ * @returns {Object} 애니메이션 핸들 {finished, cancel(), finish()}. await로 끝날 때까지 기다릴 수 있음
+ *
+ * 움직임 줄이기 설정이면 바로 최종 값을 적용합니다. (도중에 켜져도 다음 프레임에 최종 값으로)
+ *
+ * 예시:
+ * await animate(card, { opacity: 1, transform: 'translateY(0px)' }, { duration: 400, easing: 'easeOutBack' });
+ *
+ * const fade = animate(banner, { backgroundColor: '#6366f1' }, 600);
+ * fade.cancel(); // 지금 색에서 멈춤
+ */
+function animate(element, properties, options = 300) {
+    if (!element) return runAnimation(0, () => {});
+
+    const step = createAnimationStep(element, properties, options);
+    return runAnimation(step.delay + step.duration, step.update);
+}
+
+/**
+ * 여러 애니메이션을 순서대로, 또는 겹쳐서 재생합니다
+ *
+ * add()로 단계를 쌓은 뒤 play()로 재생합니다. 모든 단계가 하나의 프레임 루프로 움직입니다.
+ *
+ * 단계의 시작 시점 (position):
+ * - 생략: 지금까지 쌓은 타임라인이 끝난 뒤
+ * - 숫자: 타임라인 시작 기준 절대 시간 (밀리초)
+ * - '-=200' / '+=100': 타임라인이 끝나는 시점 기준으로 당기거나 미룸 (겹치기, 간격 두기)
+ * - '<': 바로 앞 단계와 동시에 시작
+ *
+ * @param {Object} defaults - 모든 단계에 적용할 기본 옵션 {duration, easing}
+ * @returns {Object} {add(), call(), play(), duration}
+ *
+ * 예시:
+ * const intro = timeline({ easing: 'easeOutCubic' })
+ *     .add(title, { opacity: [0, 1], transform: ['translateY(24px)', 'translateY(0px)'] }, { duration: 500 })
+ *     .add(subtitle, { opacity: [0, 1] }, { duration: 400 }, '-=300')
+ *     .add(buttons, { opacity: [0, 1] }, { duration: 400 }, '<')
+ *     .play();
+ * await intro;
+ */
+function timeline(defaults = {}) {
+    const steps = [];
+    let previousStart = 0;
+
+    const resolvePosition = (position) => {
+        const end = api.duration;
+        if (position === undefined) return end;
+        if (typeof position === 'number') return position;
+        if (position === '<') return previousStart;
+
+        const match = String(position).match(/^([+-])=(\d+)$/);
+        if (!match) {
+            console.warn(`[timeline] Invalid position "${position}", appending to the end`);
+            return end;
+        }
+        return Math.max(0, end + (match[1] === '-' ? -1 : 1) * Number(match[2]));
+    };
+
+    const push = (step, position) => {
+        const offset = resolvePosition(position);
+        steps.push({ offset, step });
+        previousStart = offset;
+    };
+
+    const api = {
+        /**
+         * 애니메이션 단계를 추가합니다 (animate()와 같은 인자 + 시작 시점)
+         */
+        add(element, properties, options = {}, position) {
+            const stepOptions = typeof options === 'number' ? { duration: options } : options;
+            if (element) push(createAnimationStep(element, properties, { ...defaults, ...stepOptions }), position);
+            return api;
+        },
+
+        /**
+         * 지정한 시점에 함수를 한 번 실행합니다 (클래스 추가, 카운터 시작 등)
+         */
+        call(callback, position) {
+            let isCalled = false;
+            push({
+                delay: 0,
+                duration: 0,
+                update() {
+                    if (isCalled) return;
+                    isCalled = true;
+                    callback();
+                }
+            }, position);
+            return api;
+        },
+
+        /**
+         * 전체 재생 시간 (밀리초)
+         */
+        get duration() {
+            return steps.reduce((max, { offset, step }) => Math.max(max, offset + step.delay + step.duration), 0);
+        },
+
+        /**
+         * 재생을 시작합니다
+         *
+         * @returns {Object} 애니메이션 핸들 (animate()와 같음)
+         */
+        play() {
+            return runAnimation(api.duration, elapsed => {
+                steps.forEach(({ offset, step }) => {
+                    if (elapsed >= offset) step.update(elapsed - offset);
+                });
+            });
+        }
+    };
+
+    return api;
 }
 
 /**
@@ -492,6 +1078,12 @@ const storage = {
  * // URL이 https://example.com?name=John&age=30 일 때
  * urlParams.get('name'); // "John"
  * urlParams.set('city', 'Seoul'); // URL에 &city=Seoul 추가
+ * urlParams.set('billing', 'yearly', { replace: true }); // 뒤로 가기 기록을 남기지 않고 변경
+ * urlParams.setHash('#help', { state: { route: 'help' } }); // 해시 변경 (hashchange는 발생하지 않음)
+ * urlParams.getHash('#%ED%8C%80'); // "팀" (잘못된 형식이면 null)
+ * 
+ * 주소를 바꾸는 메서드는 모두 update()를 거칩니다.
+ * 바뀐 주소가 지금과 같으면 기록을 남기지 않으므로, 같은 버튼을 여러 번 눌러도 뒤로 가기가 쌓이지 않습니다.
  */
 const urlParams = {
     /**
@@ -504,20 +1096,78 @@ const urlParams = {
 
     /**
      * URL 파라미터를 설정합니다 (페이지 새로고침 없이)
+     * 
+     * @param {Object} options - update()의 옵션 ({replace, state})
      */
-    set(param, value) {
+    set(param, value, options = {}) {
         const url = new URL(window.location);
         url.searchParams.set(param, value);
-        window.history.pushState({}, '', url); // URL 변경 (새로고침 없이)
+        return this.update(url, options);
     },
 
     /**
      * URL 파라미터를 제거합니다
+     * 
+     * @param {Object} options - update()의 옵션 ({replace, state})
      */
-    remove(param) {
+    remove(param, options = {}) {
         const url = new URL(window.location);
         url.searchParams.delete(param);
-        window.history.pushState({}, '', url);
+        return this.update(url, options);
+    },
+
+    /**
+     * URL 해시(#...)를 바꿉니다
+     * 
+     * 빈 문자열을 넘기면 해시를 지웁니다. (주소 끝에 #만 남지 않음)
+     * 
+     * @param {string} hash - '#help' 또는 'help' 또는 ''
+     * @param {Object} options - update()의 옵션 ({replace, state})
+     */
+    setHash(hash, options = {}) {
+        const url = new URL(window.location);
+        url.hash = hash;
+        return this.update(url, options);
+    },
+
+    /**
+     * URL 해시에서 # 뒤의 이름을 디코딩해 반환합니다
+     * 
+     * 주소창에 직접 입력한 '#%' 같은 잘못된 해시는 decodeURIComponent가 URIError를 던지므로
+     * 해시가 없는 것으로 봅니다.
+     * 
+     * @param {string} hash - '#help' 형식 (기본값: 현재 주소의 해시)
+     * @returns {string|null} 'help' (해시가 없거나 잘못된 형식이면 null)
+     */
+    getHash(hash = window.location.hash) {
+        if (!hash || hash.length < 2) return null;
+        try {
+            return decodeURIComponent(hash.slice(1));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 주소를 바꿉니다 (페이지 새로고침 없이)
+     * 
+     * @param {URL|string} url - 새 주소
+     * @param {Object} options
+     * @param {boolean} options.replace - true면 현재 기록을 바꿈 (뒤로 가기 기록이 생기지 않음)
+     * @param {*} options.state - history.state에 저장할 값 (popstate에서 다시 받음)
+     *                             replace일 때 생략하면 현재 기록의 state를 유지
+     * @returns {boolean} 주소가 실제로 바뀌었으면 true
+     */
+    update(url, { replace = false, state } = {}) {
+        const next = new URL(url, window.location.href);
+        if (next.href === window.location.href) return false; // 같은 주소면 기록을 쌓지 않음
+
+        if (replace) {
+            window.history.replaceState(state === undefined ? window.history.state : state, '', next);
+        } else {
+            window.history.pushState(state === undefined ? null : state, '', next);
+        }
+        return true;
     },
 
     /**
@@ -542,18 +1192,25 @@ if (typeof module !== 'undefined' && module.exports) {
         getElement,
         addEventListenerSafe,
         removeEventListnerSafe,
+        createListenerRegistry,
         isElementInViewport,
         smoothScrollTo,
         generateId,
         formatNumber,
+        formatCurrency,
         isMobile,
+        detectOS,
         isTouchDevice,
         getViewportSize,
         prefersReducedMotion,
         getScrollPosition,
         isVisible,
+        getFocusableElements,
         wait,
+        EASINGS,
+        tween,
         animate,
+        timeline,
         copyToClipboard,
         storage,
         urlParams
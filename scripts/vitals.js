@@ -0,0 +1,332 @@
+// ===== WEB VITALS =====
+// 실제 방문자의 브라우저에서 로딩/반응 속도(Web Vitals)를 재서 서버로 보냅니다.
+// 애니메이션 코드가 저사양 휴대폰에서 느려지게 하는지 확인하기 위한 모듈입니다.
+
+/**
+ * 성능 측정 설정
+ *
+ * - endpoint: 측정 결과를 받을 서버 주소 (POST, JSON)
+ * - debug: true면 서버로 보내지 않고 콘솔 표로만 출력 (URL에 ?debug=vitals 로도 켤 수 있음)
+ * - inpThreshold: 이보다 짧은 상호작용은 기록하지 않음 (밀리초, 브라우저 최소값 16)
+ */
+const VITALS_CONFIG = {
+    endpoint: '/api/analytics/vitals',
+    debug: false,
+    inpThreshold: 40
+};
+
+/**
+ * 지표별 기준 [좋음 상한, 개선 필요 상한] (web.dev 기준)
+ *
+ * 첫 값 이하면 'good', 두 번째 값 이하면 'needs-improvement', 넘으면 'poor'
+ * CLS는 점수(단위 없음), 나머지는 밀리초
+ */
+const VITALS_THRESHOLDS = {
+    ttfb: [800, 1800],
+    fcp: [1800, 3000],
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    tbt: [200, 600]
+};
+
+// 이 시간(밀리초)보다 긴 작업이 메인 스레드를 막은 것으로 봄 (Long Tasks API 기준)
+const LONG_TASK_BUDGET = 50;
+
+/**
+ * WebVitals 클래스
+ *
+ * 역할:
+ * - PerformanceObserver로 지표 수집 (buffered: 이 모듈이 만들어지기 전에 일어난 기록도 받음)
+ *   - TTFB: 서버가 첫 바이트를 보내기까지 (navigation)
+ *   - FCP: 처음으로 글자/이미지가 그려진 시점 (paint)
+ *   - LCP: 화면에서 가장 큰 요소가 그려진 시점 (첫 클릭/키 입력 뒤로는 바뀌지 않음)
+ *   - CLS: 레이아웃이 예고 없이 밀린 정도 (1초 간격, 최대 5초 묶음 중 가장 큰 값)
+ *   - INP: 클릭/키 입력 후 화면이 반응하기까지 (상호작용 50번당 가장 느린 1번을 뺀 최댓값)
+ *   - Long Tasks: 50ms가 넘는 작업 수와 그만큼 막힌 시간 합계(TBT)
+ * - 측정값마다 화면 크기, 기기 종류, 움직임 줄이기 여부, CPU 코어 수/메모리(지원 브라우저만)를 붙임
+ * - 페이지를 떠나거나 숨길 때(pagehide, visibilitychange) 요약을 한 번에 전송
+ *   (다시 돌아와서 값이 바뀌었으면 다음에 숨길 때 같은 id로 다시 보냄 -> 서버는 마지막 값 사용)
+ * - 서버 전송은 통계 수집에 동의한 경우만 (consent.js의 'analytics'). 측정값에 개인 정보는 없음
+ *
+ * 전송하는 요약:
+ * {id, page, metrics: {lcp: {value, rating}, ...}, longTasks: {count, blocking}, context: {...}, sentAt}
+ */
+class WebVitals {
+    /**
+     * @param {Object} config - 성능 측정 설정 (기본값: VITALS_CONFIG)
+     */
+    constructor(config = VITALS_CONFIG) {
+        this.config = {
+            ...config,
+            debug: config.debug || urlParams.get('debug') === 'vitals'
+        };
+        this.id = generateId('pv'); // 이 페이지 방문의 id (다시 보낼 때 서버가 덮어쓰도록)
+        this.metrics = {}; // 지표 이름 -> 값
+        this.longTasks = { count: 0, blocking: 0 };
+        this.clsWindow = { value: 0, start: 0, last: 0 }; // 지금 묶고 있는 레이아웃 이동
+        this.interactions = new Map(); // interactionId -> 가장 긴 처리 시간
+        this.isLcpFinal = false;
+        this.lcpElement = null; // LCP 요소 (예: "img.team-photo")
+        this.lastReport = null; // 마지막으로 보낸 요약 (JSON, 바뀌지 않았으면 다시 보내지 않음)
+        this.observers = [];
+        this.listeners = createListenerRegistry();
+
+        this.handleInput = this.handleInput.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (typeof PerformanceObserver === 'undefined') return;
+
+        this.observe('navigation', entries => this.handleNavigation(entries));
+        this.observe('paint', entries => this.handlePaint(entries));
+        this.observe('largest-contentful-paint', entries => this.handleLcp(entries));
+        this.observe('event', entries => this.handleEvents(entries), { durationThreshold: this.config.inpThreshold });
+
+        // 이동/긴 작업이 한 번도 없었던 것도 결과이므로 0부터 시작 (지원하지 않는 브라우저는 빼고 보냄)
+        if (this.observe('layout-shift', entries => this.handleLayoutShift(entries))) this.metrics.cls = 0;
+        if (this.observe('longtask', entries => this.handleLongTasks(entries))) this.metrics.tbt = 0;
+
+        // LCP는 첫 입력 이후의 변화를 세지 않음 (스크롤 없이 누른 뒤 펼쳐진 요소 등)
+        this.listeners.add(document, 'pointerdown', this.handleInput, { capture: true, once: true });
+        this.listeners.add(document, 'keydown', this.handleInput, { capture: true, once: true });
+
+        this.listeners.add(window, 'pagehide', this.handlePageHide);
+        this.listeners.add(document, 'visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * 지원하는 기록 종류만 감시합니다
+     *
+     * @param {string} type - 기록 종류 (PerformanceObserver.supportedEntryTypes)
+     * @param {Function} callback - (기록 목록) => void
+     * @param {Object} options - observe()에 추가로 넘길 옵션
+     * @returns {boolean} 감시를 시작했으면 true
+     */
+    observe(type, callback, options = {}) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return false;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return true;
+        } catch (error) {
+            console.warn(`[Vitals] Cannot observe "${type}":`, error);
+            return false;
+        }
+    }
+
+    handleNavigation([entry]) {
+        if (entry && entry.responseStart > 0) this.metrics.ttfb = entry.responseStart;
+    }
+
+    handlePaint(entries) {
+        const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+        if (fcp) this.metrics.fcp = fcp.startTime;
+    }
+
+    handleLcp(entries) {
+        if (this.isLcpFinal || !entries.length) return;
+
+        const entry = entries[entries.length - 1]; // 가장 최근 후보가 가장 큼
+        this.metrics.lcp = entry.startTime;
+        this.lcpElement = WebVitals.describeElement(entry.element);
+    }
+
+    handleInput() {
+        this.isLcpFinal = true;
+    }
+
+    /**
+     * 레이아웃 이동을 묶어서 CLS를 계산합니다
+     *
+     * 앞 이동과 1초 이내이고 묶음이 5초를 넘지 않으면 같은 묶음에 더하고, 아니면 새 묶음을 시작합니다.
+     * CLS는 지금까지 묶음 중 가장 큰 합계입니다.
+     * 사용자가 입력한 직후(0.5초 이내)의 이동은 예상한 이동이므로 세지 않습니다.
+     */
+    handleLayoutShift(entries) {
+        entries.forEach(entry => {
+            if (entry.hadRecentInput) return;
+
+            const current = this.clsWindow;
+            if (current.value && entry.startTime - current.last < 1000 && entry.startTime - current.start < 5000) {
+                current.value += entry.value;
+            } else {
+                current.value = entry.value;
+                current.start = entry.startTime;
+            }
+            current.last = entry.startTime;
+
+            this.metrics.cls = Math.max(this.metrics.cls, current.value);
+        });
+    }
+
+    /**
+     * 상호작용(클릭, 탭, 키 입력)별 처리 시간을 모아 INP를 계산합니다
+     *
+     * 한 번의 클릭에도 pointerdown/pointerup/click 기록이 여러 개 오므로 interactionId로 묶어 가장 긴 값을 씁니다.
+     */
+    handleEvents(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return; // scroll, mousemove 등 상호작용이 아닌 이벤트
+
+            const previous = this.interactions.get(entry.interactionId) || 0;
+            this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+        });
+
+        const durations = [...this.interactions.values()].sort((a, b) => b - a);
+        if (!durations.length) return;
+
+        // 50번에 1번 정도의 유난히 느린 상호작용은 빼고 봄 (98번째 백분위수 근사)
+        this.metrics.inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }
+
+    handleLongTasks(entries) {
+        entries.forEach(entry => {
+            this.longTasks.count += 1;
+            this.longTasks.blocking += Math.max(0, entry.duration - LONG_TASK_BUDGET);
+        });
+        this.metrics.tbt = this.longTasks.blocking;
+    }
+
+    /**
+     * 값이 기준에서 어디쯤인지 반환합니다
+     *
+     * @param {string} name - 지표 이름
+     * @param {number} value - 값
+     * @returns {string} 'good' | 'needs-improvement' | 'poor'
+     */
+    static rate(name, value) {
+        const [good, poor] = VITALS_THRESHOLDS[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * 요소를 짧게 표시합니다 (LCP 요소가 무엇이었는지 확인용, 예: "img.team-photo")
+     */
+    static describeElement(element) {
+        if (!element) return null;
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        return `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${className ? `.${className}` : ''}`;
+    }
+
+    /**
+     * 측정값에 붙이는 환경 정보
+     *
+     * 보낼 때마다 새로 계산합니다. (화면 회전, 움직임 줄이기 토글은 방문 중에도 바뀜)
+     */
+    getContext() {
+        const viewport = getViewportSize();
+        let device = 'desktop';
+        if (isMobile()) device = 'mobile';
+        else if (isTouchDevice()) device = 'touch';
+
+        const context = {
+            viewport: `${viewport.width}x${viewport.height}`,
+            device,
+            reducedMotion: prefersReducedMotion()
+        };
+
+        // 저사양 기기 구분용 (지원하는 브라우저만)
+        if (navigator.hardwareConcurrency) context.cpuCores = navigator.hardwareConcurrency;
+        if (navigator.deviceMemory) context.memory = navigator.deviceMemory;
+        if (navigator.connection && navigator.connection.effectiveType) context.connection = navigator.connection.effectiveType;
+        return context;
+    }
+
+    /**
+     * 보낼 요약을 만듭니다
+     *
+     * @returns {Object|null} 잰 지표가 하나도 없으면 null
+     */
+    getSummary() {
+        const names = Object.keys(this.metrics);
+        if (!names.length) return null;
+
+        const metrics = {};
+        names.forEach(name => {
+            const value = name === 'cls'
+                ? Math.round(this.metrics.cls * 1000) / 1000
+                : Math.round(this.metrics[name]);
+            metrics[name] = { value, rating: WebVitals.rate(name, value) };
+        });
+        if (this.lcpElement) metrics.lcp.element = this.lcpElement;
+
+        return {
+            id: this.id,
+            page: window.location.pathname,
+            metrics,
+            longTasks: { ...this.longTasks, blocking: Math.round(this.longTasks.blocking) },
+            context: this.getContext()
+        };
+    }
+
+    /**
+     * 요약을 전송합니다 (디버그 모드면 콘솔 표로 출력)
+     *
+     * 지난번에 보낸 뒤로 바뀐 것이 없으면 보내지 않습니다.
+     */
+    report() {
+        const summary = this.getSummary();
+        if (!summary) return;
+        if (!this.config.debug && !hasConsent('analytics')) return; // 나중에 동의하면 다음에 숨길 때 보냄
+
+        const snapshot = JSON.stringify(summary);
+        if (snapshot === this.lastReport) return;
+        this.lastReport = snapshot;
+
+        if (this.config.debug) {
+            console.table(Object.keys(summary.metrics).map(name => ({
+                metric: name.toUpperCase(),
+                value: summary.metrics[name].value,
+                rating: summary.metrics[name].rating
+            })));
+            console.log('[Vitals]', summary.context, summary.longTasks);
+            return;
+        }
+
+        this.send(JSON.stringify({ ...summary, sentAt: Date.now() }));
+    }
+
+    /**
+     * 페이지가 닫히는 중에도 보내지도록 sendBeacon을 사용합니다 (없으면 keepalive fetch)
+     */
+    send(payload) {
+        try {
+            if (navigator.sendBeacon) {
+                navigator.sendBeacon(this.config.endpoint, new Blob([payload], { type: 'application/json' }));
+                return;
+            }
+
+            fetch(this.config.endpoint, {
+                method: 'POST',
+                body: payload,
+                headers: { 'Content-Type': 'application/json' },
+                keepalive: true
+            }).catch(error => console.error('[Vitals] Error sending metrics:', error));
+        } catch (error) {
+            console.error('[Vitals] Error sending metrics:', error);
+        }
+    }
+
+    handlePageHide() {
+        this.report();
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') this.report();
+    }
+
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        this.listeners.removeAll();
+    }
+}
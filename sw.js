@@ -0,0 +1,229 @@
+// ===== SERVICE WORKER =====
+// 오프라인에서도 페이지가 열리도록 필요한 파일을 미리 저장(precache)하고, 외부 글꼴/아이콘을 캐시합니다.
+// 이 파일은 페이지가 아니라 브라우저의 서비스 워커 스레드에서 실행됩니다. (window, document, utils.js 없음)
+// scope가 사이트 전체가 되도록 루트에 둡니다. 등록은 scripts/pwa.js가 합니다.
+
+/**
+ * 캐시 버전
+ *
+ * 아래 PRECACHE_URLS의 파일을 하나라도 바꿔서 배포할 때 올립니다.
+ * 버전이 바뀌면 브라우저가 새 서비스 워커를 설치하고, 페이지에 "새 버전" 배너가 뜹니다.
+ * (스크립트/스타일/콘텐츠 JSON은 네트워크 우선이라 온라인 방문자는 올리기 전에도 새 파일을 받습니다.
+ *  버전은 오프라인용 사본을 새로 받게 하고 배너를 띄우기 위해 올립니다.)
+ */
+const CACHE_VERSION = 'v9';
+
+const CACHE_PREFIX = 'nexus-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+/**
+ * 설치할 때 미리 저장하는 파일
+ *
+ * index.html에 <link>/<script>를 추가하면 여기에도 추가해야 오프라인에서 동작합니다.
+ */
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './content/content.json',
+    './content/faq.json',
+
+    './styles/main.css',
+    './styles/components.css',
+    './styles/responsive.css',
+
+    './scripts/utils.js',
+    './scripts/consent.js',
+    './scripts/theme.js',
+    './scripts/a11y.js',
+    './scripts/experiments.js',
+    './scripts/scheduler.js',
+    './scripts/locales.js',
+    './scripts/i18n.js',
+    './scripts/renderer.js',
+    './scripts/animations.js',
+    './scripts/media.js',
+    './scripts/navigation.js',
+    './scripts/modal.js',
+    './scripts/router.js',
+    './scripts/faq.js',
+    './scripts/toast.js',
+    './scripts/demo.js',
+    './scripts/qrcode.js',
+    './scripts/download.js',
+    './scripts/pricing.js',
+    './scripts/carousel.js',
+    './scripts/leadform.js',
+    './scripts/analytics.js',
+    './scripts/share.js',
+    './scripts/pwa.js',
+    './scripts/vitals.js',
+    './scripts/app.js',
+
+    './assets/icons/icon-192.png',
+    './assets/icons/icon-512.png',
+
+    './assets/vendor/fontawesome/css/all.min.css',
+    './assets/vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    './assets/vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    './assets/vendor/fontawesome/webfonts/fa-brands-400.woff2'
+];
+
+/**
+ * stale-while-revalidate로 처리하는 외부 호스트 (글꼴)
+ *
+ * 캐시에 있으면 바로 돌려주고, 뒤에서 새로 받아 캐시를 갱신합니다.
+ * 페이지가 동의한 뒤에만 요청하므로(consent.js), 동의하지 않은 방문자의 요청은 여기로 오지 않습니다.
+ */
+const RUNTIME_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+/**
+ * 캐시 우선으로 처리하는 같은 도메인 요청의 종류 (request.destination)
+ *
+ * 아이콘/이미지/글꼴처럼 거의 바뀌지 않고, 페이지 버전과 어긋나도 문제가 없는 것만 캐시를 먼저 씁니다.
+ * 나머지(스크립트, 스타일, content/*.json)는 네트워크 우선이라, 새로 배포한 HTML과 스크립트가 어긋나지 않습니다.
+ */
+const CACHE_FIRST_DESTINATIONS = ['image', 'font'];
+
+/**
+ * 설치: 필요한 파일을 모두 저장
+ *
+ * 하나라도 실패하면 설치가 실패하고, 기존 서비스 워커가 계속 동작합니다.
+ * 새 워커는 바로 활성화하지 않고 대기(waiting)합니다. 사용자가 배너에서 새로고침을 고르면 활성화됩니다.
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+/**
+ * 활성화: 이전 버전의 캐시 정리
+ *
+ * 우리 접두사(nexus-)로 시작하는 캐시 중 현재 버전이 아닌 것만 지웁니다.
+ * (같은 도메인의 다른 앱이 만든 캐시는 건드리지 않음)
+ */
+self.addEventListener('activate', (event) => {
+    const current = [PRECACHE_NAME, RUNTIME_NAME];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 페이지에서 보내는 메시지
+ *
+ * - {type: 'SKIP_WAITING'}: 대기 중인 새 워커를 바로 활성화 (업데이트 배너의 새로고침 버튼)
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return; // 리드 폼 전송 등은 그대로 네트워크로
+    if (request.headers.has('range')) return; // 데모 영상의 부분 요청(206 응답)은 캐시에 넣을 수 없으므로 그대로 네트워크로
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, { ignoreSearch: true, fallback: './index.html' }));
+        return;
+    }
+
+    if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(CACHE_FIRST_DESTINATIONS.includes(request.destination)
+            ? cacheFirst(request)
+            : networkFirst(request, { store: true }));
+    }
+    // 그 밖의 외부 요청(분석 수집 서버 등)은 브라우저가 직접 처리
+});
+
+/**
+ * 네트워크 우선, 오프라인이면 캐시
+ *
+ * - 페이지 이동: ?lang=, ?utm_source= 같은 쿼리가 붙어도 같은 페이지이므로 ignoreSearch로 찾고,
+ *   없으면 저장한 index.html(fallback)을 돌려줍니다.
+ * - 스크립트/스타일/콘텐츠 JSON: 받은 응답을 런타임 캐시에 저장(store)해 두고,
+ *   오프라인이면 precache보다 새로운 런타임 캐시의 사본을 먼저 씁니다.
+ *
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreSearch=false] - 캐시에서 찾을 때 쿼리 무시
+ * @param {string} [options.fallback] - 캐시에도 없을 때 돌려줄 URL
+ * @param {boolean} [options.store=false] - 성공한 응답을 런타임 캐시에 저장
+ */
+async function networkFirst(request, { ignoreSearch = false, fallback, store = false } = {}) {
+    try {
+        const response = await fetch(request);
+        if (store && response.ok) {
+            const cache = await caches.open(RUNTIME_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const runtime = await caches.open(RUNTIME_NAME);
+        const cached = await runtime.match(request, { ignoreSearch })
+            || await caches.match(request, { ignoreSearch });
+        if (cached) return cached;
+        if (fallback) return caches.match(fallback);
+        throw error;
+    }
+}
+
+/**
+ * 같은 도메인의 아이콘/이미지/글꼴: 캐시 우선
+ *
+ * 거의 바뀌지 않는 파일이므로 캐시를 그대로 씁니다. (CACHE_FIRST_DESTINATIONS)
+ * 캐시에 없는 파일(스크린샷 이미지 등)은 네트워크에서 받아 런타임 캐시에 저장합니다.
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * 외부 글꼴/아이콘: stale-while-revalidate
+ *
+ * 다른 도메인의 <link>/@font-face 요청은 opaque 응답(status 0)일 수 있어 그것도 저장합니다.
+ */
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(RUNTIME_NAME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error()); // 오프라인이면 캐시로
+
+    if (cached) {
+        event.waitUntil(update); // 응답은 바로 주고, 갱신은 워커가 끝까지 기다림
+        return cached;
+    }
+    return update;
+}